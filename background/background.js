@@ -1,8 +1,57 @@
 // Background script for X Profile Post Scraper
 // Handles extension lifecycle and communication between components
 
+importScripts(
+  '../utils/page-type.js',
+  '../utils/error-handler.js',
+  'scrape-state.js',
+  'media-download.js',
+  '../library/post-library.js',
+  '../popup/export-schema.js',
+  '../popup/export-formats.js',
+  '../popup/html-archive.js',
+  '../queue/queue-items.js',
+  '../queue/batch-export.js',
+  '../jobs/job-schedule.js'
+);
+
+// The batch queue lives in storage so the worker can be stopped between
+// items; alarms wake it for the next item and for stall checks
+const QUEUE_NEXT_ALARM = 'batchQueueNext';
+const QUEUE_WATCHDOG_ALARM = 'batchQueueWatchdog';
+const QUEUE_STALL_MINUTES = 10;
+const QUEUE_MIN_PAUSE_SECONDS = 30;
+
+// Scheduled jobs run through the batch queue; each has an alarm named
+// job:<id> for its next run
+const JOB_ALARM_PREFIX = 'job:';
+const JOB_HISTORY_LIMIT = 100;
+
+// Runs kept resumable in scrapeSessions, keyed by session id; each holds
+// its posts, so older ones are dropped
+const SESSION_LIMIT = 5;
+
 class BackgroundService {
   constructor() {
+    this.library = new PostLibrary();
+    this.parser = new QueueItemParser();
+    this.exporter = new BatchExportBuilder(this.library);
+    this.schedule = new JobSchedule();
+    this.scrapeStates = new ScrapeStateMachine();
+    this.media = new MediaDownloader(chrome.downloads, (done, total) => {
+      chrome.runtime.sendMessage({
+        action: 'mediaDownloadProgress',
+        done: done,
+        total: total
+      }).catch(() => {});
+    });
+    // Collects errors logged here and reported by content scripts and pages
+    this.errorHandler = new ErrorHandler({ report: false });
+    this.storageLock = Promise.resolve();
+    // Ports of open popups (with the tab each follows) and of content
+    // scripts with an active run
+    this.popupPorts = new Map();
+    this.scraperPorts = new Map();
     this.initializeListeners();
   }
 
@@ -10,6 +59,13 @@ class BackgroundService {
     // Handle extension installation
     chrome.runtime.onInstalled.addListener((details) => {
       this.handleInstallation(details);
+      this.syncJobAlarms();
+    });
+
+    chrome.runtime.onStartup.addListener(() => {
+      // Tab ids don't survive a browser restart
+      chrome.storage.local.remove('scrapeStates');
+      this.syncJobAlarms();
     });
 
     // Handle messages from content scripts and popup
@@ -18,10 +74,26 @@ class BackgroundService {
       return true; // Keep message channel open for async responses
     });
 
+    // The popup and running content scripts follow the scrape state
+    chrome.runtime.onConnect.addListener((port) => {
+      this.handleConnect(port);
+    });
+
     // Handle tab updates to check if user navigates away from X
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       this.handleTabUpdate(tabId, changeInfo, tab);
     });
+
+    // A closed tab can't finish its session
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.interruptSession(tabId);
+      this.removeScrapeState(tabId);
+      this.handleQueueTabClosed(tabId);
+    });
+
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      this.handleAlarm(alarm);
+    });
   }
 
   handleInstallation(details) {
@@ -32,61 +104,1202 @@ class BackgroundService {
       chrome.storage.local.set({
         scrollDelay: 2000,
         maxPosts: 100,
-        isScrapingActive: false,
+        olderPostsLimit: 3,
         scrapedPosts: []
       });
+    } else if (details.reason === 'update') {
+      // Scraping state used to be a single flag set by the popup, and
+      // sessions a single key shared by every tab
+      chrome.storage.local.remove(['isScrapingActive', 'scrapeSession']);
     }
   }
 
   async handleMessage(message, sender, sendResponse) {
     try {
       switch (message.action) {
-        case 'getTabInfo':
+        case 'getTabInfo': {
           const tab = await this.getCurrentTab();
           sendResponse({ tab });
           break;
+        }
 
         case 'saveScrapedData':
           await this.saveScrapedData(message.data);
           sendResponse({ success: true });
           break;
 
+        case 'downloadMedia': {
+          const summary = await this.media.downloadAll(message.posts, message.folder);
+          sendResponse({ summary });
+          break;
+        }
+
+        case 'fetchFullTexts': {
+          const texts = await this.fetchFullTexts(message.posts, sender.tab);
+          sendResponse({ texts });
+          break;
+        }
+
+        case 'checkpointSession':
+          await this.saveSession(message.session, message.posts || [], sender.tab);
+          await this.touchQueueItem(message.session, sender.tab);
+          sendResponse({ success: true });
+          break;
+
+        case 'scrapingStarted':
+        case 'updateProgress':
+        case 'scrapingComplete':
+        case 'scrapingError':
+          await this.handleScrapeEvent(message, sender.tab);
+          await this.handleQueueTabMessage(message, sender.tab);
+          sendResponse({ success: true });
+          break;
+
+        case 'queueAdd':
+          await this.addQueueItems(message.items);
+          sendResponse({ success: true });
+          break;
+
+        case 'queueStart':
+          await this.startQueue(message.defaults, message.pauseSeconds);
+          sendResponse({ success: true });
+          break;
+
+        case 'queuePause':
+          await this.pauseQueue(false);
+          sendResponse({ success: true });
+          break;
+
+        case 'queueStop':
+          await this.pauseQueue(true);
+          sendResponse({ success: true });
+          break;
+
+        case 'queueRemove':
+          await this.removeQueueItems(message.ids);
+          sendResponse({ success: true });
+          break;
+
+        case 'queueRetryFailed':
+          await this.retryFailedQueueItems();
+          sendResponse({ success: true });
+          break;
+
+        case 'queueClearFinished':
+          await this.clearFinishedQueueItems();
+          sendResponse({ success: true });
+          break;
+
+        case 'jobSave':
+          await this.saveJob(message.job);
+          sendResponse({ success: true });
+          break;
+
+        case 'jobDelete':
+          await this.deleteJob(message.id);
+          sendResponse({ success: true });
+          break;
+
+        case 'jobRunNow':
+          await this.runScheduledJob(message.id, true);
+          sendResponse({ success: true });
+          break;
+
+        case 'jobClearHistory':
+          await chrome.storage.local.set({ jobRuns: [] });
+          sendResponse({ success: true });
+          break;
+
         case 'logError':
-          console.error('Content script error:', message.error);
+          this.errorHandler.logError(message.error.message, message.error.context, {
+            ...message.error.metadata,
+            tabId: sender.tab ? sender.tab.id : null,
+            reportedAt: message.error.timestamp
+          });
+          sendResponse({ success: true });
           break;
 
         default:
           console.log('Unknown message action:', message.action);
       }
     } catch (error) {
-      console.error('Error handling message:', error);
+      this.errorHandler.logError(error, 'BACKGROUND_MESSAGE', {
+        action: message.action
+      });
       sendResponse({ error: error.message });
     }
   }
 
   async handleTabUpdate(tabId, changeInfo, tab) {
-    // If user navigates away from X while scraping, stop the scraping
-    if (changeInfo.url && !this.isXUrl(changeInfo.url)) {
-      const result = await chrome.storage.local.get(['isScrapingActive']);
-      if (result.isScrapingActive) {
-        await chrome.storage.local.set({ isScrapingActive: false });
-        console.log('Scraping stopped due to navigation away from X');
+    // X moves between its pages without reloading. The content script
+    // notices too, but is told in case it is waiting on something
+    if (changeInfo.url) {
+      const state = await this.getScrapeState(tabId);
+      const page = PageType.detect(changeInfo.url);
+      if (state.source && (!page || page.url !== state.source.url)) {
+        const next = await this.applyScrapeEvent(tabId, 'navigate');
+        if (next) {
+          console.log(`Scraping stopped in tab ${tabId} after navigating to ${changeInfo.url}`);
+        }
+      }
+    }
+
+    // A reload tears down the content script mid-run
+    if (changeInfo.status === 'loading') {
+      await this.interruptSession(tabId);
+      await this.applyScrapeEvent(tabId, 'interrupt', { error: 'Page reloaded during the run' });
+      await this.failStartedQueueItem(tabId, 'Page reloaded during the run');
+    }
+  }
+
+  async interruptSession(tabId) {
+    await this.updateStored('scrapeSessions', () => ({}), sessions => {
+      Object.values(sessions).forEach(session => {
+        if (session.tabId === tabId && session.status === 'running') {
+          session.status = 'interrupted';
+          session.updatedAt = new Date().toISOString();
+          console.log(`Session ${session.id} interrupted in tab ${tabId}`);
+        }
+      });
+    });
+  }
+
+  handleConnect(port) {
+    if (port.name === 'popup') {
+      port.onMessage.addListener((message) => {
+        this.handlePopupCommand(port, message);
+      });
+      port.onDisconnect.addListener(() => {
+        this.popupPorts.delete(port);
+      });
+    } else if (port.name === 'scraper' && port.sender.tab) {
+      const tabId = port.sender.tab.id;
+      this.scraperPorts.set(tabId, port);
+      port.onMessage.addListener((message) => {
+        if (message.action === 'attach') {
+          this.attachScraper(tabId, message);
+        }
+      });
+      port.onDisconnect.addListener(() => {
+        if (this.scraperPorts.get(tabId) === port) {
+          this.scraperPorts.delete(tabId);
+        }
+      });
+    }
+  }
+
+  async handlePopupCommand(port, message) {
+    try {
+      switch (message.action) {
+        case 'subscribe':
+          this.popupPorts.set(port, message.tabId);
+          this.postToPort(port, {
+            action: 'scrapeState',
+            state: await this.getScrapeState(message.tabId)
+          });
+          break;
+
+        case 'start':
+          await this.startScrape(message.tabId, {
+            action: 'startScraping',
+            settings: message.settings
+          });
+          break;
+
+        case 'resume':
+          await this.resumeScrape(message.tabId, message.sessionId, message.settings);
+          break;
+
+        case 'stop':
+          await this.applyScrapeEvent(message.tabId, 'stop');
+          break;
+
+        default:
+          console.log('Unknown popup command:', message.action);
+      }
+    } catch (error) {
+      console.error(`Error handling popup command ${message.action}:`, error);
+      this.postToPort(port, { action: 'scrapeError', error: error.message });
+    }
+  }
+
+  // Sent by the content script whenever it (re)connects during a run, for
+  // instance after the worker was stopped and started again
+  async attachScraper(tabId, message) {
+    const state = await this.getScrapeState(tabId);
+    const next = await this.applyScrapeEvent(tabId, 'attach', {
+      sessionId: message.sessionId,
+      source: message.source
+    });
+
+    // Already up to date, but the new port still needs the state
+    if (!next) {
+      this.postToPort(this.scraperPorts.get(tabId), { action: 'scrapeState', state });
+    }
+  }
+
+  async handleScrapeEvent(message, tab) {
+    if (!tab) return;
+
+    switch (message.action) {
+      case 'scrapingStarted':
+        await this.applyScrapeEvent(tab.id, 'started', {
+          sessionId: message.sessionId,
+          source: message.source,
+          message: message.message
+        });
+        break;
+
+      case 'updateProgress':
+        await this.applyScrapeEvent(tab.id, 'progress', {
+          progress: message.progress,
+          postCount: message.stats ? message.stats.postsFound : 0,
+          scrollCount: message.scrollCount,
+          message: message.message || null
+        });
+        break;
+
+      case 'scrapingComplete':
+        // Saved here so the result is kept with the popup closed
+        await this.setStored({
+          scrapedPosts: message.posts,
+          lastScrapedAt: new Date().toISOString(),
+          scrapingStats: message.stats,
+          scrapingCoverage: message.coverage || null,
+          scrapingSource: message.source || null,
+          scrapingThread: message.thread || null,
+          scrapingIncremental: message.incremental || null,
+          scrapingProfile: message.profile || null
+        });
+        await this.applyScrapeEvent(tab.id, 'complete', {
+          result: message.status,
+          progress: 100,
+          postCount: message.posts.length,
+          scrollCount: message.totalScrolls || 0,
+          stats: message.stats || null,
+          coverage: message.coverage || null,
+          message: null
+        });
+        break;
+
+      case 'scrapingError':
+        await this.applyScrapeEvent(tab.id, 'fail', { error: message.error });
+        break;
+    }
+  }
+
+  async getScrapeState(tabId) {
+    const { scrapeStates } = await chrome.storage.local.get(['scrapeStates']);
+    return (scrapeStates && scrapeStates[tabId]) || this.scrapeStates.create(tabId);
+  }
+
+  /**
+   * Apply an event to a tab's scrape state, store it and send it to the
+   * popups and the content script following that tab
+   * @param {number} tabId - Tab the event is about
+   * @param {string} event - Event for ScrapeStateMachine.apply
+   * @param {Object} data - Fields the event sets
+   * @returns {Promise<Object|null>} The new state, or null if it was ignored
+   */
+  async applyScrapeEvent(tabId, event, data = {}) {
+    let next = null;
+    await this.updateStored('scrapeStates', () => ({}), states => {
+      next = this.scrapeStates.apply(states[tabId] || this.scrapeStates.create(tabId), event, data);
+      if (next) states[tabId] = next;
+    });
+    if (!next) return null;
+
+    const message = { action: 'scrapeState', state: next };
+    this.popupPorts.forEach((followedTabId, port) => {
+      if (followedTabId === tabId) this.postToPort(port, message);
+    });
+    this.postToPort(this.scraperPorts.get(tabId), message);
+    return next;
+  }
+
+  async removeScrapeState(tabId) {
+    await this.updateStored('scrapeStates', () => ({}), states => {
+      delete states[tabId];
+    });
+  }
+
+  // A port can close at any time, e.g. when the popup loses focus
+  postToPort(port, message) {
+    if (!port) return;
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      console.warn('Could not post to port:', error.message);
+    }
+  }
+
+  /**
+   * Start the scraper in a tab. Resolves once the content script has set up
+   * the run and answered; progress and the outcome arrive as messages from
+   * the tab afterwards. Rejects if the page could not start the run
+   * @param {number} tabId - Tab on a supported X page
+   * @param {Object} command - startScraping or resumeScraping message
+   * @param {Function} prepare - Runs before the command, e.g. to load the page
+   */
+  async startScrape(tabId, command, prepare = null) {
+    const state = await this.applyScrapeEvent(tabId, 'start');
+    if (!state) {
+      throw new Error('A scrape is already running in this tab');
+    }
+
+    try {
+      if (prepare) await prepare();
+      const response = await this.sendMessageWithRetry(tabId, command);
+      if (!response || response.error) {
+        throw new Error(response ? response.error : 'The page did not answer');
       }
+    } catch (error) {
+      await this.applyScrapeEvent(tabId, 'fail', { error: error.message });
+      throw error;
     }
   }
 
+  async resumeScrape(tabId, sessionId, settings) {
+    const { scrapeSessions = {} } = await chrome.storage.local.get(['scrapeSessions']);
+    const session = scrapeSessions[sessionId];
+    if (!session) {
+      throw new Error('No session to resume');
+    }
+
+    await this.startScrape(tabId, {
+      action: 'resumeScraping',
+      sessionId: session.id,
+      settings: settings
+    }, async () => {
+      const tab = await chrome.tabs.get(tabId);
+      const page = PageType.detect(tab.url);
+      if (!page || page.url !== session.source.url) {
+        await Promise.all([
+          this.waitForTabComplete(tabId),
+          chrome.tabs.update(tabId, { url: session.targetUrl })
+        ]);
+      }
+    });
+  }
+
   async getCurrentTab() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     return tab;
   }
 
+  /**
+   * Store a checkpoint of a run. Sessions are kept per run so runs in
+   * different tabs don't overwrite each other
+   * @param {Object} session - Session state sent by the content script
+   * @param {Array} posts - Posts added since the previous checkpoint
+   * @param {Object} tab - Tab the run is in
+   */
+  async saveSession(session, posts, tab) {
+    const sessions = await this.updateStored('scrapeSessions', () => ({}), sessions => {
+      const previous = sessions[session.id];
+      const merged = new Map((previous ? previous.posts : []).map(post => [post.id, post]));
+      posts.forEach(post => merged.set(post.id, post));
+
+      sessions[session.id] = {
+        ...session,
+        tabId: tab ? tab.id : null,
+        posts: [...merged.values()]
+      };
+
+      Object.values(sessions)
+        .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1))
+        .slice(SESSION_LIMIT)
+        .forEach(old => delete sessions[old.id]);
+    });
+
+    // Keep the latest posts downloadable even if the tab goes away. Once the
+    // run has ended, scrapingComplete writes the sorted list instead
+    if (sessions[session.id] && session.status === 'running') {
+      await this.saveScrapedData({ posts: sessions[session.id].posts });
+    }
+
+    // Every checkpoint also lands in the cross-run library. A failure there
+    // must not lose the session itself, so it is only logged
+    try {
+      await this.library.addPosts(posts, session.source, session.id);
+    } catch (error) {
+      console.error('Failed to add posts to library:', error);
+    }
+  }
+
   async saveScrapedData(data) {
-    await chrome.storage.local.set({
+    await this.setStored({
       scrapedPosts: data.posts,
       lastScrapedAt: new Date().toISOString()
     });
   }
 
+  handleAlarm(alarm) {
+    if (alarm.name === QUEUE_NEXT_ALARM) {
+      this.runNextQueueItem();
+    } else if (alarm.name === QUEUE_WATCHDOG_ALARM) {
+      this.checkQueue();
+    } else if (alarm.name.startsWith(JOB_ALARM_PREFIX)) {
+      this.runScheduledJob(alarm.name.slice(JOB_ALARM_PREFIX.length));
+    }
+  }
+
+  async getQueue() {
+    const { batchQueue } = await chrome.storage.local.get(['batchQueue']);
+    return batchQueue || this.createQueue();
+  }
+
+  createQueue() {
+    return {
+      id: `queue_${Date.now()}`,
+      status: 'idle',
+      tabId: null,
+      pauseSeconds: 90,
+      defaults: {},
+      items: [],
+      jobRun: null,
+      nextRunAt: null,
+      message: null,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Apply a change to a stored value. Changes run one at a time, so the
+   * extension pages, the queue tab and the alarms never overwrite each other
+   * @param {string} key - chrome.storage.local key
+   * @param {Function} create - Returns the value to use when none is stored
+   * @param {Function} change - Mutates the value it is given
+   * @returns {Promise<*>} The value after the change
+   */
+  updateStored(key, create, change) {
+    return this.withStorageLock(async () => {
+      const stored = await chrome.storage.local.get([key]);
+      const value = stored[key] || create();
+      change(value);
+      await chrome.storage.local.set({ [key]: value });
+      return value;
+    });
+  }
+
+  /**
+   * Write values that replace what is stored, in turn with updateStored
+   * @param {Object} values - chrome.storage.local keys and values
+   */
+  setStored(values) {
+    return this.withStorageLock(() => chrome.storage.local.set(values));
+  }
+
+  withStorageLock(task) {
+    const run = this.storageLock.then(task);
+
+    // A failed change must not block the ones after it
+    this.storageLock = run.catch(() => {});
+    return run;
+  }
+
+  updateQueue(change) {
+    return this.updateStored('batchQueue', () => this.createQueue(), queue => {
+      change(queue);
+      queue.updatedAt = new Date().toISOString();
+    });
+  }
+
+  getRunningQueueItem(queue) {
+    return queue.items.find(item => item.status === 'running') || null;
+  }
+
+  // While a scheduled job runs, only its own items are picked
+  getNextQueueItem(queue) {
+    return queue.items.find(item =>
+      item.status === 'pending' && (!queue.jobRun || item.jobRunId === queue.jobRun.id)
+    ) || null;
+  }
+
+  async addQueueItems(items) {
+    await this.updateQueue(queue => {
+      queue.items.push(...items);
+      if (queue.status === 'completed') {
+        queue.status = 'idle';
+      }
+    });
+  }
+
+  /**
+   * Start or resume the queue
+   * @param {Object} defaults - Scraper settings for items without their own
+   * @param {number} pauseSeconds - Pause between two items
+   */
+  async startQueue(defaults, pauseSeconds) {
+    const queue = await this.updateQueue(queue => {
+      queue.defaults = defaults;
+      queue.pauseSeconds = Math.max(QUEUE_MIN_PAUSE_SECONDS, pauseSeconds || 0);
+      queue.message = null;
+      // Already running: only the settings change
+      if (!['running', 'waiting'].includes(queue.status)) {
+        queue.status = 'running';
+      }
+    });
+
+    chrome.alarms.create(QUEUE_WATCHDOG_ALARM, { periodInMinutes: 1 });
+    if (queue.status === 'running') {
+      await this.runNextQueueItem();
+    }
+  }
+
+  /**
+   * Pause the queue after the current item, or stop the current item too
+   * @param {boolean} stopCurrent - Also stop the page being scraped
+   */
+  async pauseQueue(stopCurrent) {
+    let endedRun = null;
+    const queue = await this.updateQueue(queue => {
+      queue.status = 'paused';
+      queue.nextRunAt = null;
+      queue.message = stopCurrent ? 'Stopped' : 'Paused';
+
+      // An item whose page is still loading can simply start over later
+      const item = this.getRunningQueueItem(queue);
+      if (stopCurrent && item && !item.sessionId) {
+        item.status = 'pending';
+      }
+
+      // Otherwise the job run ends when its current item does
+      if (queue.jobRun && !this.getRunningQueueItem(queue)) {
+        endedRun = this.endJobRun(queue);
+      }
+    });
+    await chrome.alarms.clear(QUEUE_NEXT_ALARM);
+    if (endedRun) {
+      await this.finishJobRun(endedRun);
+    }
+
+    if (stopCurrent && queue.tabId !== null && this.getRunningQueueItem(queue)) {
+      await this.applyScrapeEvent(queue.tabId, 'stop');
+    }
+  }
+
+  async removeQueueItems(ids) {
+    await this.updateQueue(queue => {
+      queue.items = queue.items.filter(item =>
+        item.status === 'running' || !ids.includes(item.id)
+      );
+    });
+  }
+
+  async retryFailedQueueItems() {
+    await this.updateQueue(queue => {
+      queue.items.forEach(item => {
+        if (item.status === 'failed') {
+          Object.assign(item, { status: 'pending', error: null });
+        }
+      });
+      if (queue.status === 'completed') {
+        queue.status = 'idle';
+      }
+    });
+  }
+
+  async clearFinishedQueueItems() {
+    await this.updateQueue(queue => {
+      queue.items = queue.items.filter(item =>
+        !['done', 'failed'].includes(item.status)
+      );
+      // An emptied queue starts a new combined export
+      if (queue.items.length === 0) {
+        Object.assign(queue, this.createQueue(), {
+          tabId: queue.tabId,
+          pauseSeconds: queue.pauseSeconds,
+          defaults: queue.defaults
+        });
+      }
+    });
+  }
+
+  /**
+   * Open the next pending item in the queue tab and start the scraper there.
+   * The outcome arrives later as a message from that tab
+   */
+  async runNextQueueItem() {
+    let item = null;
+    let endedRun = null;
+    const queue = await this.updateQueue(queue => {
+      if (!['running', 'waiting'].includes(queue.status)) return;
+      if (this.getRunningQueueItem(queue)) return;
+
+      item = this.getNextQueueItem(queue);
+      queue.nextRunAt = null;
+      if (!item) {
+        if (queue.jobRun) {
+          endedRun = this.endJobRun(queue);
+        } else {
+          queue.status = 'completed';
+        }
+        return;
+      }
+
+      const now = new Date().toISOString();
+      Object.assign(item, {
+        status: 'running',
+        startedAt: now,
+        lastActivityAt: now,
+        finishedAt: null,
+        sessionId: null,
+        postCount: 0,
+        error: null
+      });
+      queue.status = 'running';
+    });
+    if (endedRun) {
+      await this.finishJobRun(endedRun);
+    }
+    if (!item) return;
+
+    try {
+      const tabId = await this.openQueueTab(queue.tabId, item.url);
+
+      // The queue may have been stopped while the page loaded
+      const current = (await this.getQueue()).items.find(entry => entry.id === item.id);
+      if (!current || current.status !== 'running') return;
+
+      // Queue-wide settings first, then the item's own. The run's outcome
+      // arrives as a message from the tab, which handleQueueTabMessage handles
+      this.startScrape(tabId, {
+        action: 'startScraping',
+        settings: { ...queue.defaults, ...item.settings }
+      }).catch(error => {
+        this.finishQueueItem(item.id, { status: 'failed', error: error.message });
+      });
+    } catch (error) {
+      console.error('Error starting queue item:', error);
+      await this.finishQueueItem(item.id, { status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Navigate the queue tab, opening it in a window of its own if needed
+   * @param {number|null} tabId - Tab used by earlier items
+   * @param {string} url - Page to scrape
+   * @returns {Promise<number>} Id of the loaded tab
+   */
+  async openQueueTab(tabId, url) {
+    if (tabId !== null) {
+      try {
+        await chrome.tabs.get(tabId);
+      } catch (error) {
+        tabId = null;
+      }
+    }
+
+    // A separate unfocused window keeps the queue out of the way of normal
+    // browsing while the page still renders as visible
+    if (tabId === null) {
+      const window = await chrome.windows.create({ url: 'about:blank', focused: false });
+      tabId = window.tabs[0].id;
+      await this.updateQueue(queue => {
+        queue.tabId = tabId;
+      });
+    }
+
+    await Promise.all([
+      this.waitForTabComplete(tabId),
+      chrome.tabs.update(tabId, { url: url })
+    ]);
+    return tabId;
+  }
+
+  /**
+   * Record the outcome of the running item and schedule the next one
+   * @param {string} itemId - Queue item id
+   * @param {Object} result - Fields to store on the item, including status
+   * @param {string|null} pauseMessage - Pause the queue with this message
+   *   instead of moving on
+   */
+  async finishQueueItem(itemId, result, pauseMessage = null) {
+    let endedRun = null;
+    const queue = await this.updateQueue(queue => {
+      const item = queue.items.find(entry => entry.id === itemId);
+      if (!item || item.status !== 'running') return;
+
+      Object.assign(item, result, { finishedAt: new Date().toISOString() });
+
+      if (pauseMessage) {
+        queue.status = 'paused';
+        queue.message = pauseMessage;
+      } else if (queue.status === 'running') {
+        if (this.getNextQueueItem(queue)) {
+          // Vary the pause a little so runs don't follow a fixed rhythm
+          const pauseSeconds = queue.jobRun ? queue.jobRun.pauseSeconds : queue.pauseSeconds;
+          const pause = pauseSeconds * 1000 * (1 + Math.random() * 0.2);
+          queue.status = 'waiting';
+          queue.nextRunAt = new Date(Date.now() + pause).toISOString();
+        } else if (!queue.jobRun) {
+          queue.status = 'completed';
+        }
+      }
+
+      // A job run ends with its last page, or when the queue is paused
+      if (queue.jobRun && queue.status !== 'waiting') {
+        endedRun = this.endJobRun(queue);
+      }
+    });
+
+    if (queue.status === 'waiting' && queue.nextRunAt) {
+      chrome.alarms.create(QUEUE_NEXT_ALARM, { when: Date.parse(queue.nextRunAt) });
+    }
+    if (endedRun) {
+      await this.finishJobRun(endedRun);
+    }
+  }
+
+  async handleQueueTabMessage(message, tab) {
+    const queue = await this.getQueue();
+    const item = this.getRunningQueueItem(queue);
+    if (!tab || tab.id !== queue.tabId || !item) return;
+
+    switch (message.action) {
+      case 'scrapingStarted':
+        await this.updateQueue(queue => {
+          const current = this.getRunningQueueItem(queue);
+          if (current && current.id === item.id) {
+            current.sessionId = message.sessionId;
+          }
+        });
+        break;
+
+      case 'scrapingComplete': {
+        // The last checkpoint may still be on its way, so make sure the
+        // combined export finds every post in the library
+        try {
+          await this.library.addPosts(message.posts, message.source, message.sessionId);
+        } catch (error) {
+          console.error('Failed to add queue posts to library:', error);
+        }
+
+        const completed = message.status === 'completed';
+        await this.finishQueueItem(item.id, {
+          status: completed ? 'done' : 'failed',
+          error: completed ? null : `Run ${message.status} before the end`,
+          // end, maxPosts, sinceDate, knownPosts, rateLimited, ...
+          stopReason: message.stopReason || null,
+          sessionId: message.sessionId,
+          postCount: message.posts.length,
+          postIds: message.posts.map(post => post.id),
+          coverage: message.coverage || null
+        }, message.rateLimited
+          ? 'Rate limiting detected. Start the queue again later'
+          : null);
+        break;
+      }
+
+      case 'scrapingError':
+        await this.finishQueueItem(item.id, { status: 'failed', error: message.error });
+        break;
+    }
+  }
+
+  // Checkpoints double as a heartbeat for the stall check
+  async touchQueueItem(session, tab) {
+    const queue = await this.getQueue();
+    if (!tab || tab.id !== queue.tabId || !this.getRunningQueueItem(queue)) return;
+
+    await this.updateQueue(queue => {
+      const item = this.getRunningQueueItem(queue);
+      if (item) {
+        item.lastActivityAt = new Date().toISOString();
+        item.postCount = session.postCount;
+      }
+    });
+  }
+
+  async failStartedQueueItem(tabId, error) {
+    const queue = await this.getQueue();
+    const item = this.getRunningQueueItem(queue);
+
+    // Before the scraper starts, loading is the queue's own navigation
+    if (tabId === queue.tabId && item && item.sessionId) {
+      await this.finishQueueItem(item.id, { status: 'failed', error: error });
+    }
+  }
+
+  async handleQueueTabClosed(tabId) {
+    const queue = await this.getQueue();
+    if (tabId !== queue.tabId) return;
+
+    // Closing the window is taken as a request to pause
+    const item = this.getRunningQueueItem(queue);
+    if (item) {
+      await this.finishQueueItem(item.id, { status: 'failed', error: 'Queue window was closed' },
+        'Queue window was closed');
+    }
+
+    let endedRun = null;
+    await this.updateQueue(queue => {
+      queue.tabId = null;
+      if (['running', 'waiting'].includes(queue.status)) {
+        queue.status = 'paused';
+        queue.nextRunAt = null;
+        queue.message = 'Queue window was closed';
+        if (queue.jobRun) {
+          endedRun = this.endJobRun(queue);
+        }
+      }
+    });
+    await chrome.alarms.clear(QUEUE_NEXT_ALARM);
+    if (endedRun) {
+      await this.finishJobRun(endedRun);
+    }
+  }
+
+  // Runs every minute while the queue is active
+  async checkQueue() {
+    const queue = await this.getQueue();
+    const item = this.getRunningQueueItem(queue);
+
+    if (item) {
+      const idle = Date.now() - Date.parse(item.lastActivityAt);
+      if (idle > QUEUE_STALL_MINUTES * 60000) {
+        if (queue.tabId !== null) {
+          await this.applyScrapeEvent(queue.tabId, 'stop');
+        }
+        await this.finishQueueItem(item.id, {
+          status: 'failed',
+          error: `No progress for ${QUEUE_STALL_MINUTES} minutes`
+        });
+      }
+    } else if (queue.status === 'waiting') {
+      // The next-item alarm doesn't always survive a browser restart
+      if (!queue.nextRunAt || Date.parse(queue.nextRunAt) < Date.now() - 60000) {
+        await this.runNextQueueItem();
+      }
+    } else if (queue.status !== 'running') {
+      await chrome.alarms.clear(QUEUE_WATCHDOG_ALARM);
+    }
+  }
+
+  async getJobs() {
+    const { scheduledJobs } = await chrome.storage.local.get(['scheduledJobs']);
+    return scheduledJobs || [];
+  }
+
+  /**
+   * Create or update a job and set the alarm for its next run
+   * @param {Object} job - Job definition from the jobs page
+   */
+  async saveJob(job) {
+    const errors = this.schedule.validate(job);
+    if (errors.length > 0) {
+      throw new Error(errors.join('. '));
+    }
+
+    const nextRun = job.enabled ? this.schedule.getNextRun(job.schedule) : null;
+    const saved = { ...job, nextRunAt: nextRun ? nextRun.toISOString() : null };
+    await this.updateStored('scheduledJobs', () => [], jobs => {
+      const index = jobs.findIndex(entry => entry.id === job.id);
+      if (index === -1) {
+        jobs.push(saved);
+      } else {
+        jobs[index] = saved;
+      }
+    });
+    await this.scheduleJobAlarm(saved);
+  }
+
+  async deleteJob(id) {
+    await this.updateStored('scheduledJobs', () => [], jobs => {
+      const index = jobs.findIndex(entry => entry.id === id);
+      if (index !== -1) jobs.splice(index, 1);
+    });
+    await chrome.alarms.clear(`${JOB_ALARM_PREFIX}${id}`);
+  }
+
+  async scheduleJobAlarm(job) {
+    const name = `${JOB_ALARM_PREFIX}${job.id}`;
+    if (job.enabled && job.nextRunAt) {
+      chrome.alarms.create(name, { when: Date.parse(job.nextRunAt) });
+    } else {
+      await chrome.alarms.clear(name);
+    }
+  }
+
+  // Alarms don't always survive browser restarts and updates. A run missed
+  // while the browser was closed is caught up once, shortly after start
+  async syncJobAlarms() {
+    const jobs = await this.getJobs();
+    jobs.forEach(job => {
+      if (job.enabled && job.nextRunAt) {
+        chrome.alarms.create(`${JOB_ALARM_PREFIX}${job.id}`, {
+          when: Math.max(Date.parse(job.nextRunAt), Date.now() + 60000)
+        });
+      }
+    });
+  }
+
+  /**
+   * Start a job's run, moving its schedule on first when the alarm fired
+   * @param {string} jobId - Job to run
+   * @param {boolean} manual - Started with "Run now" rather than the alarm
+   */
+  async runScheduledJob(jobId, manual = false) {
+    let job = null;
+    let scheduledFor = null;
+    await this.updateStored('scheduledJobs', () => [], jobs => {
+      job = jobs.find(entry => entry.id === jobId) || null;
+      if (job && !manual) {
+        // The next slot counts from now, so missed runs aren't repeated
+        const nextRun = job.enabled ? this.schedule.getNextRun(job.schedule) : null;
+        scheduledFor = job.nextRunAt;
+        job.nextRunAt = nextRun ? nextRun.toISOString() : null;
+      }
+    });
+
+    if (!job) {
+      await chrome.alarms.clear(`${JOB_ALARM_PREFIX}${jobId}`);
+      return;
+    }
+    if (!manual) {
+      await this.scheduleJobAlarm(job);
+    }
+
+    await this.startJobRun(job, manual ? 'manual' : 'schedule', scheduledFor);
+  }
+
+  /**
+   * Add a job's pages to the batch queue and run only those. A queue that
+   * is already running is left alone and the run is recorded as skipped
+   */
+  async startJobRun(job, trigger, scheduledFor) {
+    const now = new Date().toISOString();
+    const run = {
+      id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      jobId: job.id,
+      jobName: job.name,
+      trigger: trigger,
+      scheduledFor: scheduledFor,
+      startedAt: now,
+      finishedAt: null,
+      status: 'running',
+      pages: 0,
+      done: 0,
+      failed: 0,
+      postCount: 0,
+      file: null,
+      error: null
+    };
+
+    const { items } = this.parser.parse(job.pages);
+    run.pages = items.length;
+
+    let started = false;
+    if (items.length > 0) {
+      await this.updateQueue(queue => {
+        if (['running', 'waiting'].includes(queue.status) || this.getRunningQueueItem(queue)) {
+          return;
+        }
+
+        items.forEach(item => {
+          item.jobRunId = run.id;
+          item.jobName = job.name;
+          item.settings = { ...job.settings, ...item.settings };
+        });
+        queue.items.push(...items);
+        queue.jobRun = {
+          id: run.id,
+          jobId: job.id,
+          jobName: job.name,
+          previousStatus: queue.status,
+          pauseSeconds: Math.max(QUEUE_MIN_PAUSE_SECONDS, job.pauseSeconds || 0),
+          settings: job.settings,
+          exportFormat: job.exportFormat,
+          filenameTemplate: job.filenameTemplate,
+          startedAt: now
+        };
+        queue.status = 'running';
+        queue.message = null;
+        started = true;
+      });
+    }
+
+    if (!started) {
+      Object.assign(run, {
+        status: items.length > 0 ? 'skipped' : 'failed',
+        error: items.length > 0 ? 'The batch queue was busy' : 'No valid pages',
+        finishedAt: now
+      });
+    }
+    await this.updateStored('jobRuns', () => [], runs => {
+      runs.unshift(run);
+      runs.splice(JOB_HISTORY_LIMIT);
+    });
+
+    if (started) {
+      chrome.alarms.create(QUEUE_WATCHDOG_ALARM, { periodInMinutes: 1 });
+      await this.runNextQueueItem();
+    }
+  }
+
+  // Called inside a queue change once a job run has nothing left to run.
+  // Returns what finishJobRun needs once the change is saved
+  endJobRun(queue) {
+    const jobRun = queue.jobRun;
+    const items = queue.items.filter(item => item.jobRunId === jobRun.id);
+
+    items.forEach(item => {
+      if (item.status === 'pending') {
+        Object.assign(item, { status: 'failed', error: 'Job run ended before this page' });
+      }
+    });
+
+    queue.jobRun = null;
+    const stoppedBy = queue.status === 'paused' ? queue.message : null;
+    if (!stoppedBy) {
+      queue.status = jobRun.previousStatus;
+    }
+
+    return { jobRun, stoppedBy, items: JSON.parse(JSON.stringify(items)) };
+  }
+
+  /**
+   * Export a finished job run to the downloads folder and record it in the
+   * run history
+   */
+  async finishJobRun({ jobRun, stoppedBy, items }) {
+    const done = items.filter(item => item.status === 'done').length;
+    const result = {
+      finishedAt: new Date().toISOString(),
+      done: done,
+      failed: items.length - done,
+      postCount: 0,
+      status: done === 0 ? 'failed' : done < items.length ? 'partial' : 'completed',
+      error: stoppedBy
+    };
+
+    // Runs that found nothing, like incremental runs without new posts,
+    // leave no file behind
+    if (items.some(item => (item.postIds || []).length > 0)) {
+      try {
+        const data = await this.exporter.build({
+          id: jobRun.id,
+          defaults: jobRun.settings,
+          pauseSeconds: jobRun.pauseSeconds
+        }, items);
+        const { content, extension, type } = this.exporter.serialize(data, jobRun.exportFormat);
+        const filename = `${this.schedule.formatFilename(
+          jobRun.filenameTemplate || DEFAULT_FILENAME_TEMPLATE,
+          { job: jobRun.jobName, date: new Date(jobRun.startedAt), count: data.posts.length }
+        )}.${extension}`;
+
+        // Workers have no object URLs, so the file goes out as a data: URL
+        const charset = type.includes('charset') ? '' : ';charset=utf-8';
+        const downloadId = await chrome.downloads.download({
+          url: `data:${type}${charset},${encodeURIComponent(content)}`,
+          filename: filename,
+          conflictAction: 'uniquify',
+          saveAs: false
+        });
+        await this.media.waitForDownload(downloadId);
+
+        result.postCount = data.posts.length;
+        result.file = filename;
+      } catch (error) {
+        console.error('Failed to export job run:', error);
+        result.status = 'failed';
+        result.error = `Export failed: ${error.message}`;
+      }
+    }
+
+    await this.updateStored('jobRuns', () => [], runs => {
+      const run = runs.find(entry => entry.id === jobRun.id);
+      if (run) Object.assign(run, result);
+    });
+  }
+
+  /**
+   * Read the full text of long posts from their own pages, which show it
+   * without "Show more". The pages load in turn in one inactive tab next to
+   * the scraped one
+   * @param {Object[]} posts - { id, url } of each post
+   * @param {Object} tab - Tab the posts were scraped in
+   * @returns {Promise<Object>} Text by post id, without the posts that could
+   *   not be read
+   */
+  async fetchFullTexts(posts, tab) {
+    const texts = {};
+    if (!posts || posts.length === 0) return texts;
+
+    const reader = await chrome.tabs.create({
+      url: 'about:blank',
+      active: false,
+      ...(tab ? { windowId: tab.windowId, index: tab.index + 1 } : {})
+    });
+
+    try {
+      for (const post of posts) {
+        try {
+          await Promise.all([
+            this.waitForTabComplete(reader.id),
+            chrome.tabs.update(reader.id, { url: post.url })
+          ]);
+          const response = await this.sendMessageWithRetry(reader.id, {
+            action: 'readPostText',
+            id: post.id
+          });
+          if (response && response.text) {
+            texts[post.id] = response.text;
+          }
+        } catch (error) {
+          console.warn(`Could not read the full text of post ${post.id}:`, error);
+        }
+      }
+    } finally {
+      await chrome.tabs.remove(reader.id).catch(() => {});
+    }
+
+    return texts;
+  }
+
+  /**
+   * Resolve once a tab has finished loading an X page
+   * @param {number} tabId - Tab to watch
+   * @param {number} timeout - Give up after this many milliseconds
+   */
+  waitForTabComplete(tabId, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        chrome.tabs.onUpdated.removeListener(listener);
+        reject(new Error('Timed out waiting for page to load'));
+      }, timeout);
+
+      const listener = (updatedTabId, changeInfo, tab) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete' && this.isXUrl(tab.url)) {
+          clearTimeout(timer);
+          chrome.tabs.onUpdated.removeListener(listener);
+          resolve();
+        }
+      };
+
+      chrome.tabs.onUpdated.addListener(listener);
+    });
+  }
+
+  /**
+   * Send a message to a tab whose content script may still be loading.
+   * Only connection failures are retried; anything else means the script
+   * received the message
+   */
+  async sendMessageWithRetry(tabId, message, attempts = 5) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await chrome.tabs.sendMessage(tabId, message);
+      } catch (error) {
+        if (attempt >= attempts || !/Receiving end does not exist/.test(error.message)) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
   isXUrl(url) {
     return url && (url.includes('x.com') || url.includes('twitter.com'));
   }
@@ -0,0 +1,165 @@
+// Saves the media of scraped posts next to an export, one file at a time.
+// Runs in the background worker so a slow batch isn't tied to the popup
+
+class MediaDownloader {
+  /**
+   * @param {Object} downloads - chrome.downloads
+   * @param {Function} onProgress - Called with (done, total) after each file
+   */
+  constructor(downloads, onProgress = () => {}) {
+    this.downloads = downloads;
+    this.onProgress = onProgress;
+  }
+
+  /**
+   * Save each post's media into <folder>/media, one file at a time
+   * @param {Array} posts - Scraped posts
+   * @param {string} folder - Run folder relative to the downloads directory
+   * @returns {Promise<Object>} Counts plus a per-file result list
+   */
+  async downloadAll(posts, folder) {
+    const items = [];
+    posts.forEach(post => {
+      (post.media || []).forEach((item, index) => {
+        items.push({ post, item, index });
+      });
+    });
+
+    const files = [];
+    for (const { post, item, index } of items) {
+      const file = {
+        postId: post.id,
+        index: index,
+        type: item.type,
+        url: null,
+        path: null,
+        status: 'skipped',
+        error: null
+      };
+
+      const source = this.getMediaSource(item);
+      if (source.error) {
+        file.error = source.error;
+      } else {
+        const suffix = source.posterOnly ? '-poster' : '';
+        file.url = source.url;
+        file.path = `media/${post.id}-${index + 1}${suffix}.${source.extension}`;
+
+        try {
+          const downloadId = await this.downloads.download({
+            url: source.url,
+            filename: `${folder}/${file.path}`,
+            conflictAction: 'overwrite',
+            saveAs: false
+          });
+          await this.waitForDownload(downloadId);
+          file.status = 'downloaded';
+        } catch (error) {
+          file.status = 'failed';
+          file.error = error.message;
+        }
+      }
+
+      files.push(file);
+      this.onProgress(files.length, items.length);
+    }
+
+    return {
+      folder: folder,
+      total: files.length,
+      downloaded: files.filter(file => file.status === 'downloaded').length,
+      failed: files.filter(file => file.status === 'failed').length,
+      skipped: files.filter(file => file.status === 'skipped').length,
+      files: files
+    };
+  }
+
+  /**
+   * Work out what to download for a media item
+   * @param {Object} item - Media item from a scraped post
+   * @returns {Object} { url, extension } or { error }
+   */
+  getMediaSource(item) {
+    if (!['photo', 'animated_gif', 'video'].includes(item.type)) {
+      // Cards, polls, Spaces and notes are kept as data in the JSON only
+      return { error: 'No file to download' };
+    }
+
+    let url;
+    try {
+      url = new URL(item.url);
+    } catch (error) {
+      url = null;
+    }
+
+    // Videos usually stream from a blob: URL that dies with the tab, so keep
+    // at least the thumbnail
+    if (!url || url.protocol === 'blob:') {
+      if (item.thumbnail) {
+        const poster = this.getMediaSource({ type: 'photo', url: item.thumbnail });
+        return poster.error ? poster : { ...poster, posterOnly: true };
+      }
+      return { error: 'No downloadable URL (streamed video)' };
+    }
+
+    if (url.hostname === 'pbs.twimg.com') {
+      if (!/^\/(media|tweet_video_thumb|ext_tw_video_thumb|amplify_video_thumb)\//.test(url.pathname)) {
+        return { error: 'Not post media' };
+      }
+
+      // Request the original upload instead of the resized preview
+      const extension = url.searchParams.get('format') ||
+        (url.pathname.match(/\.(\w+)$/) || [])[1] || 'jpg';
+      url.searchParams.set('name', 'orig');
+      return { url: url.toString(), extension };
+    }
+
+    if (url.hostname === 'video.twimg.com') {
+      return { url: url.toString(), extension: 'mp4' };
+    }
+
+    return { error: 'Unsupported media host' };
+  }
+
+  /**
+   * Resolve once a download finishes, reject if it is interrupted. A small
+   * file can finish before the caller gets its id, so the download's state
+   * is also looked up once the listener is in place
+   * @param {number} downloadId - Id returned by chrome.downloads.download
+   * @param {number} timeout - Give up after this many milliseconds
+   */
+  waitForDownload(downloadId, timeout = 60000) {
+    return new Promise((resolve, reject) => {
+      const finish = (state, error) => {
+        if (state !== 'complete' && state !== 'interrupted') return;
+
+        clearTimeout(timer);
+        this.downloads.onChanged.removeListener(listener);
+        if (state === 'complete') {
+          resolve();
+        } else {
+          reject(new Error(error || 'Download interrupted'));
+        }
+      };
+
+      const timer = setTimeout(() => {
+        this.downloads.onChanged.removeListener(listener);
+        reject(new Error('Download timed out'));
+      }, timeout);
+
+      const listener = (delta) => {
+        if (delta.id !== downloadId || !delta.state) return;
+        finish(delta.state.current, delta.error ? delta.error.current : null);
+      };
+
+      this.downloads.onChanged.addListener(listener);
+      this.downloads.search({ id: downloadId }).then(([item]) => {
+        if (item) finish(item.state, item.error);
+      }, () => {});
+    });
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { MediaDownloader };
+}
@@ -0,0 +1,83 @@
+// Scrape state of a tab, owned by the background worker. Every change is an
+// event applied here, so the popup, the batch queue and the content script
+// all go through the same transitions
+
+const SCRAPE_ACTIVE_STATES = ['starting', 'running', 'stopping'];
+
+// The state each status moves to for an event; events missing here are ignored.
+// start: the popup or the queue asks for a run; started/attach/progress: the
+// content script reports it is running; stop: asked to stop; navigate: the tab
+// moved to another page; complete/fail: the run ended; interrupt: the page
+// reloaded or was left
+const SCRAPE_TRANSITIONS = {
+  idle: { start: 'starting', started: 'running', attach: 'running' },
+  starting: {
+    started: 'running', attach: 'running', progress: 'running',
+    stop: 'stopping', complete: 'completed', fail: 'failed'
+  },
+  running: {
+    started: 'running', attach: 'running', progress: 'running',
+    stop: 'stopping', navigate: 'stopping', complete: 'completed',
+    fail: 'failed', interrupt: 'failed'
+  },
+  stopping: {
+    attach: 'stopping', progress: 'stopping', complete: 'completed',
+    fail: 'failed', interrupt: 'failed'
+  },
+  completed: { start: 'starting', started: 'running', attach: 'running' },
+  failed: { start: 'starting', started: 'running', attach: 'running' }
+};
+
+class ScrapeStateMachine {
+  create(tabId) {
+    return {
+      tabId: tabId,
+      status: 'idle',
+      sessionId: null,
+      source: null,
+      progress: 0,
+      postCount: 0,
+      scrollCount: 0,
+      message: null,
+      stopReason: null,
+      result: null,
+      stats: null,
+      coverage: null,
+      error: null,
+      startedAt: null,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Apply an event to a tab's state
+   * @param {Object} state - Current state, left unchanged
+   * @param {string} event - One of the events in SCRAPE_TRANSITIONS
+   * @param {Object} data - Fields the event sets, e.g. sessionId or error
+   * @returns {Object|null} The new state, or null if the event is ignored
+   */
+  apply(state, event, data = {}) {
+    const status = (SCRAPE_TRANSITIONS[state.status] || {})[event];
+    if (!status) return null;
+
+    const now = new Date().toISOString();
+    // A new run starts from a clean state
+    const base = event === 'start'
+      ? { ...this.create(state.tabId), startedAt: now }
+      : state;
+    const next = { ...base, ...data, status: status, updatedAt: now };
+
+    if (event === 'navigate') {
+      next.stopReason = 'navigated';
+    }
+    return next;
+  }
+
+  isActive(state) {
+    return SCRAPE_ACTIVE_STATES.includes(state.status);
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ScrapeStateMachine, SCRAPE_ACTIVE_STATES, SCRAPE_TRANSITIONS };
+}
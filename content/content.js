@@ -1,46 +1,37 @@
 // Content script for X Profile Post Scraper
-// Runs on X profile pages and handles post extraction and scrolling
-
-// Simple error handler for content script (since we can't import modules)
-class SimpleErrorHandler {
-  constructor() {
-    this.errors = [];
-  }
-
-  logError(error, context = "unknown", metadata = {}) {
-    const errorEntry = {
-      timestamp: new Date().toISOString(),
-      context: context,
-      message: error instanceof Error ? error.message : error,
-      metadata: metadata,
-    };
-
-    this.errors.push(errorEntry);
-    console.error(`[${context}] ${errorEntry.message}`, errorEntry);
-
-    // Send to background script
-    try {
-      chrome.runtime
-        .sendMessage({
-          action: "logError",
-          error: errorEntry,
-        })
-        .catch(() => {});
-    } catch (e) {}
-
-    return errorEntry;
-  }
-
-  handleScrapingError(error, phase, state = {}) {
-    return this.logError(error, `SCRAPING_${phase.toUpperCase()}`, {
-      phase: phase,
-      scrapingState: state,
-      pageHeight: document.documentElement.scrollHeight,
-      scrollPosition: window.pageYOffset,
-      visiblePosts: document.querySelectorAll('[data-testid="tweet"]').length,
-    });
-  }
-}
+// Runs on X timeline pages (profiles, search, hashtags, lists) and handles
+// post extraction and scrolling. Selectors come from utils/selectors.js, with
+// any selector pack saved on the options page applied on top, pages are
+// classified by utils/page-type.js and errors go through
+// utils/error-handler.js; all are loaded before this script
+
+// Abbreviation suffixes X uses for large counts across its UI languages,
+// lowercased and without a trailing period
+const COUNT_SUFFIXES = {
+  k: 1e3, // en, fr, it, ...
+  tsd: 1e3, // de
+  mil: 1e3, // es, pt
+  тыс: 1e3, // ru
+  千: 1e3, // ja, zh
+  천: 1e3, // ko
+  万: 1e4, // ja, zh
+  萬: 1e4, // zh-Hant
+  만: 1e4, // ko
+  m: 1e6, // en, fr, es
+  mio: 1e6, // de
+  mi: 1e6, // pt
+  mln: 1e6, // it, nl, pl
+  млн: 1e6, // ru
+  億: 1e8, // ja
+  亿: 1e8, // zh
+  억: 1e8, // ko
+  b: 1e9, // en
+  bn: 1e9,
+  md: 1e9, // fr
+  mrd: 1e9, // de
+  mld: 1e9, // it, pl
+  млрд: 1e9, // ru
+};
 
 class XProfileScraper {
   constructor() {
@@ -50,16 +41,55 @@ class XProfileScraper {
     this.settings = {
       scrollDelay: 2000,
       maxPosts: 100,
+      sinceDate: "",
+      untilDate: "",
+      olderPostsLimit: 3,
+      incremental: false,
     };
     this.lastScrollHeight = 0;
     this.noNewContentCount = 0;
     this.maxNoNewContentAttempts = 3;
-    this.errorHandler = new SimpleErrorHandler();
+    this.selectors = X_SELECTORS;
+    this.selectorPackName = null;
+    this.errorHandler = new ErrorHandler();
+    this.progressTracker = new ProgressTracker();
+    this.fieldCoverage = new FieldCoverage();
+    // Coverage check of each post in the current run, by post id
+    this.fieldChecks = new Map();
+    // Posts read in this run but dropped for having no content
+    this.emptyPostIds = new Set();
     this.retryAttempts = 0;
     this.maxRetryAttempts = 3;
+    this.pageInfo = null;
+    this.threadMode = false;
+    this.thread = null;
+    this.session = null;
+    this.lastSeenPostId = null;
+    this.lastCheckpointAt = 0;
+    this.checkpointInterval = 10000;
+    // Posts the background worker already has for this session
+    this.checkpointedIds = new Set();
+    this.stopRequested = false;
+    this.navigatedAway = false;
+    this.dateRange = { since: null, until: null };
+    this.rangeCheckedIds = new Set();
+    this.consecutiveOlderPosts = 0;
+    this.outOfRangeIds = new Set();
+    this.incrementalKey = null;
+    this.incrementalBaseline = null;
+    this.knownPostIds = new Set();
+    this.reachedKnownPosts = false;
+    this.profileSnapshot = null;
+    this.rateLimited = false;
+    // Why the scroll loop ended, sent with the results
+    this.stopReason = null;
+    this.port = null;
 
     this.initializeListeners();
-    this.checkIfProfilePage();
+    // Runs and diagnoses wait for the saved pack, so none of them reads
+    // the page with the built-in table by mistake
+    this.selectorPackReady = this.loadSelectorPack();
+    this.checkIfSupportedPage();
   }
 
   initializeListeners() {
@@ -68,18 +98,38 @@ class XProfileScraper {
       this.handleMessage(message, sender, sendResponse);
       return true; // Keep message channel open
     });
+
+    // A pack saved on the options page applies from the next post read
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes.selectorPack) {
+        this.applySelectorPack(changes.selectorPack.newValue);
+      }
+    });
   }
 
-  checkIfProfilePage() {
-    const isProfilePage = this.isXProfilePage(window.location.href);
-    if (isProfilePage) {
-      console.log("X Profile Scraper: Ready on profile page");
+  async loadSelectorPack() {
+    try {
+      const result = await chrome.storage.local.get(["selectorPack"]);
+      this.applySelectorPack(result.selectorPack);
+    } catch (error) {
+      this.errorHandler.logError(error, "SELECTOR_PACK");
     }
   }
 
-  isXProfilePage(url) {
-    const profilePattern = /^https:\/\/(x|twitter)\.com\/[^\/]+\/?$/;
-    return profilePattern.test(url);
+  // Fields the pack leaves out keep the built-in selectors
+  applySelectorPack(pack) {
+    this.selectors = SelectorPack.apply(pack ? pack.selectors : null);
+    this.selectorPackName = pack ? pack.name || "unnamed" : null;
+    if (pack) {
+      console.log(`Using selector pack "${pack.name || "unnamed"}"`);
+    }
+  }
+
+  checkIfSupportedPage() {
+    const pageInfo = PageType.detect(window.location.href);
+    if (pageInfo) {
+      console.log(`X Profile Scraper: Ready on ${pageInfo.type} page`);
+    }
   }
 
   async handleMessage(message, sender, sendResponse) {
@@ -95,6 +145,20 @@ class XProfileScraper {
           sendResponse({ success: true });
           break;
 
+        case "resumeScraping":
+          await this.resumeScraping(message.sessionId, message.settings);
+          sendResponse({ success: true });
+          break;
+
+        case "diagnosePage":
+          await this.selectorPackReady;
+          sendResponse({ success: true, report: this.diagnosePage() });
+          break;
+
+        case "readPostText":
+          sendResponse({ text: await this.readPostText(message.id) });
+          break;
+
         default:
           console.log("Unknown message action:", message.action);
       }
@@ -107,50 +171,563 @@ class XProfileScraper {
 
   async startScraping(settings) {
     try {
-      if (!this.isXProfilePage(window.location.href)) {
-        throw new Error("Not on a valid X profile page");
+      await this.selectorPackReady;
+      const pageInfo = PageType.detect(window.location.href);
+      if (!pageInfo) {
+        throw new Error("Not on a supported X page");
       }
 
-      this.settings = { ...this.settings, ...settings };
-      this.isScrapingActive = true;
-      this.scrapedPosts.clear();
-      this.scrollCount = 0;
-      this.lastScrollHeight = 0;
-      this.noNewContentCount = 0;
-      this.retryAttempts = 0;
-
-      console.log("Starting X profile scraping with settings:", this.settings);
-
-      // Send immediate confirmation that scraping started
-      chrome.runtime
-        .sendMessage({
-          action: "scrapingStarted",
-          message: "Scraping started successfully",
-        })
-        .catch((error) => {
-          console.warn("Error sending scraping started message:", error);
-        });
+      this.resetRunState(pageInfo, settings);
+      this.session = this.createSession(pageInfo);
+      await this.loadIncrementalBaseline();
+      await this.captureProfileSnapshot();
+
+      console.log(
+        `Starting X ${pageInfo.type} scraping with settings:`,
+        this.settings
+      );
+
+      this.notifyScrapingStarted("Scraping started successfully");
 
       // Send initial progress update
       this.sendProgressUpdate("Initializing scraper...", 0);
+    } catch (error) {
+      this.isScrapingActive = false;
+      this.disconnectFromBackground();
+      this.progressTracker.failPhase(error.message);
+      this.errorHandler.handleScrapingError(
+        error,
+        "initialization",
+        {
+          settings: this.settings,
+          url: window.location.href,
+        },
+        this.selectors.POSTS
+      );
 
-      await this.scrapeCurrentPosts();
+      this.sendErrorToPopup(`Scraping failed: ${error.message}`);
+      throw error;
+    }
+
+    // The run is set up, so the start message is answered now; the scroll
+    // loop reports its progress and outcome as messages of its own
+    this.runScrollLoop(() => this.scrapeCurrentPosts());
+  }
+
+  // Scrolls until a stop condition is met. Runs after the start or resume
+  // message was answered, so errors are reported here instead of thrown
+  async runScrollLoop(prepare) {
+    try {
+      await prepare();
       await this.startAutoScroll();
     } catch (error) {
       this.isScrapingActive = false;
-      this.errorHandler.handleScrapingError(error, "initialization", {
-        settings: this.settings,
-        url: window.location.href,
-      });
+      this.disconnectFromBackground();
+      this.progressTracker.failPhase(error.message);
+      this.errorHandler.handleScrapingError(
+        error,
+        "scrolling",
+        { url: window.location.href },
+        this.selectors.POSTS
+      );
 
       this.sendErrorToPopup(`Scraping failed: ${error.message}`);
+    }
+  }
+
+  async resumeScraping(sessionId, settings = {}) {
+    let session;
+    try {
+      await this.selectorPackReady;
+      const { scrapeSessions = {} } = await chrome.storage.local.get([
+        "scrapeSessions",
+      ]);
+      session = scrapeSessions[sessionId];
+      if (!session) {
+        throw new Error("Scraping session not found");
+      }
+
+      const pageInfo = PageType.detect(window.location.href);
+      if (!pageInfo || pageInfo.url !== session.source.url) {
+        throw new Error("Not on the page this session was scraping");
+      }
+
+      // The posts stay with the background worker, which only gets the
+      // ones added from here on
+      const { posts, ...state } = session;
+      this.resetRunState(pageInfo, { ...session.settings, ...settings });
+      this.session = state;
+      this.session.status = "running";
+      this.session.settings = this.settings;
+      this.scrollCount = session.scrollCount || 0;
+      posts.forEach((post) => {
+        this.scrapedPosts.set(post.id, post);
+        this.checkpointedIds.add(post.id);
+      });
+      this.lastSeenPostId = session.cursor ? session.cursor.lastPostId : null;
+      await this.loadIncrementalBaseline();
+      await this.captureProfileSnapshot();
+
+      if (this.threadMode && session.thread) {
+        await this.initializeThreadContext();
+        this.thread = {
+          ...this.thread,
+          ...session.thread,
+          expandedButtons: new WeakSet(),
+        };
+      }
+
+      console.log(
+        `Resuming session ${session.id} with ${this.scrapedPosts.size} posts`
+      );
+
+      this.notifyScrapingStarted("Scraping resumed successfully");
+      this.sendProgressUpdate(
+        `Resuming from ${this.scrapedPosts.size} posts...`
+      );
+    } catch (error) {
+      this.isScrapingActive = false;
+      this.disconnectFromBackground();
+      this.progressTracker.failPhase(error.message);
+      this.errorHandler.handleScrapingError(
+        error,
+        "resume",
+        {
+          sessionId: sessionId,
+          url: window.location.href,
+        },
+        this.selectors.POSTS
+      );
+
+      this.sendErrorToPopup(`Resume failed: ${error.message}`);
       throw error;
     }
+
+    this.runScrollLoop(async () => {
+      await this.fastForwardToCursor(session.cursor);
+      await this.scrapeCurrentPosts();
+    });
+  }
+
+  resetRunState(pageInfo, settings) {
+    this.pageInfo = pageInfo;
+    this.threadMode = pageInfo.type === "status";
+    this.thread = null;
+    this.settings = { ...this.settings, ...settings };
+    this.isScrapingActive = true;
+    this.stopRequested = false;
+    this.scrapedPosts.clear();
+    this.scrollCount = 0;
+    this.lastScrollHeight = 0;
+    this.noNewContentCount = 0;
+    this.retryAttempts = 0;
+    this.lastSeenPostId = null;
+    this.lastCheckpointAt = 0;
+    this.checkpointedIds = new Set();
+    this.navigatedAway = false;
+    this.dateRange = this.parseDateRange(this.settings);
+    this.rangeCheckedIds = new Set();
+    this.consecutiveOlderPosts = 0;
+    this.outOfRangeIds = new Set();
+    this.incrementalKey = this.getIncrementalKey(pageInfo);
+    this.incrementalBaseline = null;
+    this.knownPostIds = new Set();
+    this.reachedKnownPosts = false;
+    this.profileSnapshot = null;
+    this.rateLimited = false;
+    this.stopReason = null;
+    this.fieldChecks = new Map();
+    this.emptyPostIds = new Set();
+    this.progressTracker.reset();
+    this.progressTracker.startPhase("scraping", this.settings.maxPosts);
+  }
+
+  // Dates come from <input type="date"> as YYYY-MM-DD and are interpreted in
+  // local time; "until" includes the whole day
+  parseDateRange(settings) {
+    const toDate = (value, time) => {
+      if (!value) return null;
+      const date = new Date(`${value}T${time}`);
+      return isNaN(date.getTime()) ? null : date;
+    };
+
+    return {
+      since: toDate(settings.sinceDate, "00:00:00"),
+      until: toDate(settings.untilDate, "23:59:59.999"),
+    };
+  }
+
+  // Returns false for posts outside the since/until window. Also counts how
+  // many consecutive posts fell before "since" so scrolling can stop once the
+  // timeline has clearly moved past the window.
+  checkDateRange(post) {
+    const { since, until } = this.dateRange;
+    if (this.threadMode || (!since && !until)) return true;
+
+    const time = this.parseTimestamp(post.timestamp);
+    if (!time || isNaN(time.getTime())) return true;
+
+    // Pinned posts sit at the top regardless of age, and a repost carries
+    // the original post's time, so neither says how far back the timeline is
+    if (
+      !this.rangeCheckedIds.has(post.id) &&
+      !post.metadata.isPinned &&
+      !post.metadata.isRetweet
+    ) {
+      this.rangeCheckedIds.add(post.id);
+      this.consecutiveOlderPosts =
+        since && time < since ? this.consecutiveOlderPosts + 1 : 0;
+    }
+
+    return (!since || time >= since) && (!until || time <= until);
+  }
+
+  // Incremental state is kept per account timeline; replies are tracked
+  // separately since the main profile timeline doesn't show them
+  getIncrementalKey(pageInfo) {
+    if (!pageInfo.username) return null;
+
+    const username = pageInfo.username.toLowerCase();
+    if (pageInfo.type === "profile") return username;
+    if (pageInfo.type === "profile_replies") return `${username}/with_replies`;
+    return null;
+  }
+
+  async loadIncrementalBaseline() {
+    if (!this.incrementalKey) return;
+
+    const result = await chrome.storage.local.get(["incrementalState"]);
+    const state = result.incrementalState || {};
+    this.incrementalBaseline = state[this.incrementalKey] || null;
+
+    if (this.settings.incremental) {
+      console.log(
+        this.incrementalBaseline
+          ? `Incremental run since post ${this.incrementalBaseline.newestPostId}`
+          : "No previous run for this account, scraping everything"
+      );
+    }
+  }
+
+  // Detects posts captured by the previous run. Reposts carry the original
+  // post's id, which can be older than the baseline even when the repost is
+  // new, so they are matched by id instead of used as the boundary.
+  isKnownPost(post) {
+    const baseline = this.incrementalBaseline;
+    if (!baseline || !/^\d+$/.test(post.id) || post.metadata.isPinned) {
+      return false;
+    }
+
+    if (post.metadata.isRetweet) {
+      return (
+        this.settings.incremental &&
+        (baseline.retweetIds || []).includes(post.id)
+      );
+    }
+
+    if (this.compareStatusIds(post.id, baseline.newestPostId) <= 0) {
+      this.reachedKnownPosts = true;
+      return this.settings.incremental;
+    }
+
+    return false;
+  }
+
+  async saveIncrementalState(posts, sessionStatus) {
+    if (!this.incrementalKey || sessionStatus === "interrupted") return;
+
+    // Only move the baseline forward when this run covered everything back
+    // to it, otherwise the posts in between would never be scraped
+    if (this.incrementalBaseline && !this.reachedKnownPosts) {
+      console.log("Run did not reach known posts, keeping previous baseline");
+      return;
+    }
+
+    const ownPosts = posts.filter(
+      (post) =>
+        /^\d+$/.test(post.id) &&
+        !post.metadata.isPinned &&
+        !post.metadata.isRetweet
+    );
+    const newestPost = ownPosts.reduce(
+      (newest, post) =>
+        !newest || this.compareStatusIds(post.id, newest.id) > 0
+          ? post
+          : newest,
+      null
+    );
+
+    if (!newestPost) return;
+
+    const result = await chrome.storage.local.get(["incrementalState"]);
+    const state = result.incrementalState || {};
+    const retweetIds = posts
+      .filter((post) => post.metadata.isRetweet)
+      .map((post) => post.id);
+
+    state[this.incrementalKey] = {
+      newestPostId: newestPost.id,
+      newestTimestamp: newestPost.timestamp,
+      runId: this.session ? this.session.id : null,
+      scrapedAt: new Date().toISOString(),
+      // Reposts since the last run, for matching by id next time
+      retweetIds: retweetIds
+        .concat(
+          this.incrementalBaseline
+            ? this.incrementalBaseline.retweetIds || []
+            : []
+        )
+        .slice(0, 200),
+    };
+
+    await chrome.storage.local.set({ incrementalState: state });
+  }
+
+  getIncrementalInfo() {
+    if (!this.settings.incremental || !this.incrementalKey) return null;
+
+    const baseline = this.incrementalBaseline;
+    return {
+      enabled: true,
+      previousRunId: baseline ? baseline.runId : null,
+      previousNewestPostId: baseline ? baseline.newestPostId : null,
+      previousNewestTimestamp: baseline ? baseline.newestTimestamp : null,
+      previousScrapedAt: baseline ? baseline.scrapedAt : null,
+      reachedPreviousRun: this.reachedKnownPosts,
+    };
+  }
+
+  getSeenPostCount() {
+    return (
+      this.scrapedPosts.size + this.outOfRangeIds.size + this.knownPostIds.size
+    );
+  }
+
+  hasPassedSinceDate() {
+    return (
+      !!this.dateRange.since &&
+      this.consecutiveOlderPosts >= this.settings.olderPostsLimit
+    );
+  }
+
+  // The background worker owns the state of the run. While a run is active
+  // the scraper follows it over a port, so a stop from the popup, the batch
+  // queue or a navigation reaches it even after the worker restarted
+  connectToBackground() {
+    if (this.port) return;
+
+    try {
+      this.port = chrome.runtime.connect({ name: "scraper" });
+    } catch (error) {
+      // The extension was reloaded or updated under this page
+      console.warn("Could not connect to the background worker:", error);
+      return;
+    }
+
+    this.port.onMessage.addListener((message) => {
+      if (message.action === "scrapeState") {
+        this.handleScrapeState(message.state);
+      }
+    });
+    this.port.onDisconnect.addListener(() => {
+      this.port = null;
+      // The worker was stopped; reconnecting starts it again
+      setTimeout(() => {
+        if (this.isScrapingActive) this.connectToBackground();
+      }, 1000);
+    });
+
+    this.port.postMessage({
+      action: "attach",
+      sessionId: this.session ? this.session.id : null,
+      source: this.pageInfo,
+    });
+  }
+
+  disconnectFromBackground() {
+    if (!this.port) return;
+
+    const port = this.port;
+    this.port = null;
+    port.disconnect();
+  }
+
+  handleScrapeState(state) {
+    if (state.status === "stopping" && this.isScrapingActive) {
+      if (state.stopReason === "navigated") {
+        this.navigatedAway = true;
+      }
+      this.stopScraping();
+    }
+  }
+
+  notifyScrapingStarted(message) {
+    this.connectToBackground();
+
+    // Send immediate confirmation that scraping started
+    chrome.runtime
+      .sendMessage({
+        action: "scrapingStarted",
+        message: message,
+        sessionId: this.session ? this.session.id : null,
+        source: this.pageInfo,
+      })
+      .catch((error) => {
+        console.warn("Error sending scraping started message:", error);
+      });
+  }
+
+  createSession(pageInfo) {
+    const now = new Date().toISOString();
+    return {
+      id: `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      targetUrl: pageInfo.url,
+      source: pageInfo,
+      settings: this.settings,
+      status: "running",
+      postCount: 0,
+      scrollCount: 0,
+      cursor: null,
+      thread: null,
+      startedAt: now,
+      updatedAt: now,
+    };
+  }
+
+  // Persist the session through the background worker so a reload, soft
+  // navigation or popup close can pick up where this run left off. Only
+  // posts added since the last checkpoint are sent; the worker adds them to
+  // the ones it has
+  async checkpointSession(status = null, force = false) {
+    if (!this.session) return;
+
+    const now = Date.now();
+    if (!force && now - this.lastCheckpointAt < this.checkpointInterval) {
+      return;
+    }
+    this.lastCheckpointAt = now;
+
+    const posts = Array.from(this.scrapedPosts.values());
+    const newPosts = posts.filter((post) => !this.checkpointedIds.has(post.id));
+    const lastPost = this.lastSeenPostId
+      ? this.scrapedPosts.get(this.lastSeenPostId)
+      : null;
+
+    if (status) {
+      this.session.status = status;
+    }
+
+    Object.assign(this.session, {
+      postCount: posts.length,
+      scrollCount: this.scrollCount,
+      cursor: {
+        lastPostId: this.lastSeenPostId,
+        lastTimestamp: lastPost ? lastPost.timestamp : null,
+        oldestPostId: this.findOldestPostId(posts),
+        scrollY: window.pageYOffset,
+      },
+      thread: this.thread
+        ? {
+            focalId: this.thread.focalId,
+            conversationId: this.thread.conversationId,
+            focalHandle: this.thread.focalHandle,
+            selfThreadTailId: this.thread.selfThreadTailId,
+            repliesStarted: this.thread.repliesStarted,
+            reachedEnd: this.thread.reachedEnd,
+          }
+        : null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    try {
+      await chrome.runtime.sendMessage({
+        action: "checkpointSession",
+        session: this.session,
+        posts: newPosts,
+      });
+      newPosts.forEach((post) => this.checkpointedIds.add(post.id));
+    } catch (error) {
+      console.warn("Error checkpointing session:", error);
+    }
+  }
+
+  findOldestPostId(posts) {
+    let oldest = null;
+    for (const post of posts) {
+      if (!/^\d+$/.test(post.id)) continue;
+      if (oldest === null || this.compareStatusIds(post.id, oldest) < 0) {
+        oldest = post.id;
+      }
+    }
+    return oldest;
+  }
+
+  // Status ids are snowflakes: larger ids are newer, but they exceed
+  // Number.MAX_SAFE_INTEGER so compare them as BigInts
+  compareStatusIds(a, b) {
+    const idA = BigInt(a);
+    const idB = BigInt(b);
+    return idA === idB ? 0 : idA < idB ? -1 : 1;
+  }
+
+  // X virtualizes its timeline, so the only way back to the cursor is to
+  // scroll through the posts already captured until it is rendered again
+  async fastForwardToCursor(cursor) {
+    if (!cursor || !cursor.lastPostId) return;
+
+    await SelectorUtils.waitForElement(
+      this.selectors.PROFILE_COLUMN.join(", "),
+      5000
+    );
+
+    const cursorTime = this.parseTimestamp(cursor.lastTimestamp);
+    const maxStalledScrolls = 5;
+    let stalledScrolls = 0;
+
+    while (this.isScrapingActive && stalledScrolls < maxStalledScrolls) {
+      const cursorElement = this.findPostElementById(cursor.lastPostId);
+      if (cursorElement) {
+        cursorElement.scrollIntoView({ block: "center" });
+        console.log(`Fast-forwarded to post ${cursor.lastPostId}`);
+        return;
+      }
+
+      if (cursorTime && !this.threadMode && this.hasPassedTime(cursorTime)) {
+        console.log("Fast-forwarded past the cursor timestamp");
+        return;
+      }
+
+      this.sendProgressUpdate("Returning to where the last run stopped...");
+
+      const scrollResult = await this.performScroll();
+      if (!scrollResult.success) break;
+
+      const loaded = await this.waitForNewContent();
+      stalledScrolls = loaded ? 0 : stalledScrolls + 1;
+
+      // Pick up anything posted in between runs on the way down
+      await this.scrapeCurrentPosts();
+    }
+
+    console.warn("Could not find the resume cursor, continuing from here");
+  }
+
+  hasPassedTime(time) {
+    const times = Array.from(
+      SelectorUtils.findElements(document, this.selectors.POSTS)
+    )
+      .map((element) => this.extractTimestamp(element))
+      .filter(Boolean);
+    const last = times[times.length - 1];
+    if (!last) return false;
+
+    return new Date(last) < time;
   }
 
   stopScraping() {
     console.log("STOP SIGNAL RECEIVED - Setting isScrapingActive to false");
     this.isScrapingActive = false;
+    this.stopRequested = true;
 
     // Send immediate feedback to popup
     this.sendProgressUpdate("Stopping scraper...", null);
@@ -166,46 +743,57 @@ class XProfileScraper {
 
   async scrapeCurrentPosts() {
     // Wait for page to load
-    await this.waitForElement('[data-testid="primaryColumn"]', 5000);
+    await SelectorUtils.waitForElement(
+      this.selectors.PROFILE_COLUMN.join(", "),
+      5000
+    );
+
+    if (this.threadMode && !this.thread) {
+      await this.initializeThreadContext();
+    }
+
+    await this.expandTruncatedPosts();
 
     const posts = this.extractPostsFromDOM();
+    const added = [];
     console.log(`Found ${posts.length} posts in current view`);
 
     posts.forEach((post) => {
       if (post.id && !this.scrapedPosts.has(post.id)) {
+        if (this.isKnownPost(post)) {
+          this.knownPostIds.add(post.id);
+          return;
+        }
+
+        if (!this.checkDateRange(post)) {
+          this.outOfRangeIds.add(post.id);
+          return;
+        }
+
+        if (this.threadMode) {
+          // Conversation order is what matters for threads, not time
+          post.threadPosition = this.scrapedPosts.size + 1;
+        }
         this.scrapedPosts.set(post.id, post);
+        this.lastSeenPostId = post.id;
+        added.push(post);
       }
     });
 
+    await this.fetchFullTexts(added);
+
     this.sendProgressUpdate();
+    this.checkpointSession();
   }
 
   extractPostsFromDOM() {
     const posts = [];
 
-    // Enhanced post detection with multiple selector strategies
-    const postSelectors = [
-      '[data-testid="tweet"]',
-      'article[data-testid="tweet"]',
-      '[data-testid="cellInnerDiv"] article',
-      'div[data-testid="tweet"]',
-      'article[role="article"]',
-    ];
-
-    let postElements = [];
-    for (const selector of postSelectors) {
-      try {
-        postElements = document.querySelectorAll(selector);
-        if (postElements.length > 0) {
-          console.log(
-            `Using selector: ${selector}, found ${postElements.length} posts`
-          );
-          break;
-        }
-      } catch (error) {
-        console.warn(`Invalid selector: ${selector}`, error);
-      }
-    }
+    // The first post selector that matches anything wins
+    const postElements = SelectorUtils.findElements(
+      document,
+      this.selectors.POSTS
+    );
 
     if (postElements.length === 0) {
       console.warn("No post elements found with any selector");
@@ -214,15 +802,22 @@ class XProfileScraper {
 
     // Filter out non-visible or duplicate elements
     const visiblePosts = Array.from(postElements).filter((element) => {
-      return this.isElementVisible(element) && this.isValidPost(element);
+      return SelectorUtils.isVisible(element) && this.isValidPost(element);
     });
 
     console.log(
       `Found ${visiblePosts.length} visible, valid posts out of ${postElements.length} total`
     );
 
+    // Posts captured on an earlier scroll are skipped before extraction, as
+    // reading one again would move the thread state on a second time
+    const seenIds = new Set(this.scrapedPosts.keys());
     visiblePosts.forEach((element, index) => {
       try {
+        const postId = this.generatePostId(element);
+        if (seenIds.has(postId)) return;
+        seenIds.add(postId);
+
         const post = this.extractPostData(element, index);
         if (post && this.isValidPostData(post)) {
           posts.push(post);
@@ -235,276 +830,891 @@ class XProfileScraper {
     return posts;
   }
 
-  isElementVisible(element) {
+  isValidPost(element) {
+    // Check if element contains typical post content
+    const hasText = SelectorUtils.findElement(
+      element,
+      this.selectors.POST_TEXT
+    );
+    const hasTime = SelectorUtils.findElement(
+      element,
+      this.selectors.TIMESTAMP
+    );
+    const hasMedia = SelectorUtils.findElement(element, [
+      ...this.selectors.IMAGES,
+      ...this.selectors.VIDEOS,
+    ]);
+
+    return !!(hasText || hasTime || hasMedia);
+  }
+
+  // Ads sit in a placement wrapper and, unlike the posts around them, have
+  // no link to a status page
+  isPromoted(element) {
+    return (
+      !!SelectorUtils.closest(element, this.selectors.PROMOTED) &&
+      !SelectorUtils.findElement(element, this.selectors.POST_URL)
+    );
+  }
+
+  isValidPostData(post) {
+    // Ensure post has minimum required data
+    return (
+      post.id &&
+      (post.text.length > 0 || post.media.length > 0 || !!post.quotedPost)
+    );
+  }
+
+  extractPostData(element, index) {
     try {
-      const rect = element.getBoundingClientRect();
-      const style = window.getComputedStyle(element);
+      // Ads are not part of the timeline being scraped, and without a time
+      // or a link of their own they would only count as broken posts
+      if (this.isPromoted(element)) {
+        return null;
+      }
 
-      return (
-        rect.width > 0 &&
-        rect.height > 0 &&
-        style.display !== "none" &&
-        style.visibility !== "hidden" &&
-        style.opacity !== "0"
+      const { post, matched } = this.readPost(element);
+
+      // Coverage counts every post read, including ones dropped below, so a
+      // broken text selector shows up as a low text fill rate
+      this.fieldChecks.set(
+        post.id,
+        this.fieldCoverage.checkPost(post, matched)
       );
+
+      // Only include posts with actual content
+      if (!post.text && !post.media.length && !post.quotedPost) {
+        this.emptyPostIds.add(post.id);
+        return null;
+      }
+
+      // In thread mode, work out where the post sits in the conversation.
+      // This moves the thread state on, so it only runs for posts kept
+      if (this.threadMode) {
+        const threadInfo = this.extractThreadInfo(element, post.id);
+        if (!threadInfo) {
+          return null;
+        }
+        Object.assign(post, threadInfo);
+      }
+
+      return post;
     } catch (error) {
-      return false;
+      console.warn("Error extracting individual post:", error);
+      return null;
     }
   }
 
-  isValidPost(element) {
-    // Check if element contains typical post content
-    const hasText =
-      element.querySelector('[data-testid="tweetText"]') ||
-      element.querySelector("div[lang]") ||
-      element.querySelector('div[dir="auto"]');
+  // Reads every field of a post without changing any run state. matched
+  // holds the selector each coverage field was found with
+  readPost(element) {
+    const matched = {};
+
+    // Quoted posts are nested inside the article and carry their own
+    // text, author and time, so pull them out before the main fields
+    const quoteContainer = this.findQuoteContainer(element);
+    const quotedPost = quoteContainer
+      ? this.extractQuotedPost(quoteContainer)
+      : null;
+
+    // Extract text content with multiple fallback strategies
+    const text = this.extractPostText(element, quoteContainer, matched);
+
+    const post = {
+      id: this.generatePostId(element),
+      order: this.scrapedPosts.size + 1,
+      text: text,
+      textTruncated: this.isTextTruncated(element, quoteContainer),
+      // Hashtags, mentions, cashtags and links, located within the text
+      entities: this.extractEntities(element, text, quoteContainer),
+      quotedPost: quotedPost,
+      author: this.extractAuthor(element, matched),
+      timestamp: this.extractTimestamp(element, matched),
+      url: this.extractPostUrl(element, matched),
+      metrics: this.extractEngagementMetrics(element, matched),
+      media: this.extractMediaInfo(element, quoteContainer),
+      metadata: this.extractPostMetadata(element),
+      scrapedAt: new Date().toISOString(),
+      scrollPosition: this.scrollCount,
+    };
+
+    return { post, matched };
+  }
 
-    const hasTime =
-      element.querySelector("time") || element.querySelector("[datetime]");
+  extractPostText(element, excludeContainer = null, matched = {}) {
+    const match = this.findTextMatch(element, excludeContainer);
+    if (!match) return "";
 
-    const hasMedia =
-      element.querySelector('img[src*="pbs.twimg.com"]') ||
-      element.querySelector("video");
+    matched.text = match.selector;
+    return SelectorUtils.extractText(match.element);
+  }
 
-    return hasText || hasTime || hasMedia;
+  // The first POST_TEXT match with any text, skipping matches inside the
+  // quoted post so its text never stands in for the main text
+  findTextElement(element, excludeContainer = null) {
+    const match = this.findTextMatch(element, excludeContainer);
+    return match ? match.element : null;
   }
 
-  isValidPostData(post) {
-    // Ensure post has minimum required data
-    return post.id && (post.text.length > 0 || post.media.length > 0);
+  // The first non-empty text block outside the quote, with the selector
+  // that found it
+  findTextMatch(element, excludeContainer = null) {
+    return SelectorUtils.findMatch(
+      element,
+      this.selectors.POST_TEXT,
+      (candidate) =>
+        (!excludeContainer || !excludeContainer.contains(candidate)) &&
+        SelectorUtils.extractText(candidate).length > 0
+    );
   }
 
-  extractPostData(element, index) {
+  // X renders every entity in the post text as a link; classify them by
+  // target. Offsets are UTF-16 indices into `text` (end exclusive).
+  extractEntities(element, text, excludeContainer = null) {
+    const entities = {
+      hashtags: [],
+      mentions: [],
+      cashtags: [],
+      urls: [],
+    };
+
     try {
-      // Generate a unique ID for the post
-      const postId = this.generatePostId(element);
+      const textElement = this.findTextElement(element, excludeContainer);
+      if (!textElement) return entities;
+
+      // Entities are only kept with their place in the text, so one whose
+      // display text isn't found there is left out
+      let cursor = 0;
+      const add = (list, entity, displayText) => {
+        const start = text.indexOf(displayText, cursor);
+        if (start === -1) return;
+        cursor = start + displayText.length;
+        list.push({ ...entity, start: start, end: cursor });
+      };
 
-      // Extract text content with multiple fallback strategies
-      const text = this.extractPostText(element);
+      textElement.querySelectorAll("a[href]").forEach((anchor) => {
+        const href = anchor.getAttribute("href") || "";
+        const displayText = (
+          anchor.innerText ||
+          anchor.textContent ||
+          ""
+        ).trim();
+        if (!displayText) return;
+
+        if (href.startsWith("/hashtag/")) {
+          add(
+            entities.hashtags,
+            { tag: displayText.replace(/^[#＃]/, "") },
+            displayText
+          );
+        } else if (
+          href.includes("cashtag_click") ||
+          /^\$[A-Za-z]/.test(displayText)
+        ) {
+          add(
+            entities.cashtags,
+            { symbol: displayText.replace(/^\$/, "") },
+            displayText
+          );
+        } else if (displayText.startsWith("@") && /^\/\w+$/.test(href)) {
+          add(entities.mentions, { handle: displayText.slice(1) }, displayText);
+        } else if (/^https?:\/\//.test(href)) {
+          add(
+            entities.urls,
+            {
+              displayUrl: displayText,
+              expandedUrl: this.getExpandedUrl(anchor, href),
+              shortUrl: href,
+            },
+            displayText
+          );
+        }
+      });
+    } catch (error) {
+      console.warn("Error extracting entities:", error);
+    }
 
-      // Extract timestamp with multiple strategies
-      const timestamp = this.extractTimestamp(element);
+    return entities;
+  }
 
-      // Extract author info with multiple strategies
-      const author = this.extractAuthor(element);
+  // t.co links display a shortened URL, but the anchor keeps the full one in
+  // its title or in visually hidden spans around the displayed part
+  getExpandedUrl(anchor, href) {
+    const title = anchor.getAttribute("title");
+    if (title && /^https?:\/\//.test(title)) return title;
 
-      // Extract engagement metrics
-      const metrics = this.extractEngagementMetrics(element);
+    const fullText = (anchor.textContent || "").trim().replace(/…$/, "");
+    if (/^https?:\/\/\S+$/.test(fullText)) return fullText;
 
-      // Extract media info
-      const media = this.extractMediaInfo(element);
+    return href;
+  }
 
-      // Only include posts with actual content
-      if (!text && !media.length) {
+  findQuoteContainer(element) {
+    const explicit = SelectorUtils.findElement(element, this.selectors.QUOTE);
+    if (explicit) return explicit;
+
+    // Otherwise the quote is a clickable card with its own author header
+    const cards = SelectorUtils.findElements(
+      element,
+      this.selectors.QUOTE_CARD
+    );
+    for (const card of cards) {
+      if (SelectorUtils.findElement(card, this.selectors.AUTHOR_HEADER)) {
+        return card;
+      }
+    }
+
+    return null;
+  }
+
+  extractQuotedPost(container) {
+    try {
+      const nameContainer = SelectorUtils.findElement(
+        container,
+        this.selectors.AUTHOR_HEADER
+      );
+      if (!nameContainer) {
+        // "This post is unavailable" and similar tombstones
         return null;
       }
 
+      const spans = Array.from(nameContainer.querySelectorAll("span"))
+        .map((span) => span.innerText?.trim() || span.textContent?.trim())
+        .filter(Boolean);
+      const handle = (spans.find((text) => /^@\w+$/.test(text)) || "").slice(1);
+      const author = spans.find((text) => !text.startsWith("@")) || "";
+
+      // The quote's time links to it when X renders it as a link; otherwise
+      // the card itself, or a media or "Show more" link inside it, does
+      const timeElement = SelectorUtils.findElement(
+        container,
+        this.selectors.TIMESTAMP
+      );
+      const timeLink = timeElement
+        ? timeElement.closest('a[href*="/status/"]')
+        : null;
+      const statusLink =
+        (timeLink && container.contains(timeLink) ? timeLink : null) ||
+        (SelectorUtils.matches(container, this.selectors.POST_URL)
+          ? container
+          : null) ||
+        SelectorUtils.findElement(container, this.selectors.POST_URL);
+      const statusMatch = statusLink
+        ? statusLink.getAttribute("href").match(/\/([^\/]+)\/status\/(\d+)/)
+        : null;
+
+      const textElement = this.findTextElement(container);
+
       return {
-        id: postId,
-        order: this.scrapedPosts.size + 1,
-        text: text,
+        id: statusMatch ? statusMatch[2] : null,
         author: author,
-        timestamp: timestamp,
-        url: this.extractPostUrl(element),
-        metrics: metrics,
-        media: media,
-        metadata: this.extractPostMetadata(element),
-        scrapedAt: new Date().toISOString(),
-        scrollPosition: this.scrollCount,
+        handle: handle || (statusMatch ? statusMatch[1] : ""),
+        text: textElement
+          ? textElement.innerText?.trim() || textElement.textContent?.trim()
+          : "",
+        timestamp: this.extractTimestamp(container),
+        url: statusMatch
+          ? `https://x.com/${statusMatch[1]}/status/${statusMatch[2]}`
+          : "",
+        media: this.extractMediaInfo(container),
       };
     } catch (error) {
-      console.warn("Error extracting individual post:", error);
+      console.warn("Error extracting quoted post:", error);
+      return null;
+    }
+  }
+
+  // Long posts are cut off behind "Show more". Where X renders it as a
+  // button the full text can be expanded in place; do that for every post in
+  // view before extraction.
+  async expandTruncatedPosts() {
+    const buttons = Array.from(
+      SelectorUtils.findElements(document, this.selectors.POSTS)
+    )
+      .flatMap((element) =>
+        Array.from(
+          element.querySelectorAll(this.selectors.SHOW_MORE.join(", "))
+        )
+      )
+      .filter((button) => button.tagName !== "A");
+
+    if (buttons.length === 0) return 0;
+
+    buttons.forEach((button) => button.click());
+
+    // Wait for the expanded text to replace the buttons
+    for (let waited = 0; waited < 1500; waited += 250) {
+      await this.delay(250);
+      if (buttons.every((button) => !button.isConnected)) break;
+    }
+
+    console.log(`Expanded ${buttons.length} truncated posts`);
+    return buttons.length;
+  }
+
+  // A "Show more" that is still present after expansion is a link to the
+  // post's own page, meaning the text here is only a preview
+  isTextTruncated(element, excludeContainer = null) {
+    return Array.from(
+      element.querySelectorAll(this.selectors.SHOW_MORE.join(", "))
+    ).some((link) => !excludeContainer || !excludeContainer.contains(link));
+  }
+
+  // Previews are replaced with the text from each post's own page, which the
+  // background worker reads in a tab of its own. Posts it can't read keep
+  // the preview and stay flagged as truncated
+  async fetchFullTexts(posts) {
+    const truncated = posts.filter((post) => post.textTruncated && post.url);
+    if (truncated.length === 0) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "fetchFullTexts",
+        posts: truncated.map((post) => ({ id: post.id, url: post.url })),
+      });
+      const texts = (response && response.texts) || {};
+
+      truncated.forEach((post) => {
+        // The preview's entities keep their offsets, as it starts the text
+        const preview = post.text.replace(/[\s…]+$/, "");
+        if (texts[post.id] && texts[post.id].startsWith(preview)) {
+          post.text = texts[post.id];
+          post.textTruncated = false;
+        }
+      });
+    } catch (error) {
+      console.warn("Error fetching full post texts:", error);
+    }
+  }
+
+  /**
+   * Read a post's text on its own page, where long posts are not cut off
+   * @param {string} id - Post id
+   * @returns {Promise<string|null>} - The text, or null if the post did not
+   *   show up
+   */
+  async readPostText(id) {
+    await this.selectorPackReady;
+
+    for (let waited = 0; waited < 10000; waited += 500) {
+      const element = Array.from(
+        SelectorUtils.findElements(document, this.selectors.POSTS)
+      ).find((candidate) => this.generatePostId(candidate) === id);
+
+      if (element) {
+        await this.expandTruncatedPosts();
+        return this.extractPostText(element, this.findQuoteContainer(element));
+      }
+      await this.delay(500);
+    }
+
+    return null;
+  }
+
+  extractTimestamp(element, matched = {}) {
+    const match = SelectorUtils.findMatch(element, this.selectors.TIMESTAMP);
+    if (!match) return "";
+
+    matched.timestamp = match.selector;
+    const timeElement = match.element;
+    return (
+      SelectorUtils.extractAttribute(timeElement, "datetime") ||
+      SelectorUtils.extractAttribute(timeElement, "title") ||
+      timeElement.innerText?.trim() ||
+      ""
+    );
+  }
+
+  extractAuthor(element, matched = {}) {
+    return {
+      name: this.extractAuthorName(element, matched),
+      handle: this.extractAuthorHandle(element, matched),
+      avatarUrl: this.extractAuthorAvatar(element),
+      verifiedType: this.extractVerifiedType(
+        SelectorUtils.findElement(element, this.selectors.AUTHOR_HEADER)
+      ),
+    };
+  }
+
+  extractAuthorName(element, matched = {}) {
+    for (const selector of this.selectors.AUTHOR) {
+      try {
+        const authorText = SelectorUtils.extractText(
+          element.querySelector(selector)
+        );
+        if (authorText.length > 0 && !authorText.includes("@")) {
+          matched.author = selector;
+          return authorText;
+        }
+      } catch (error) {
+        console.warn(`Error with author selector ${selector}:`, error);
+      }
+    }
+
+    return "";
+  }
+
+  extractAuthorHandle(element, matched = {}) {
+    const profileLink = SelectorUtils.findMatch(
+      element,
+      this.selectors.AUTHOR_HANDLE
+    );
+    if (!profileLink) return "";
+
+    matched.handle = profileLink.selector;
+    const match = profileLink.element
+      .getAttribute("href")
+      .match(/^\/([^\/?#]+)/);
+    return match ? match[1] : "";
+  }
+
+  extractAuthorAvatar(element) {
+    const avatar = SelectorUtils.findElement(
+      element,
+      this.selectors.AUTHOR_AVATAR
+    );
+    return avatar ? avatar.src : "";
+  }
+
+  // X has no text for the badge kind, only its look: business badges are
+  // drawn with a gold gradient, government ones in grey, subscribers in blue
+  extractVerifiedType(container) {
+    if (!container) return null;
+
+    const badge = SelectorUtils.findElement(
+      container,
+      this.selectors.VERIFIED_BADGE
+    );
+    if (!badge) return null;
+
+    if (badge.querySelector("linearGradient")) return "business";
+
+    const color = window.getComputedStyle(badge).color || "";
+    const [r, g, b] = (color.match(/\d+/g) || []).map(Number);
+    if (r === undefined) return "unknown";
+    if (b > r + 100 && b > g) return "blue";
+    if (Math.abs(r - g) < 40 && Math.abs(g - b) < 40) return "government";
+    return "unknown";
+  }
+
+  extractPostMetadata(element) {
+    const metadata = {
+      isRetweet: false,
+      isReply: false,
+      hasThread: false,
+      isPinned: false,
+      retweetedBy: "",
+      isQuote: false,
+      language: "",
+      verified: false,
+    };
+
+    try {
+      // Reposts link the social context to the reposting account; pinned
+      // posts show the same slot as plain text
+      const socialContext = SelectorUtils.findElement(
+        element,
+        this.selectors.SOCIAL_CONTEXT
+      );
+      const socialContextLinked =
+        !!socialContext &&
+        (!!socialContext.closest("a") || !!socialContext.querySelector("a"));
+
+      metadata.isPinned = !!socialContext && !socialContextLinked;
+
+      metadata.isQuote = !!this.findQuoteContainer(element);
+
+      // Check if it's a retweet
+      metadata.isRetweet = socialContextLinked;
+
+      // The reposting account, as opposed to the original author
+      if (socialContextLinked) {
+        const contextLink =
+          socialContext.closest("a") || socialContext.querySelector("a");
+        const match = (contextLink.getAttribute("href") || "").match(
+          /^\/([^\/?#]+)/
+        );
+        metadata.retweetedBy = match ? match[1] : "";
+      }
+
+      // Everything below is detected from markup only, never from the UI
+      // wording, so it works whatever language X is displayed in
+      const quoteContainer = this.findQuoteContainer(element);
+      const textElement = this.findTextElement(element, quoteContainer);
+
+      metadata.isReply = this.hasReplyContext(
+        element,
+        quoteContainer,
+        textElement
+      );
+      metadata.hasThread = this.hasThreadLink(element, quoteContainer);
+
+      // The language is set on the text container, else on some other
+      // part of the post outside the quote
+      const textLang = textElement ? textElement.closest("[lang]") : null;
+      const langElement =
+        textLang && element.contains(textLang)
+          ? textLang
+          : Array.from(element.querySelectorAll("[lang]")).find(
+              (candidate) =>
+                !quoteContainer || !quoteContainer.contains(candidate)
+            );
+      if (langElement) {
+        metadata.language = langElement.getAttribute("lang") || "";
+      }
+
+      // Check for verified badge
+      const header = SelectorUtils.findElement(
+        element,
+        this.selectors.AUTHOR_HEADER
+      );
+      metadata.verified =
+        !!header &&
+        !!SelectorUtils.findElement(header, this.selectors.VERIFIED_BADGE);
+    } catch (error) {
+      console.warn("Error extracting metadata:", error);
+    }
+
+    return metadata;
+  }
+
+  // Replies show a "Replying to @user" line: profile links with @handle text
+  // that sit outside the author header, the post text and any quote
+  hasReplyContext(element, quoteContainer = null, textElement = null) {
+    return Array.from(element.querySelectorAll('a[href^="/"]')).some(
+      (link) =>
+        /^@\w+$/.test((link.innerText || link.textContent || "").trim()) &&
+        !SelectorUtils.closest(link, this.selectors.AUTHOR_HEADER) &&
+        (!textElement || !textElement.contains(link)) &&
+        (!quoteContainer || !quoteContainer.contains(link))
+    );
+  }
+
+  // "Show this thread" links to the post itself, like the timestamp does,
+  // but without wrapping the <time> element
+  hasThreadLink(element, quoteContainer = null) {
+    return Array.from(element.querySelectorAll('a[href*="/status/"]')).some(
+      (link) =>
+        /^\/[^\/]+\/status\/\d+\/?$/.test(link.getAttribute("href")) &&
+        !link.querySelector("time") &&
+        !SelectorUtils.matches(link, this.selectors.SHOW_MORE) &&
+        (!quoteContainer || !quoteContainer.contains(link))
+    );
+  }
+
+  generatePostId(element) {
+    // Try to find a unique identifier
+    const linkElement = SelectorUtils.findElement(
+      element,
+      this.selectors.POST_URL
+    );
+    if (linkElement) {
+      const href = linkElement.getAttribute("href");
+      const statusMatch = href.match(/\/status\/(\d+)/);
+      if (statusMatch) {
+        return statusMatch[1];
+      }
+    }
+
+    // Fallback: use text content hash
+    const text = element.innerText.trim();
+    return SelectorUtils.generateHash(text + Date.now());
+  }
+
+  // Read the profile header once per run on profile timelines
+  async captureProfileSnapshot() {
+    if (!this.pageInfo.username || this.threadMode) return;
+
+    try {
+      await SelectorUtils.waitForElement(
+        this.selectors.PROFILE_NAME.join(", "),
+        5000
+      );
+    } catch (error) {
+      console.warn("Profile header not found:", error);
+      return;
+    }
+
+    try {
+      const find = (field) =>
+        SelectorUtils.findElement(document, this.selectors[field]);
+      const text = (field) => SelectorUtils.extractText(find(field));
+
+      const header = find("PROFILE_NAME");
+      const headerSpans = Array.from(header.querySelectorAll("span"))
+        .map((span) => (span.innerText || span.textContent || "").trim())
+        .filter(Boolean);
+
+      const website = find("PROFILE_WEBSITE");
+      const websiteLink = website
+        ? website.closest("a") || website.querySelector("a") || website
+        : null;
+
+      const avatar = find("PROFILE_AVATAR");
+      const banner = find("PROFILE_BANNER");
+
+      const pinned = Array.from(
+        SelectorUtils.findElements(document, this.selectors.POSTS)
+      ).find((element) => this.extractPostMetadata(element).isPinned);
+
+      this.profileSnapshot = {
+        name: headerSpans.find((span) => !span.startsWith("@")) || "",
+        handle: this.pageInfo.username,
+        verifiedType: this.extractVerifiedType(header),
+        bio: text("PROFILE_BIO"),
+        location: text("PROFILE_LOCATION"),
+        website: websiteLink
+          ? {
+              display: (websiteLink.innerText || "").trim(),
+              url:
+                websiteLink.tagName === "A"
+                  ? this.getExpandedUrl(
+                      websiteLink,
+                      websiteLink.getAttribute("href")
+                    )
+                  : "",
+            }
+          : null,
+        joinDate: text("PROFILE_JOIN_DATE"),
+        followers: this.readProfileCount(this.selectors.PROFILE_FOLLOWERS),
+        following: this.readProfileCount(this.selectors.PROFILE_FOLLOWING),
+        avatarUrl: avatar ? avatar.src : "",
+        bannerUrl: banner ? banner.src : "",
+        pinnedPostId: pinned ? this.generatePostId(pinned) : null,
+        capturedAt: new Date().toISOString(),
+      };
+
+      console.log("Captured profile snapshot:", this.profileSnapshot);
+    } catch (error) {
+      this.errorHandler.logError(error, "PROFILE_SNAPSHOT");
+    }
+  }
+
+  readProfileCount(selectors) {
+    const column = SelectorUtils.findElement(
+      document,
+      this.selectors.PROFILE_COLUMN
+    );
+    const link = column ? SelectorUtils.findElement(column, selectors) : null;
+    if (!link) return null;
+
+    // The first span holds the number ("12.3K"), the rest the label
+    const count = link.querySelector("span");
+    return this.parseCount(count ? count.innerText : link.innerText);
+  }
+
+  async initializeThreadContext() {
+    try {
+      await SelectorUtils.waitForElement(this.selectors.POSTS.join(", "), 5000);
+    } catch (error) {
+      console.warn("No posts rendered on status page yet:", error);
+    }
+
+    const focalId = this.pageInfo.statusId;
+    const articles = SelectorUtils.findElements(document, this.selectors.POSTS);
+    const focalElement = this.findPostElementById(focalId);
+
+    // The topmost post of a status page is the start of the conversation,
+    // either an ancestor of the focal post or the focal post itself
+    const conversationId =
+      articles.length > 0 ? this.generatePostId(articles[0]) : focalId;
+
+    this.thread = {
+      focalId: focalId,
+      conversationId: conversationId,
+      focalHandle: focalElement
+        ? this.extractAuthorHandle(focalElement)
+        : this.pageInfo.username,
+      selfThreadTailId: focalId,
+      repliesStarted: false,
+      reachedEnd: false,
+      expandedButtons: new WeakSet(),
+    };
+
+    console.log("Thread mode initialized:", this.thread);
+  }
+
+  extractThreadInfo(element, postId) {
+    if (!this.thread) return null;
+
+    if (this.isBeyondConversation(element)) {
       return null;
     }
+
+    const { focalId, conversationId } = this.thread;
+    const previous = this.findPreviousConnectedPost(element);
+    const previousId = previous ? this.generatePostId(previous) : null;
+
+    if (postId === focalId || this.isBeforeFocalPost(element)) {
+      return {
+        conversationId: conversationId,
+        inReplyToId: postId === conversationId ? null : previousId,
+        threadRole:
+          postId === conversationId
+            ? "root"
+            : postId === focalId
+            ? "focal"
+            : "ancestor",
+      };
+    }
+
+    // Posts below the focal one: the author's own continuation comes first,
+    // everything after that is a reply (possibly to another reply)
+    const handle = this.extractAuthorHandle(element);
+    const continuesSelfThread =
+      !this.thread.repliesStarted &&
+      handle &&
+      handle === this.thread.focalHandle &&
+      (!previousId || previousId === this.thread.selfThreadTailId);
+
+    if (continuesSelfThread) {
+      const inReplyToId = this.thread.selfThreadTailId;
+      this.thread.selfThreadTailId = postId;
+      return {
+        conversationId: conversationId,
+        inReplyToId: inReplyToId,
+        threadRole: "self_thread",
+      };
+    }
+
+    this.thread.repliesStarted = true;
+    return {
+      conversationId: conversationId,
+      inReplyToId: previousId || focalId,
+      threadRole: "reply",
+    };
   }
 
-  extractPostText(element) {
-    const textSelectors = [
-      '[data-testid="tweetText"]',
-      "div[lang] span",
-      'div[dir="auto"] span',
-      '[data-testid="tweetText"] span',
-      ".tweet-text",
-    ];
+  isBeforeFocalPost(element) {
+    // Ancestors are only rendered above the focal post, so once it has been
+    // virtualized away every newly seen post must be below it
+    const focalElement = this.findPostElementById(this.thread.focalId);
+    if (!focalElement || focalElement === element) return false;
 
-    for (const selector of textSelectors) {
-      try {
-        const textElement = element.querySelector(selector);
-        if (textElement) {
-          const text =
-            textElement.innerText?.trim() || textElement.textContent?.trim();
-          if (text && text.length > 0) {
-            return text;
-          }
-        }
-      } catch (error) {
-        console.warn(`Error with text selector ${selector}:`, error);
-      }
-    }
+    return !!(
+      element.compareDocumentPosition(focalElement) &
+      Node.DOCUMENT_POSITION_FOLLOWING
+    );
+  }
 
-    return "";
+  findPostElementById(postId) {
+    return (
+      Array.from(
+        SelectorUtils.findElements(document, this.selectors.POSTS)
+      ).find((element) => this.generatePostId(element) === postId) || null
+    );
   }
 
-  extractTimestamp(element) {
-    const timeSelectors = [
-      "time[datetime]",
-      "time",
-      "[datetime]",
-      'a[href*="/status/"] time',
-    ];
+  // Posts in the same reply chain are rendered in adjacent timeline cells;
+  // any non-post cell in between (composer, divider, "show more") breaks it
+  findPreviousConnectedPost(element) {
+    const cell = SelectorUtils.closest(element, this.selectors.TIMELINE_CELL);
+    const previousCell = cell ? cell.previousElementSibling : null;
+    if (!previousCell) return null;
 
-    for (const selector of timeSelectors) {
-      try {
-        const timeElement = element.querySelector(selector);
-        if (timeElement) {
-          return (
-            timeElement.getAttribute("datetime") ||
-            timeElement.getAttribute("title") ||
-            timeElement.innerText?.trim() ||
-            ""
-          );
-        }
-      } catch (error) {
-        console.warn(`Error with time selector ${selector}:`, error);
-      }
-    }
+    return SelectorUtils.findElement(previousCell, this.selectors.POSTS);
+  }
 
-    return "";
+  // Cells of the main column, in document order
+  getTimelineCells() {
+    const column = SelectorUtils.findElement(
+      document,
+      this.selectors.PROFILE_COLUMN
+    );
+    return column
+      ? Array.from(
+          SelectorUtils.findElements(column, this.selectors.TIMELINE_CELL)
+        )
+      : [];
   }
 
-  extractAuthor(element) {
-    const authorSelectors = [
-      '[data-testid="User-Name"] span',
-      '[data-testid="User-Names"] span',
-      'div[dir="ltr"] span',
-      '[data-testid="User-Name"]',
-      ".username",
-    ];
+  // Status pages append unrelated recommendations ("Discover more") under a
+  // heading after the replies; nothing below it belongs to the conversation
+  isBeyondConversation(element) {
+    const headingCell = this.getTimelineCells().find((cell) =>
+      SelectorUtils.findElement(cell, this.selectors.THREAD_END_HEADING)
+    );
 
-    for (const selector of authorSelectors) {
-      try {
-        const authorElement = element.querySelector(selector);
-        if (authorElement) {
-          const authorText =
-            authorElement.innerText?.trim() ||
-            authorElement.textContent?.trim();
-          if (
-            authorText &&
-            authorText.length > 0 &&
-            !authorText.includes("@")
-          ) {
-            return authorText;
-          }
-        }
-      } catch (error) {
-        console.warn(`Error with author selector ${selector}:`, error);
+    if (headingCell) {
+      if (
+        headingCell.compareDocumentPosition(element) &
+        Node.DOCUMENT_POSITION_FOLLOWING
+      ) {
+        this.thread.reachedEnd = true;
+        return true;
       }
+      return false;
     }
 
-    return "";
+    // The heading has scrolled out of the virtualized list
+    return this.thread.reachedEnd;
   }
 
-  extractPostMetadata(element) {
-    const metadata = {
-      isRetweet: false,
-      isReply: false,
-      hasThread: false,
-      language: "",
-      verified: false,
-    };
+  async expandThreadReplies() {
+    if (!this.thread) return 0;
 
-    try {
-      // Check if it's a retweet
-      metadata.isRetweet =
-        !!element.querySelector('[data-testid="socialContext"]') ||
-        !!element.querySelector('[aria-label*="retweeted"]');
-
-      // Check if it's a reply
-      metadata.isReply =
-        !!element.querySelector('[data-testid="reply"]') ||
-        element.innerText.includes("Replying to");
-
-      // Check for thread indicator
-      metadata.hasThread =
-        !!element.querySelector('[aria-label*="thread"]') ||
-        element.innerText.includes("Show this thread");
-
-      // Extract language
-      const langElement = element.querySelector("[lang]");
-      if (langElement) {
-        metadata.language = langElement.getAttribute("lang") || "";
-      }
+    const cells = this.getTimelineCells();
+    let expanded = 0;
 
-      // Check for verified badge
-      metadata.verified =
-        !!element.querySelector('[data-testid="icon-verified"]') ||
-        !!element.querySelector('[aria-label*="Verified"]');
-    } catch (error) {
-      console.warn("Error extracting metadata:", error);
-    }
+    for (const cell of cells) {
+      // Only cells that are pure buttons: not posts and not the reply composer
+      if (
+        SelectorUtils.findElement(cell, this.selectors.POSTS) ||
+        SelectorUtils.findElement(cell, this.selectors.REPLY_COMPOSER)
+      ) {
+        continue;
+      }
 
-    return metadata;
-  }
+      const button = cell.querySelector('[role="button"], button');
+      if (!button || this.thread.expandedButtons.has(button)) continue;
 
-  generatePostId(element) {
-    // Try to find a unique identifier
-    const linkElement = element.querySelector('a[href*="/status/"]');
-    if (linkElement) {
-      const href = linkElement.getAttribute("href");
-      const statusMatch = href.match(/\/status\/(\d+)/);
-      if (statusMatch) {
-        return statusMatch[1];
+      if (this.isBeyondConversation(cell) || !SelectorUtils.isVisible(button)) {
+        continue;
       }
-    }
-
-    // Fallback: use text content hash
-    const text = element.innerText.trim();
-    return this.simpleHash(text + Date.now());
-  }
 
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash; // Convert to 32-bit integer
+      this.thread.expandedButtons.add(button);
+      console.log("Expanding replies:", button.innerText?.trim());
+      button.click();
+      expanded++;
+      await this.delay(1000);
     }
-    return Math.abs(hash).toString();
+
+    return expanded;
   }
 
-  extractPostUrl(element) {
-    const linkElement = element.querySelector('a[href*="/status/"]');
-    if (linkElement) {
-      const href = linkElement.getAttribute("href");
+  extractPostUrl(element, matched = {}) {
+    const link = SelectorUtils.findMatch(element, this.selectors.POST_URL);
+    if (link) {
+      matched.url = link.selector;
+      const href = link.element.getAttribute("href");
       return href.startsWith("http") ? href : `https://x.com${href}`;
     }
     return "";
   }
 
-  extractEngagementMetrics(element) {
+  extractEngagementMetrics(element, matched = {}) {
     const metrics = {
       replies: 0,
       retweets: 0,
       likes: 0,
+      quotes: 0,
+      bookmarks: 0,
       views: 0,
     };
 
     try {
-      // Look for engagement buttons and their counts
-      const buttons = element.querySelectorAll('[role="button"]');
-      buttons.forEach((button) => {
-        const text = button.innerText.trim();
-        const ariaLabel = button.getAttribute("aria-label") || "";
-
-        if (ariaLabel.includes("reply") || ariaLabel.includes("Reply")) {
-          metrics.replies = this.parseCount(text);
-        } else if (
-          ariaLabel.includes("retweet") ||
-          ariaLabel.includes("Retweet")
-        ) {
-          metrics.retweets = this.parseCount(text);
-        } else if (ariaLabel.includes("like") || ariaLabel.includes("Like")) {
-          metrics.likes = this.parseCount(text);
+      const quoteContainer = this.findQuoteContainer(element);
+
+      Object.entries(this.selectors.METRICS).forEach(([metric, selectors]) => {
+        const control = SelectorUtils.findMatch(
+          element,
+          selectors,
+          (candidate) => !quoteContainer || !quoteContainer.contains(candidate)
+        );
+
+        if (control) {
+          matched[metric] = control.selector;
+          metrics[metric] = this.readMetricCount(control.element);
         }
       });
     } catch (error) {
@@ -514,43 +1724,129 @@ class XProfileScraper {
     return metrics;
   }
 
+  // The visible count is abbreviated ("1.2K") but the aria-label carries the
+  // exact number ("1,234 Likes. Like"), so prefer it
+  readMetricCount(control) {
+    const ariaLabel = control.getAttribute("aria-label") || "";
+    const exact = ariaLabel.match(/\d[\d,.\s\u00a0\u202f]*\d|\d/);
+    if (exact) {
+      return parseInt(exact[0].replace(/\D/g, ""), 10) || 0;
+    }
+
+    return this.parseCount((control.innerText || "").trim());
+  }
+
+  // Parses abbreviated counts as X displays them in any language, e.g.
+  // "1.2K", "1,2 Mio.", "1.234", "1,5 mil", "3,4万", "1.2억"
   parseCount(text) {
     if (!text) return 0;
 
-    // Handle K, M suffixes
-    const cleanText = text.replace(/[^\d.KMkm]/g, "");
-    if (cleanText.includes("K") || cleanText.includes("k")) {
-      return Math.floor(parseFloat(cleanText) * 1000);
-    } else if (cleanText.includes("M") || cleanText.includes("m")) {
-      return Math.floor(parseFloat(cleanText) * 1000000);
+    const match = text
+      .replace(/[\u00a0\u202f]/g, " ")
+      .match(/(\d[\d.,' ]*)\s*([^\d\s]*)/);
+    if (!match) return 0;
+
+    const digits = match[1].trim();
+    const suffix = match[2].toLowerCase().replace(/\.$/, "");
+    const multiplier = COUNT_SUFFIXES[suffix] || 1;
+
+    return Math.round(
+      this.parseLocaleNumber(digits, multiplier > 1) * multiplier
+    );
+  }
+
+  // Whether "." or "," is the decimal mark depends on the locale. With both
+  // present the last one is decimal; with one, it is decimal for abbreviated
+  // counts ("1,2 Mio.") and a group separator before exactly three digits
+  // ("1.234")
+  parseLocaleNumber(digits, abbreviated) {
+    const compact = digits.replace(/[' ]/g, "");
+    const lastDot = compact.lastIndexOf(".");
+    const lastComma = compact.lastIndexOf(",");
+    let decimalMark = null;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      decimalMark = lastDot > lastComma ? "." : ",";
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const mark = lastDot !== -1 ? "." : ",";
+      const fraction = compact.slice(compact.lastIndexOf(mark) + 1);
+      const occurrences = compact.split(mark).length - 1;
+      if (abbreviated || (occurrences === 1 && fraction.length !== 3)) {
+        decimalMark = mark;
+      }
     }
 
-    return parseInt(cleanText) || 0;
+    if (!decimalMark) {
+      return parseInt(compact.replace(/[.,]/g, ""), 10) || 0;
+    }
+
+    const [integer, fraction] = [
+      compact.slice(0, compact.lastIndexOf(decimalMark)),
+      compact.slice(compact.lastIndexOf(decimalMark) + 1),
+    ];
+    return parseFloat(`${integer.replace(/[.,]/g, "")}.${fraction}`) || 0;
   }
 
-  extractMediaInfo(element) {
+  // Media is read from X's attachment containers rather than from every
+  // twimg image in the post, which would also pick up avatars and emoji.
+  // Attachments inside a quoted post belong to that post.
+  extractMediaInfo(element, excludeContainer = null) {
     const media = [];
+    const isOwn = (node) =>
+      !excludeContainer || !excludeContainer.contains(node);
 
     try {
-      // Images
-      const images = element.querySelectorAll('img[src*="pbs.twimg.com"]');
-      images.forEach((img) => {
-        media.push({
-          type: "image",
-          url: img.src,
-          alt: img.alt || "",
+      // Photos and videos, in the order they appear in the grid
+      element
+        .querySelectorAll(
+          [...this.selectors.IMAGES, ...this.selectors.VIDEOS].join(", ")
+        )
+        .forEach((node) => {
+          if (!isOwn(node)) return;
+
+          if (node.tagName === "VIDEO") {
+            media.push(this.extractVideoInfo(node));
+          } else if (/pbs\.twimg\.com\/media\//.test(node.src)) {
+            media.push({
+              type: "photo",
+              url: node.src,
+              alt: node.alt || "",
+            });
+          }
         });
-      });
 
-      // Videos
-      const videos = element.querySelectorAll("video");
-      videos.forEach((video) => {
-        media.push({
-          type: "video",
-          url: video.src || "",
-          poster: video.poster || "",
+      // Polls and Spaces are rendered as special cards, so pick them out
+      // before treating the rest as link previews
+      const polls = Array.from(
+        element.querySelectorAll(this.selectors.POLLS.join(", "))
+      ).filter(isOwn);
+      polls.forEach((poll) => media.push(this.extractPollInfo(poll)));
+
+      const spaceLinks = Array.from(
+        element.querySelectorAll(this.selectors.SPACES.join(", "))
+      ).filter(isOwn);
+      spaceLinks.forEach((link) => media.push(this.extractSpaceInfo(link)));
+
+      element
+        .querySelectorAll(this.selectors.CARDS.join(", "))
+        .forEach((card) => {
+          if (
+            !isOwn(card) ||
+            polls.some((poll) => card.contains(poll)) ||
+            spaceLinks.some((link) => card.contains(link))
+          ) {
+            return;
+          }
+          media.push(this.extractCardInfo(card));
         });
-      });
+
+      const note = SelectorUtils.findElement(
+        element,
+        this.selectors.COMMUNITY_NOTES
+      );
+      if (note && isOwn(note)) {
+        media.push(this.extractCommunityNote(note));
+      }
     } catch (error) {
       console.warn("Error extracting media:", error);
     }
@@ -558,6 +1854,184 @@ class XProfileScraper {
     return media;
   }
 
+  // GIFs are served as looping MP4s from their own tweet_video paths, while
+  // regular videos usually stream from a blob: URL
+  extractVideoInfo(video) {
+    const player =
+      SelectorUtils.closest(video, this.selectors.VIDEO_PLAYER) ||
+      video.parentElement;
+    const source = video.querySelector("source");
+    const url = video.currentSrc || video.src || (source ? source.src : "");
+    const thumbnail = video.poster || "";
+    const isGif = /\/tweet_video(_thumb)?\//.test(`${url} ${thumbnail}`);
+
+    return {
+      type: isGif ? "animated_gif" : "video",
+      url: url,
+      thumbnail: thumbnail,
+      duration: isGif ? null : this.getVideoDuration(video, player),
+      aspectRatio: this.getAspectRatio(video, player),
+    };
+  }
+
+  // The element only knows its length once metadata has loaded; before that
+  // read the "0:45" badge X draws over the player
+  getVideoDuration(video, player) {
+    if (Number.isFinite(video.duration) && video.duration > 0) {
+      return Math.round(video.duration * 10) / 10;
+    }
+
+    const badge = this.getLeafTexts(player).find((text) =>
+      /^\d{1,2}(:\d{2}){1,2}$/.test(text)
+    );
+    if (!badge) return null;
+
+    return badge
+      .split(":")
+      .reduce((seconds, part) => seconds * 60 + parseInt(part, 10), 0);
+  }
+
+  // Width divided by height. Before playback the player box is sized to the
+  // video, although grids of several attachments crop it
+  getAspectRatio(video, player) {
+    let width = video.videoWidth;
+    let height = video.videoHeight;
+
+    if (!width || !height) {
+      const rect = (player || video).getBoundingClientRect();
+      width = rect.width;
+      height = rect.height;
+    }
+
+    return width && height ? Math.round((width / height) * 1000) / 1000 : null;
+  }
+
+  extractCardInfo(card) {
+    const link = card.querySelector("a[href]");
+    const image = SelectorUtils.findElement(card, this.selectors.CARD_IMAGE);
+    const texts = this.getLeafTexts(
+      SelectorUtils.findElement(card, this.selectors.CARD_DETAIL) || card
+    );
+
+    // The domain is the short text that holds a host name, sometimes
+    // wrapped in a localized "From ..."; the title is the first other text
+    const hostPattern = /(?:[a-z0-9-]+\.)+[a-z]{2,}/i;
+    const domainText = texts.find(
+      (text) => hostPattern.test(text) && text.split(/\s+/).length <= 2
+    );
+    const title = texts.find((text) => text !== domainText);
+
+    const url = link
+      ? this.getExpandedUrl(link, link.getAttribute("href"))
+      : "";
+    let domain = domainText ? domainText.match(hostPattern)[0] : "";
+    if (!domain && url && !/^https?:\/\/t\.co\//.test(url)) {
+      try {
+        domain = new URL(url).hostname;
+      } catch (error) {
+        domain = "";
+      }
+    }
+
+    return {
+      type: "card",
+      url: url,
+      title: title || (image ? image.alt : ""),
+      domain: domain.replace(/^www\./, ""),
+      thumbnail: image ? image.src : "",
+    };
+  }
+
+  // Open polls list their options as radio buttons. Once closed, or after
+  // voting, each option is shown next to its percentage instead
+  extractPollInfo(poll) {
+    const texts = this.getLeafTexts(poll);
+    const isPercentage = (text) =>
+      text.includes("%") && /^%?\s?\d+([.,]\d+)?\s?%?$/.test(text);
+    const options = [];
+    let lastOptionIndex = -1;
+
+    const radios = poll.querySelectorAll('[role="radio"]');
+    if (radios.length > 0) {
+      radios.forEach((radio) => {
+        const label = radio.textContent.trim();
+        options.push({ label: label, percentage: null });
+        lastOptionIndex = Math.max(lastOptionIndex, texts.lastIndexOf(label));
+      });
+    } else {
+      texts.forEach((text, index) => {
+        if (!isPercentage(text) || index === 0) return;
+
+        const label = texts[index - 1];
+        if (isPercentage(label)) return;
+
+        options.push({
+          label: label,
+          percentage: parseFloat(
+            text.replace(/[^\d.,]/g, "").replace(",", ".")
+          ),
+        });
+        lastOptionIndex = index;
+      });
+    }
+
+    // The footer reads e.g. "1,234 votes · Final results"
+    const votesText = texts
+      .slice(lastOptionIndex + 1)
+      .find((text) => /\d/.test(text));
+
+    return {
+      type: "poll",
+      options: options,
+      totalVotes: votesText ? this.parseCount(votesText) : null,
+      resultsVisible: radios.length === 0,
+    };
+  }
+
+  extractSpaceInfo(link) {
+    const container = SelectorUtils.closest(link, this.selectors.CARDS) || link;
+    const match = (link.getAttribute("href") || "").match(/\/i\/spaces\/(\w+)/);
+
+    // The card also shows host, listener count and a play button; the
+    // title is by far the longest of those
+    const title = this.getLeafTexts(container).sort(
+      (a, b) => b.length - a.length
+    )[0];
+
+    return {
+      type: "space",
+      id: match ? match[1] : null,
+      url: match ? `https://x.com/i/spaces/${match[1]}` : link.href,
+      title: title || "",
+    };
+  }
+
+  // The note body is the longest paragraph under the localized "Readers
+  // added context" heading
+  extractCommunityNote(note) {
+    const paragraphs = Array.from(note.querySelectorAll("div"))
+      .filter((div) => !div.querySelector("div"))
+      .map((div) => (div.textContent || "").trim())
+      .sort((a, b) => b.length - a.length);
+    const link = note.querySelector('a[href*="/i/birdwatch/"]');
+
+    return {
+      type: "community_note",
+      text: paragraphs[0] || "",
+      url: link ? new URL(link.getAttribute("href"), location.origin).href : "",
+    };
+  }
+
+  // Visible text of every innermost span/div, in document order
+  getLeafTexts(container) {
+    if (!container) return [];
+
+    return Array.from(container.querySelectorAll("span, div"))
+      .filter((node) => node.children.length === 0)
+      .map((node) => (node.textContent || "").trim())
+      .filter(Boolean);
+  }
+
   async startAutoScroll() {
     console.log("Starting auto-scroll process...");
     let consecutiveEmptyScrolls = 0;
@@ -571,14 +2045,45 @@ class XProfileScraper {
         console.log(
           `Reached max posts limit: ${this.settings.maxPosts} (current: ${this.scrapedPosts.size})`
         );
+        this.stopReason = "maxPosts";
+        break;
+      }
+      // X navigates without reloading; don't keep scrolling a different page
+      if (this.hasNavigatedAway()) {
+        console.log("Page changed during scraping, stopping...");
+        this.navigatedAway = true;
+        this.stopReason = "navigated";
+        break;
+      }
+
+      if (this.settings.incremental && this.reachedKnownPosts) {
+        console.log("Reached posts from the previous run, stopping...");
+        this.stopReason = "knownPosts";
         break;
       }
+
       const postsBeforeScroll = this.scrapedPosts.size;
+      // Posts skipped by the date or incremental filters still mean the
+      // timeline is moving
+      const seenBeforeScroll = this.getSeenPostCount();
+
+      if (this.threadMode) {
+        if (this.thread && this.thread.reachedEnd) {
+          console.log("Reached the end of the conversation");
+          this.stopReason = "end";
+          break;
+        }
+
+        if ((await this.expandThreadReplies()) > 0) {
+          await this.scrapeCurrentPosts();
+        }
+      }
 
       // Perform scroll and wait for content
       const scrollResult = await this.performScroll();
       if (!scrollResult.success) {
         console.log("Scroll failed, stopping...");
+        this.stopReason = "error";
         break;
       }
 
@@ -600,6 +2105,7 @@ class XProfileScraper {
 
       const postsAfterScroll = this.scrapedPosts.size;
       const newPostsFound = postsAfterScroll - postsBeforeScroll;
+      const newPostsSeen = this.getSeenPostCount() - seenBeforeScroll;
 
       console.log(
         `Scroll ${this.scrollCount}: Found ${newPostsFound} new posts (total: ${postsAfterScroll})`
@@ -608,11 +2114,52 @@ class XProfileScraper {
       // Check if we've reached the max posts limit
       if (postsAfterScroll >= this.settings.maxPosts) {
         console.log(`Reached max posts limit: ${this.settings.maxPosts}`);
+        this.stopReason = "maxPosts";
+        break;
+      }
+
+      if (this.hasPassedSinceDate()) {
+        console.log(
+          `${this.consecutiveOlderPosts} consecutive posts before ${this.settings.sinceDate} - stopping`
+        );
+        this.stopReason = "sinceDate";
+        break;
+      }
+
+      if (newPostsSeen > 0) {
+        this.retryAttempts = 0;
+      }
+
+      // X shows an error banner with a Retry button when a batch fails to
+      // load. A retry often loads it, so only a banner that keeps coming
+      // back counts as rate limiting
+      if (await this.checkForRateLimiting()) {
+        if (
+          this.retryAttempts < this.maxRetryAttempts &&
+          this.clickRetryButton()
+        ) {
+          this.retryAttempts++;
+          console.log(
+            `Error banner shown, clicked Retry (attempt ${this.retryAttempts} of ${this.maxRetryAttempts})`
+          );
+          this.sendProgressUpdate(
+            `X failed to load more posts, retrying (${this.retryAttempts}/${this.maxRetryAttempts})...`
+          );
+          // The retried batch gets a fresh wait before the timeline counts
+          // as ended
+          noNewPostsStartTime = null;
+          consecutiveEmptyScrolls = 0;
+          continue;
+        }
+
+        console.log("Rate limiting detected, stopping...");
+        this.rateLimited = true;
+        this.stopReason = "rateLimited";
         break;
       }
 
       // Track when we stop finding new posts
-      if (newPostsFound === 0) {
+      if (newPostsSeen === 0) {
         if (noNewPostsStartTime === null) {
           noNewPostsStartTime = Date.now();
           console.log("Started 5-second countdown - no new posts found");
@@ -625,6 +2172,7 @@ class XProfileScraper {
           // If 5 seconds have passed without new posts, stop
           if (timeWithoutNewPosts >= 5000) {
             console.log("5 seconds without new posts - stopping scraper");
+            this.stopReason = "end";
             break;
           }
         }
@@ -641,12 +2189,7 @@ class XProfileScraper {
         console.log(
           `Too many consecutive empty scrolls (${consecutiveEmptyScrolls})`
         );
-        break;
-      }
-
-      // Check for rate limiting indicators
-      if (await this.checkForRateLimiting()) {
-        console.log("Rate limiting detected, stopping...");
+        this.stopReason = "end";
         break;
       }
 
@@ -659,7 +2202,7 @@ class XProfileScraper {
       await this.delay(this.settings.scrollDelay);
     }
 
-    this.completeScraping();
+    await this.completeScraping();
   }
 
   async performScroll() {
@@ -709,8 +2252,9 @@ class XProfileScraper {
 
   async waitForNewContent() {
     const initialHeight = document.documentElement.scrollHeight;
-    const initialPostCount = document.querySelectorAll(
-      '[data-testid="tweet"]'
+    const initialPostCount = SelectorUtils.findElements(
+      document,
+      this.selectors.POSTS
     ).length;
     const maxWaitTime = 10000; // 10 seconds max wait
     const checkInterval = 500; // Check every 500ms
@@ -725,8 +2269,9 @@ class XProfileScraper {
       waitTime += checkInterval;
 
       const currentHeight = document.documentElement.scrollHeight;
-      const currentPostCount = document.querySelectorAll(
-        '[data-testid="tweet"]'
+      const currentPostCount = SelectorUtils.findElements(
+        document,
+        this.selectors.POSTS
       ).length;
 
       // Check for loading indicators
@@ -767,40 +2312,17 @@ class XProfileScraper {
   }
 
   checkForLoadingIndicators() {
-    const loadingSelectors = [
-      '[data-testid="spinner"]',
-      ".loading",
-      '[aria-label*="Loading"]',
-      '[data-testid="cellInnerDiv"] [role="progressbar"]',
-    ];
-
-    for (const selector of loadingSelectors) {
-      if (document.querySelector(selector)) {
-        return true;
-      }
-    }
-    return false;
+    return !!SelectorUtils.findElement(
+      document,
+      this.selectors.LOADING_SPINNER
+    );
   }
 
   async checkForRateLimiting() {
     // Check for common rate limiting indicators
-    const rateLimitSelectors = [
-      '[data-testid="error"]',
-      ".error-message",
-      '[aria-label*="error"]',
-      'text*="rate limit"',
-      'text*="try again"',
-    ];
-
-    for (const selector of rateLimitSelectors) {
-      try {
-        if (document.querySelector(selector)) {
-          console.warn("Potential rate limiting detected");
-          return true;
-        }
-      } catch (error) {
-        // Ignore selector errors
-      }
+    if (SelectorUtils.findElement(document, this.selectors.PAGE_ERROR)) {
+      console.warn("Potential rate limiting detected");
+      return true;
     }
 
     // Check if we're getting redirected or blocked
@@ -816,18 +2338,41 @@ class XProfileScraper {
     return false;
   }
 
+  /**
+   * Click the Retry button in X's error banner
+   * @returns {boolean} - Whether a button was found and clicked
+   */
+  clickRetryButton() {
+    const banner = SelectorUtils.findElement(
+      document,
+      this.selectors.PAGE_ERROR
+    );
+    const button =
+      banner && SelectorUtils.findElement(banner, this.selectors.RETRY_BUTTON);
+    if (!button) return false;
+
+    button.click();
+    return true;
+  }
+
+  hasNavigatedAway() {
+    const current = PageType.detect(window.location.href);
+    return !current || current.url !== this.pageInfo.url;
+  }
+
   hasReachedEnd() {
     return this.noNewContentCount >= this.maxNoNewContentAttempts;
   }
 
   sendProgressUpdate(message = "", customProgress = null) {
+    this.progressTracker.updateProgress(
+      Math.min(this.scrapedPosts.size, this.settings.maxPosts),
+      message
+    );
     const progress =
       customProgress !== null
         ? customProgress
-        : Math.min(
-            (this.scrapedPosts.size / this.settings.maxPosts) * 100,
-            100
-          );
+        : this.progressTracker.calculateOverallProgress();
 
     const updateData = {
       action: "updateProgress",
@@ -853,8 +2398,9 @@ class XProfileScraper {
     });
   }
 
-  completeScraping() {
+  async completeScraping() {
     this.isScrapingActive = false;
+    this.disconnectFromBackground();
 
     // Get all posts and sort them
     let posts = Array.from(this.scrapedPosts.values());
@@ -869,12 +2415,51 @@ class XProfileScraper {
       `Scraping complete! Found ${posts.length} unique posts after deduplication and sorting`
     );
 
+    // Stopped and interrupted sessions stay resumable from the popup
+    const sessionStatus = this.navigatedAway
+      ? "interrupted"
+      : this.stopRequested
+      ? "stopped"
+      : "completed";
+    // The background worker keeps the last checkpoint's posts until the
+    // sorted list below replaces them, so it must land first
+    await this.checkpointSession(sessionStatus, true);
+    this.progressTracker.completePhase(sessionStatus);
+    this.saveIncrementalState(posts, sessionStatus).catch((error) => {
+      console.warn("Error saving incremental state:", error);
+    });
+
+    // The pinned post may only have rendered after the header was read
+    if (this.profileSnapshot && !this.profileSnapshot.pinnedPostId) {
+      const pinned = posts.find((post) => post.metadata.isPinned);
+      this.profileSnapshot.pinnedPostId = pinned ? pinned.id : null;
+    }
+
     chrome.runtime
       .sendMessage({
         action: "scrapingComplete",
+        sessionId: this.session ? this.session.id : null,
+        status: sessionStatus,
+        // Lets the batch queue pause instead of moving to the next page
+        rateLimited: this.rateLimited,
+        stopReason: this.stopRequested
+          ? "stopped"
+          : this.navigatedAway
+          ? "navigated"
+          : this.stopReason || "stopped",
         posts: posts,
         totalScrolls: this.scrollCount,
         stats: this.getScrapingStats(posts),
+        coverage: this.getCoverage(posts),
+        source: this.pageInfo,
+        incremental: this.getIncrementalInfo(),
+        profile: this.profileSnapshot,
+        thread: this.thread
+          ? {
+              conversationId: this.thread.conversationId,
+              focalId: this.thread.focalId,
+            }
+          : null,
       })
       .catch((error) => {
         console.warn("Error sending completion message:", error);
@@ -904,11 +2489,21 @@ class XProfileScraper {
 
   createContentHash(post) {
     // Create a hash based on text content and timestamp for additional deduplication
-    const content = `${post.text}|${post.timestamp}|${post.author}`;
-    return this.simpleHash(content);
+    const author = post.author ? post.author.handle || post.author.name : "";
+    const content = `${post.text}|${post.timestamp}|${author}`;
+    return SelectorUtils.generateHash(content);
   }
 
   sortAndOrderPosts(posts) {
+    if (this.threadMode) {
+      // Keep conversation order so the reply tree reads top to bottom
+      posts.sort((a, b) => a.threadPosition - b.threadPosition);
+      posts.forEach((post, index) => {
+        post.finalOrder = index + 1;
+      });
+      return posts;
+    }
+
     // Sort posts by timestamp (newest first), then by scroll position as fallback
     posts.sort((a, b) => {
       // Try to parse timestamps
@@ -972,10 +2567,29 @@ class XProfileScraper {
       totalPosts: posts.length,
       totalScrolls: this.scrollCount,
       postsWithMedia: posts.filter((p) => p.media && p.media.length > 0).length,
+      mediaTypes: posts.reduce((counts, p) => {
+        (p.media || []).forEach((item) => {
+          counts[item.type] = (counts[item.type] || 0) + 1;
+        });
+        return counts;
+      }, {}),
       postsWithText: posts.filter((p) => p.text && p.text.length > 0).length,
       retweets: posts.filter((p) => p.metadata && p.metadata.isRetweet).length,
       replies: posts.filter((p) => p.metadata && p.metadata.isReply).length,
       threads: posts.filter((p) => p.metadata && p.metadata.hasThread).length,
+      quotes: posts.filter((p) => p.quotedPost).length,
+      hashtags: posts.reduce(
+        (total, p) => total + (p.entities ? p.entities.hashtags.length : 0),
+        0
+      ),
+      links: posts.reduce(
+        (total, p) => total + (p.entities ? p.entities.urls.length : 0),
+        0
+      ),
+      truncatedTexts: posts.filter((p) => p.textTruncated).length,
+      engagement: this.getEngagementStats(posts),
+      outOfDateRange: this.outOfRangeIds.size,
+      previouslyScraped: this.knownPostIds.size,
       verified: posts.filter((p) => p.metadata && p.metadata.verified).length,
       languages: [
         ...new Set(posts.map((p) => p.metadata?.language).filter(Boolean)),
@@ -986,6 +2600,87 @@ class XProfileScraper {
     return stats;
   }
 
+  // Posts restored from a resumed session were checked in an earlier page
+  // load, so only this page's checks count. Posts dropped for having no
+  // content count too, since missing text is what a broken selector looks like
+  getCoverage(posts) {
+    const ids = new Set(posts.map((post) => post.id));
+    this.emptyPostIds.forEach((id) => ids.add(id));
+
+    return this.fieldCoverage.summarize(
+      Array.from(ids)
+        .map((id) => this.fieldChecks.get(id))
+        .filter(Boolean)
+    );
+  }
+
+  // Runs every field against the posts in view without scraping, so broken
+  // selectors show up before a run
+  diagnosePage() {
+    const postSelector =
+      this.selectors.POSTS.find(
+        (selector) =>
+          SelectorUtils.isValidSelector(selector) &&
+          document.querySelector(selector)
+      ) || null;
+    const elements = Array.from(
+      SelectorUtils.findElements(document, this.selectors.POSTS)
+    ).filter(
+      (element) =>
+        SelectorUtils.isVisible(element) &&
+        this.isValidPost(element) &&
+        !this.isPromoted(element)
+    );
+
+    // Reads every post in view, including ones a run would drop, and leaves
+    // the run's thread and coverage state alone
+    const checks = [];
+    elements.forEach((element) => {
+      try {
+        const { post, matched } = this.readPost(element);
+        checks.push(this.fieldCoverage.checkPost(post, matched));
+      } catch (error) {
+        console.warn("Error diagnosing post:", error);
+      }
+    });
+
+    return {
+      url: window.location.href,
+      page: PageType.detect(window.location.href),
+      postSelector: postSelector,
+      postsInView: elements.length,
+      selectorPack: this.selectorPackName,
+      checkedAt: new Date().toISOString(),
+      ...this.fieldCoverage.diagnose(checks),
+    };
+  }
+
+  getEngagementStats(posts) {
+    const metricNames = [
+      "replies",
+      "retweets",
+      "likes",
+      "quotes",
+      "bookmarks",
+      "views",
+    ];
+    const totals = {};
+    const averages = {};
+
+    metricNames.forEach((metric) => {
+      totals[metric] = posts.reduce(
+        (total, p) => total + ((p.metrics && p.metrics[metric]) || 0),
+        0
+      );
+      averages[metric] =
+        posts.length > 0
+          ? Math.round((totals[metric] / posts.length) * 100) / 100
+          : 0;
+    });
+
+    return { totals: totals, averages: averages };
+  }
+
   getDateRange(posts) {
     const dates = posts
       .map((p) => this.parseTimestamp(p.timestamp))
@@ -1012,34 +2707,6 @@ class XProfileScraper {
       });
   }
 
-  async waitForElement(selector, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      const element = document.querySelector(selector);
-      if (element) {
-        resolve(element);
-        return;
-      }
-
-      const observer = new MutationObserver(() => {
-        const element = document.querySelector(selector);
-        if (element) {
-          observer.disconnect();
-          resolve(element);
-        }
-      });
-
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-      });
-
-      setTimeout(() => {
-        observer.disconnect();
-        reject(new Error(`Element ${selector} not found within ${timeout}ms`));
-      }, timeout);
-    });
-  }
-
   delay(ms) {
     return new Promise((resolve) => {
       const checkInterval = 100; // Check every 100ms
@@ -1066,7 +2733,10 @@ class XProfileScraper {
 }
 
 // Initialize scraper when content script loads
-if (document.readyState === "loading") {
+if (typeof module !== "undefined" && module.exports) {
+  // Loaded by the Node test suite: expose the classes without starting up
+  module.exports = { XProfileScraper, COUNT_SUFFIXES };
+} else if (document.readyState === "loading") {
   document.addEventListener("DOMContentLoaded", () => {
     new XProfileScraper();
   });
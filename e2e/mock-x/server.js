@@ -0,0 +1,90 @@
+// Serves the mock timeline over HTTPS. The browser maps x.com to it, so every
+// profile path gets the timeline page, and the content script runs there as
+// it would on X.
+// Run on its own with: node e2e/mock-x/server.js [port]
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const https = require("https");
+const os = require("os");
+const path = require("path");
+
+const ASSETS = {
+  "/mock-x/timeline.js": "application/javascript",
+};
+
+// The content script only runs on https://x.com, so the server needs a
+// certificate for it; the browser is started with certificate errors ignored
+function createCertificate(dir) {
+  const keyPath = path.join(dir, "x.com.key");
+  const certPath = path.join(dir, "x.com.crt");
+
+  execFileSync(
+    "openssl",
+    [
+      "req",
+      "-x509",
+      "-newkey",
+      "rsa:2048",
+      "-nodes",
+      "-sha256",
+      "-days",
+      "1",
+      "-subj",
+      "/CN=x.com",
+      "-addext",
+      "subjectAltName=DNS:x.com",
+      "-keyout",
+      keyPath,
+      "-out",
+      certPath,
+    ],
+    { stdio: "ignore" }
+  );
+
+  return { key: fs.readFileSync(keyPath), cert: fs.readFileSync(certPath) };
+}
+
+// Resolves with { port, close } once listening; port 0 picks a free one
+function startMockServer({ key, cert }, port = 0) {
+  const server = https.createServer({ key, cert }, (request, response) => {
+    const { pathname } = new URL(request.url, "https://x.com");
+
+    if (ASSETS[pathname]) {
+      response.writeHead(200, { "Content-Type": ASSETS[pathname] });
+      fs.createReadStream(path.join(__dirname, path.basename(pathname))).pipe(
+        response
+      );
+    } else if (pathname === "/favicon.ico") {
+      response.writeHead(404);
+      response.end();
+    } else {
+      response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      fs.createReadStream(path.join(__dirname, "index.html")).pipe(response);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mock-x-"));
+  startMockServer(createCertificate(dir), Number(process.argv[2]) || 0).then(
+    ({ port }) => {
+      console.log(`Mock timeline listening on https://127.0.0.1:${port}`);
+      console.log(
+        `Start Chrome with --host-resolver-rules="MAP x.com 127.0.0.1:${port}" ` +
+          "--ignore-certificate-errors and open https://x.com/mock_end"
+      );
+    }
+  );
+}
+
+module.exports = { createCertificate, startMockServer };
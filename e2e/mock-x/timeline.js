@@ -0,0 +1,263 @@
+// Mock X profile timeline for the end-to-end test. It copies what the scroll
+// loop depends on: posts arrive in batches once the bottom of the page comes
+// into view, a spinner cell shows while a batch loads, cells far from the
+// viewport are unmounted like in X's virtualized list, and a timeline either
+// ends or fails with a Retry banner. The profile name in the URL picks the
+// scenario, e.g. https://x.com/mock_end
+const MOCK_SCENARIOS = {
+  // Stops loading after its last post
+  mock_end: { name: "Mock End", idPrefix: "1801", total: 45 },
+  // More posts than any run reads
+  mock_endless: { name: "Mock Endless", idPrefix: "1802", total: 1000 },
+  // Shows the error banner in place of the batch after errorAfter posts,
+  // and again after every Retry
+  mock_error: {
+    name: "Mock Error",
+    idPrefix: "1803",
+    total: 45,
+    errorAfter: 20,
+  },
+  // Shows the error banner after errorAfter posts, then loads the batch
+  // once Retry is clicked
+  mock_retry: {
+    name: "Mock Retry",
+    idPrefix: "1804",
+    total: 45,
+    errorAfter: 20,
+    recovers: true,
+  },
+};
+
+const MOCK_TIMELINE = {
+  firstBatch: 10,
+  batchSize: 5,
+  // Time a batch takes to "arrive", in milliseconds
+  latency: 1200,
+  cellHeight: 200,
+  // Cells within this distance of the viewport stay mounted
+  overscan: 1200,
+  // A batch loads once the bottom of the page is this close
+  loadDistance: 400,
+};
+
+// Posts are numbered from the newest; ids and times go down with the index
+function createMockPost(handle, index) {
+  const scenario = MOCK_SCENARIOS[handle] || MOCK_SCENARIOS.mock_end;
+
+  return {
+    id: `${scenario.idPrefix}${String(index).padStart(15, "0")}`,
+    handle: handle,
+    name: scenario.name,
+    text: `Mock post ${index + 1} of ${scenario.total} from @${handle}`,
+    timestamp: new Date(
+      Date.UTC(2024, 5, 1, 12) - index * 37 * 60000
+    ).toISOString(),
+    replies: index % 7,
+    retweets: (index * 3) % 11,
+    likes: 10 + ((index * 13) % 90),
+    views: 1000 + index * 25,
+  };
+}
+
+class MockTimeline {
+  constructor(handle) {
+    this.handle = MOCK_SCENARIOS[handle] ? handle : "mock_end";
+    this.scenario = MOCK_SCENARIOS[this.handle];
+    this.posts = [];
+    this.cells = new Map(); // Post index to its mounted cell
+    this.footer = null;
+    this.loading = false;
+    this.failed = false;
+    this.retried = false;
+    this.list = document.getElementById("timeline");
+
+    this.renderHeader();
+    window.addEventListener("scroll", () => this.update(), { passive: true });
+    window.addEventListener("resize", () => this.update());
+    this.loadNextBatch();
+  }
+
+  get ended() {
+    return this.posts.length >= this.scenario.total;
+  }
+
+  renderHeader() {
+    document.title = `${this.scenario.name} (@${this.handle}) / X`;
+    document.getElementById("profileName").textContent = this.scenario.name;
+    document.getElementById("profileHandle").textContent = `@${this.handle}`;
+    document.getElementById("following").href = `/${this.handle}/following`;
+    document.getElementById("followers").href = `/${this.handle}/followers`;
+  }
+
+  loadNextBatch() {
+    if (this.loading || this.failed || this.ended) return;
+
+    this.loading = true;
+    this.setFooter("spinner");
+
+    setTimeout(() => {
+      this.loading = false;
+
+      if (
+        this.scenario.errorAfter === this.posts.length &&
+        !(this.scenario.recovers && this.retried)
+      ) {
+        this.failed = true;
+        this.setFooter("error");
+        return;
+      }
+
+      const count = Math.min(
+        this.posts.length === 0
+          ? MOCK_TIMELINE.firstBatch
+          : MOCK_TIMELINE.batchSize,
+        this.scenario.total - this.posts.length
+      );
+      for (let i = 0; i < count; i++) {
+        this.posts.push(createMockPost(this.handle, this.posts.length));
+      }
+
+      this.setFooter(null);
+      this.update();
+    }, MOCK_TIMELINE.latency);
+  }
+
+  retry() {
+    this.failed = false;
+    this.retried = true;
+    this.loadNextBatch();
+  }
+
+  // Mounts the cells near the viewport, unmounts the rest and loads more
+  // when the bottom is close
+  update() {
+    const { cellHeight, overscan, loadDistance } = MOCK_TIMELINE;
+    const listTop = this.list.getBoundingClientRect().top + window.scrollY;
+    const start = window.scrollY - listTop - overscan;
+    const end = window.scrollY - listTop + window.innerHeight + overscan;
+    const first = Math.max(0, Math.floor(start / cellHeight));
+    const last = Math.min(this.posts.length - 1, Math.floor(end / cellHeight));
+
+    this.cells.forEach((cell, index) => {
+      if (index < first || index > last) {
+        cell.remove();
+        this.cells.delete(index);
+      }
+    });
+    for (let index = first; index <= last; index++) {
+      if (!this.cells.has(index)) {
+        const cell = this.createCell(index * cellHeight);
+        cell.appendChild(this.renderPost(this.posts[index]));
+        this.list.appendChild(cell);
+        this.cells.set(index, cell);
+      }
+    }
+
+    const footerHeight = this.footer ? cellHeight : 0;
+    this.list.style.height = `${
+      this.posts.length * cellHeight + footerHeight
+    }px`;
+
+    const distance =
+      document.documentElement.scrollHeight -
+      (window.scrollY + window.innerHeight);
+    if (distance <= loadDistance) {
+      this.loadNextBatch();
+    }
+  }
+
+  createCell(top) {
+    const cell = document.createElement("div");
+    cell.dataset.testid = "cellInnerDiv";
+    cell.className = "cell";
+    cell.style.transform = `translateY(${top}px)`;
+    return cell;
+  }
+
+  // The spinner and the error banner are cells after the last post
+  setFooter(kind) {
+    if (this.footer) {
+      this.footer.remove();
+      this.footer = null;
+    }
+
+    if (kind) {
+      this.footer = this.createCell(
+        this.posts.length * MOCK_TIMELINE.cellHeight
+      );
+      this.footer.innerHTML =
+        kind === "spinner"
+          ? '<div class="spinner" role="progressbar" aria-valuemax="100" aria-valuemin="0"><svg viewBox="0 0 32 32" width="26" height="26"><circle cx="16" cy="16" r="14" fill="none" stroke="#1d9bf0" stroke-width="4"></circle></svg></div>'
+          : // data-testid="error" is what the scraper's PAGE_ERROR list
+            // looks for
+            '<div class="error" data-testid="error"><span>Something went wrong. Try reloading.</span><button type="button" role="button"><span>Retry</span></button></div>';
+      this.list.appendChild(this.footer);
+
+      const button = this.footer.querySelector("button");
+      if (button) button.addEventListener("click", () => this.retry());
+    }
+
+    this.list.style.height = `${
+      (this.posts.length + (kind ? 1 : 0)) * MOCK_TIMELINE.cellHeight
+    }px`;
+  }
+
+  renderPost(post) {
+    const article = document.createElement("article");
+    article.setAttribute("role", "article");
+    article.setAttribute("tabindex", "0");
+    article.dataset.testid = "tweet";
+
+    const statusPath = `/${post.handle}/status/${post.id}`;
+    const date = new Date(post.timestamp).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+    });
+    const button = (testid, count, label) =>
+      `<div><button aria-label="${count} ${label}" role="button" data-testid="${testid}" type="button"><span>${count}</span></button></div>`;
+
+    article.innerHTML = `
+      <div data-testid="Tweet-User-Avatar"><a href="/${
+        post.handle
+      }" role="link" tabindex="-1"><div class="avatar"></div></a></div>
+      <div class="body">
+        <div data-testid="User-Name">
+          <div><a href="/${
+            post.handle
+          }" role="link"><div dir="ltr"><span><span>${
+      post.name
+    }</span></span></div></a></div>
+          <div><a href="/${
+            post.handle
+          }" role="link" tabindex="-1"><div dir="ltr"><span>@${
+      post.handle
+    }</span></div></a><div dir="ltr" aria-hidden="true"><span>·</span></div><a href="${statusPath}" dir="ltr" role="link"><time datetime="${
+      post.timestamp
+    }">${date}</time></a></div>
+        </div>
+        <div dir="auto" lang="en" data-testid="tweetText"><span>${
+          post.text
+        }</span></div>
+        <div role="group" class="actions">
+          ${button("reply", post.replies, "Replies. Reply")}
+          ${button("retweet", post.retweets, "reposts. Repost")}
+          ${button("like", post.likes, "Likes. Like")}
+          <div><a href="${statusPath}/analytics" aria-label="${
+      post.views
+    } views. View post analytics" role="link"><span>${
+      post.views
+    }</span></a></div>
+          <div><button aria-label="Bookmark" role="button" data-testid="bookmark" type="button"></button></div>
+        </div>
+      </div>`;
+
+    return article;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  // Loaded by the e2e test for the expected posts
+  module.exports = { MOCK_SCENARIOS, MOCK_TIMELINE, createMockPost };
+} else {
+  new MockTimeline(window.location.pathname.split("/")[1]);
+}
@@ -0,0 +1,268 @@
+// Loads the unpacked extension in headless Chrome and scrapes the mock
+// timeline in e2e/mock-x, served as x.com. Each scenario runs as a scheduled
+// job started with "Run now", so it goes through the batch queue and ends
+// with an export in the downloads folder, as an unattended run would.
+// Run with: CHROME_PATH=/path/to/chrome npm run test:e2e
+// CHROME_PATH must be Chrome for Testing or Chromium; the tests are skipped
+// without it or without openssl.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createCertificate, startMockServer } = require("./mock-x/server.js");
+const {
+  MOCK_SCENARIOS,
+  MOCK_TIMELINE,
+  createMockPost,
+} = require("./mock-x/timeline.js");
+
+const EXTENSION_DIR = path.join(__dirname, "..");
+const RUN_TIMEOUT = 180000;
+const RATE_LIMIT_MESSAGE =
+  "Rate limiting detected. Start the queue again later";
+
+function getSkipReason() {
+  if (!process.env.CHROME_PATH) {
+    return "Set CHROME_PATH to a Chrome for Testing or Chromium binary";
+  }
+  try {
+    execFileSync("openssl", ["version"], { stdio: "ignore" });
+  } catch (error) {
+    return "openssl is needed for the mock site's certificate";
+  }
+  return null;
+}
+
+const skip = getSkipReason();
+let tempDir;
+let downloadsDir;
+let server;
+let browser;
+let jobsPage;
+
+before(async () => {
+  if (skip) return;
+
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "x-scraper-e2e-"));
+  downloadsDir = path.join(tempDir, "downloads");
+  server = await startMockServer(createCertificate(tempDir));
+
+  // Job exports go to the default downloads folder without a prompt
+  const profileDir = path.join(tempDir, "profile");
+  fs.mkdirSync(path.join(profileDir, "Default"), { recursive: true });
+  fs.writeFileSync(
+    path.join(profileDir, "Default", "Preferences"),
+    JSON.stringify({
+      download: { default_directory: downloadsDir, prompt_for_download: false },
+    })
+  );
+
+  const puppeteer = require("puppeteer-core");
+  browser = await puppeteer.launch({
+    executablePath: process.env.CHROME_PATH,
+    headless: true,
+    pipe: true,
+    enableExtensions: [EXTENSION_DIR],
+    userDataDir: profileDir,
+    args: [
+      `--host-resolver-rules=MAP x.com 127.0.0.1:${server.port}`,
+      "--ignore-certificate-errors",
+      ...(process.getuid && process.getuid() === 0 ? ["--no-sandbox"] : []),
+    ],
+  });
+
+  const worker = await browser.waitForTarget(
+    (target) =>
+      target.type() === "service_worker" &&
+      target.url().endsWith("/background/background.js")
+  );
+  const extensionId = new URL(worker.url()).host;
+
+  // Jobs are saved and started with the same messages the jobs page sends
+  jobsPage = await browser.newPage();
+  await jobsPage.goto(`chrome-extension://${extensionId}/jobs/jobs.html`);
+});
+
+after(async () => {
+  if (browser) await browser.close();
+  if (server) await server.close();
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function waitFor(check, timeout, message) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  throw new Error(message);
+}
+
+// Runs one page as a job and returns its run record, the queue item and the
+// parsed export
+async function runJob(handle, settings) {
+  const job = {
+    id: `job_e2e_${handle}_${Date.now()}`,
+    name: `e2e ${handle}`,
+    enabled: false,
+    pages: `https://x.com/${handle}`,
+    schedule: { type: "daily", time: "03:00" },
+    settings: {
+      scrollDelay: 1000,
+      maxPosts: 100,
+      olderPostsLimit: 3,
+      incremental: false,
+      sinceDate: "",
+      untilDate: "",
+      ...settings,
+    },
+    pauseSeconds: 30,
+    exportFormat: "json",
+    filenameTemplate: `e2e/${handle}`,
+    createdAt: new Date().toISOString(),
+  };
+
+  const error = await jobsPage.evaluate(async (job) => {
+    for (const message of [
+      { action: "jobSave", job },
+      { action: "jobRunNow", id: job.id },
+    ]) {
+      const response = await chrome.runtime.sendMessage(message);
+      if (response && response.error) return response.error;
+    }
+    return null;
+  }, job);
+  assert.equal(error, null);
+
+  const { run, queue } = await waitFor(
+    () =>
+      jobsPage.evaluate(async (jobId) => {
+        const { jobRuns = [], batchQueue } = await chrome.storage.local.get([
+          "jobRuns",
+          "batchQueue",
+        ]);
+        const run = jobRuns.find((entry) => entry.jobId === jobId);
+        return run && run.status !== "running"
+          ? { run, queue: batchQueue }
+          : null;
+      }, job.id),
+    RUN_TIMEOUT,
+    `The ${handle} run did not finish`
+  );
+
+  const item = queue.items.find((entry) => entry.jobName === job.name);
+  const file = run.file
+    ? JSON.parse(fs.readFileSync(path.join(downloadsDir, run.file), "utf8"))
+    : null;
+
+  return { run, queue, item, file };
+}
+
+function expectedIds(handle, count) {
+  return Array.from(
+    { length: count },
+    (value, index) => createMockPost(handle, index).id
+  );
+}
+
+test(
+  "a timeline is read to its end and exported newest first",
+  { skip, timeout: RUN_TIMEOUT + 30000 },
+  async () => {
+    const { total } = MOCK_SCENARIOS.mock_end;
+    const { run, item, file } = await runJob("mock_end");
+
+    assert.equal(run.status, "completed");
+    assert.equal(run.error, null);
+    assert.equal(item.status, "done");
+    assert.equal(item.stopReason, "end");
+    assert.equal(item.postCount, total);
+
+    assert.equal(run.file, "e2e/mock_end.json");
+    assert.equal(file.metadata.scraping.validation.valid, true);
+    assert.equal(file.metadata.batch.items[0].postCount, total);
+    assert.deepEqual(
+      file.posts.map((post) => post.id),
+      expectedIds("mock_end", total)
+    );
+
+    const first = createMockPost("mock_end", 0);
+    assert.equal(file.posts[0].text, first.text);
+    assert.equal(file.posts[0].timestamp, first.timestamp);
+    assert.equal(file.posts[0].author.handle, "mock_end");
+    assert.equal(file.posts[0].metrics.likes, first.likes);
+    assert.equal(file.posts[0].metrics.views, first.views);
+  }
+);
+
+test(
+  "a run stops once it has maxPosts posts",
+  { skip, timeout: RUN_TIMEOUT + 30000 },
+  async () => {
+    const maxPosts = 20;
+    const { run, item, file } = await runJob("mock_endless", { maxPosts });
+
+    assert.equal(run.status, "completed");
+    assert.equal(item.status, "done");
+    assert.equal(item.stopReason, "maxPosts");
+    // Every post in view is read, so the last batch can go past the limit
+    assert.ok(
+      item.postCount >= maxPosts &&
+        item.postCount <= maxPosts + MOCK_TIMELINE.batchSize,
+      `read ${item.postCount} posts`
+    );
+    assert.deepEqual(
+      file.posts.map((post) => post.id),
+      expectedIds("mock_endless", item.postCount)
+    );
+  }
+);
+
+test(
+  "a run clicks Retry on the error banner and reads on when it loads",
+  { skip, timeout: RUN_TIMEOUT + 30000 },
+  async () => {
+    const { total } = MOCK_SCENARIOS.mock_retry;
+    const { run, queue, item, file } = await runJob("mock_retry");
+
+    assert.equal(run.status, "completed");
+    assert.equal(run.error, null);
+    assert.notEqual(queue.status, "paused");
+    assert.equal(item.status, "done");
+    assert.equal(item.stopReason, "end");
+    assert.equal(item.postCount, total);
+    assert.deepEqual(
+      file.posts.map((post) => post.id),
+      expectedIds("mock_retry", total)
+    );
+  }
+);
+
+test(
+  "an error banner that outlasts the retries stops the run and pauses the queue",
+  { skip, timeout: RUN_TIMEOUT + 30000 },
+  async () => {
+    const { errorAfter } = MOCK_SCENARIOS.mock_error;
+    const { run, queue, item, file } = await runJob("mock_error");
+
+    // Posts read before the banner still count and are exported
+    assert.equal(item.status, "done");
+    assert.equal(item.stopReason, "rateLimited");
+    assert.equal(item.postCount, errorAfter);
+    assert.equal(run.error, RATE_LIMIT_MESSAGE);
+    assert.equal(queue.status, "paused");
+    assert.equal(queue.message, RATE_LIMIT_MESSAGE);
+    assert.deepEqual(
+      file.posts.map((post) => post.id),
+      expectedIds("mock_error", errorAfter)
+    );
+
+    const pages = await browser.pages();
+    const timeline = pages.find((page) => page.url().endsWith("/mock_error"));
+    assert.ok(await timeline.$('[data-testid="error"]'));
+  }
+);
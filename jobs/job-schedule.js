@@ -0,0 +1,131 @@
+// Schedule and filename helpers for recurring scrape jobs, shared by the jobs
+// page and the background worker. Times are local to the browser.
+const JOB_WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// {job} job name, {date} YYYY-MM-DD, {time} HH-MM, {count} posts exported;
+// slashes create subfolders of the downloads folder
+const DEFAULT_FILENAME_TEMPLATE = "x-scraper/{job}/{date}_{time}";
+
+class JobSchedule {
+  // First run strictly after `from`.
+  // schedule: { type: "daily", time } | { type: "weekly", days, time } |
+  // { type: "interval", hours }, with time as HH:MM and days as 0 (Sunday)
+  // to 6
+  getNextRun(schedule, from = new Date()) {
+    if (schedule.type === "interval") {
+      return new Date(from.getTime() + schedule.hours * 3600000);
+    }
+
+    const [hours, minutes] = schedule.time.split(":").map(Number);
+    // Eight days covers a weekly slot earlier today
+    for (let offset = 0; offset <= 7; offset++) {
+      const candidate = new Date(from);
+      candidate.setDate(candidate.getDate() + offset);
+      candidate.setHours(hours, minutes, 0, 0);
+
+      if (
+        candidate > from &&
+        (schedule.type === "daily" ||
+          schedule.days.includes(candidate.getDay()))
+      ) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  describe(schedule) {
+    switch (schedule.type) {
+      case "interval":
+        return schedule.hours === 1
+          ? "Every hour"
+          : `Every ${schedule.hours} hours`;
+      case "daily":
+        return `Every day at ${schedule.time}`;
+      case "weekly":
+        return `Every ${schedule.days
+          .map((day) => JOB_WEEKDAYS[day])
+          .join(", ")} at ${schedule.time}`;
+      default:
+        return "Unknown schedule";
+    }
+  }
+
+  // Returns a list of problems, empty when the job can be saved
+  validate(job) {
+    const errors = [];
+    const schedule = job.schedule || {};
+
+    if (!job.name || !job.name.trim()) {
+      errors.push("Name the job");
+    }
+    if (!job.pages || !job.pages.trim()) {
+      errors.push("Add at least one page");
+    }
+
+    if (schedule.type === "interval") {
+      if (!Number.isInteger(schedule.hours) || schedule.hours < 1) {
+        errors.push("The interval must be a whole number of hours");
+      }
+    } else if (["daily", "weekly"].includes(schedule.type)) {
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time || "")) {
+        errors.push("Pick a time of day");
+      }
+      if (schedule.type === "weekly" && !(schedule.days || []).length) {
+        errors.push("Pick at least one weekday");
+      }
+    } else {
+      errors.push("Pick a schedule");
+    }
+
+    if (!this.formatFilename(job.filenameTemplate || "", {}).length) {
+      errors.push("The filename template is empty");
+    }
+
+    return errors;
+  }
+
+  // Fills in the template and returns a path relative to the downloads
+  // folder, without extension. Characters that aren't allowed in file names
+  // are replaced and ".." segments dropped, since chrome.downloads rejects
+  // such paths.
+  formatFilename(template, values) {
+    const date = values.date || new Date();
+    const pad = (number) => String(number).padStart(2, "0");
+    const tokens = {
+      job: values.job || "job",
+      date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+        date.getDate()
+      )}`,
+      time: `${pad(date.getHours())}-${pad(date.getMinutes())}`,
+      count: String(values.count ?? 0),
+    };
+
+    return template
+      .replace(/\{(\w+)\}/g, (match, name) =>
+        name in tokens ? tokens[name].replace(/\//g, "_") : match
+      )
+      .split("/")
+      .map((segment) =>
+        segment
+          .replace(/[<>:"\\|?*\u0000-\u001f]/g, "_")
+          .trim()
+          .replace(/^\.+|\.+$/g, "")
+      )
+      .filter(Boolean)
+      .join("/");
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { JobSchedule, JOB_WEEKDAYS, DEFAULT_FILENAME_TEMPLATE };
+}
@@ -0,0 +1,377 @@
+// Extension page for scheduled jobs. Job definitions and their run history
+// live in chrome.storage; the background worker owns the alarms and the runs,
+// so every change goes through it.
+const JOB_RUN_LABELS = {
+  running: "Running",
+  completed: "Completed",
+  partial: "Partly failed",
+  failed: "Failed",
+  skipped: "Skipped",
+};
+
+class JobsController {
+  constructor() {
+    this.schedule = new JobSchedule();
+    this.parser = new QueueItemParser();
+    this.jobs = [];
+    this.runs = [];
+    this.editingId = null;
+    this.initializeElements();
+    this.attachEventListeners();
+    this.resetForm();
+    this.loadJobs();
+  }
+
+  initializeElements() {
+    this.elements = {
+      jobs: document.getElementById("jobs"),
+      formTitle: document.getElementById("formTitle"),
+      name: document.getElementById("name"),
+      enabled: document.getElementById("enabled"),
+      pages: document.getElementById("pages"),
+      scheduleType: document.getElementById("scheduleType"),
+      weekdays: document.getElementById("weekdays"),
+      time: document.getElementById("time"),
+      hours: document.getElementById("hours"),
+      scrollDelay: document.getElementById("scrollDelay"),
+      maxPosts: document.getElementById("maxPosts"),
+      olderPostsLimit: document.getElementById("olderPostsLimit"),
+      incremental: document.getElementById("incremental"),
+      pauseSeconds: document.getElementById("pauseSeconds"),
+      exportFormat: document.getElementById("exportFormat"),
+      filenameTemplate: document.getElementById("filenameTemplate"),
+      filenamePreview: document.getElementById("filenamePreview"),
+      saveBtn: document.getElementById("saveBtn"),
+      cancelBtn: document.getElementById("cancelBtn"),
+      formErrors: document.getElementById("formErrors"),
+      runs: document.getElementById("runs"),
+      clearHistoryBtn: document.getElementById("clearHistoryBtn"),
+      status: document.getElementById("status"),
+    };
+
+    // Monday first, as most weekly schedules are read
+    [1, 2, 3, 4, 5, 6, 0].forEach((day) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = day;
+      label.appendChild(checkbox);
+      label.append(` ${JOB_WEEKDAYS[day].slice(0, 3)} `);
+      this.elements.weekdays.appendChild(label);
+    });
+  }
+
+  attachEventListeners() {
+    this.elements.saveBtn.addEventListener("click", () => this.saveJob());
+    this.elements.cancelBtn.addEventListener("click", () => this.resetForm());
+    this.elements.scheduleType.addEventListener("change", () =>
+      this.updateScheduleFields()
+    );
+    this.elements.filenameTemplate.addEventListener("input", () =>
+      this.updateFilenamePreview()
+    );
+    this.elements.exportFormat.addEventListener("change", () =>
+      this.updateFilenamePreview()
+    );
+    this.elements.name.addEventListener("input", () =>
+      this.updateFilenamePreview()
+    );
+    this.elements.clearHistoryBtn.addEventListener("click", () =>
+      this.sendCommand({ action: "jobClearHistory" })
+    );
+
+    this.elements.jobs.addEventListener("click", (event) => {
+      const { action, id } = event.target.dataset;
+      if (!action) return;
+
+      const job = this.jobs.find((entry) => entry.id === id);
+      if (action === "run") {
+        // The run shows up in the history, also when it is skipped
+        this.sendCommand({ action: "jobRunNow", id });
+      } else if (action === "edit") {
+        this.editJob(job);
+      } else if (action === "toggle") {
+        this.sendCommand({
+          action: "jobSave",
+          job: { ...job, enabled: !job.enabled },
+        });
+      } else if (action === "delete" && confirm(`Delete "${job.name}"?`)) {
+        this.sendCommand({ action: "jobDelete", id });
+        if (this.editingId === id) this.resetForm();
+      }
+    });
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== "local") return;
+      if (changes.scheduledJobs) {
+        this.jobs = changes.scheduledJobs.newValue || [];
+        this.renderJobs();
+      }
+      if (changes.jobRuns) {
+        this.runs = changes.jobRuns.newValue || [];
+        this.renderJobs();
+        this.renderRuns();
+      }
+    });
+  }
+
+  async loadJobs() {
+    const result = await chrome.storage.local.get(["scheduledJobs", "jobRuns"]);
+    this.jobs = result.scheduledJobs || [];
+    this.runs = result.jobRuns || [];
+    this.renderJobs();
+    this.renderRuns();
+  }
+
+  resetForm() {
+    this.editingId = null;
+    this.elements.formTitle.textContent = "New job";
+    this.elements.saveBtn.textContent = "Save job";
+    this.elements.cancelBtn.hidden = true;
+    this.elements.name.value = "";
+    this.elements.pages.value = "";
+    this.elements.filenameTemplate.value = DEFAULT_FILENAME_TEMPLATE;
+    this.showErrors([]);
+    this.updateScheduleFields();
+    this.updateFilenamePreview();
+  }
+
+  editJob(job) {
+    this.editingId = job.id;
+    this.elements.formTitle.textContent = `Edit "${job.name}"`;
+    this.elements.saveBtn.textContent = "Save changes";
+    this.elements.cancelBtn.hidden = false;
+
+    this.elements.name.value = job.name;
+    this.elements.enabled.checked = job.enabled;
+    this.elements.pages.value = job.pages;
+    this.elements.scheduleType.value = job.schedule.type;
+    if (job.schedule.time) this.elements.time.value = job.schedule.time;
+    if (job.schedule.hours) this.elements.hours.value = job.schedule.hours;
+    this.getWeekdayBoxes().forEach((checkbox) => {
+      checkbox.checked = (job.schedule.days || []).includes(
+        Number(checkbox.value)
+      );
+    });
+    this.elements.scrollDelay.value = job.settings.scrollDelay;
+    this.elements.maxPosts.value = job.settings.maxPosts;
+    this.elements.olderPostsLimit.value = job.settings.olderPostsLimit;
+    this.elements.incremental.checked = job.settings.incremental;
+    this.elements.pauseSeconds.value = job.pauseSeconds;
+    this.elements.exportFormat.value = job.exportFormat;
+    this.elements.filenameTemplate.value = job.filenameTemplate;
+
+    this.showErrors([]);
+    this.updateScheduleFields();
+    this.updateFilenamePreview();
+    this.elements.name.focus();
+  }
+
+  getWeekdayBoxes() {
+    return [...this.elements.weekdays.querySelectorAll("input")];
+  }
+
+  getSchedule() {
+    const type = this.elements.scheduleType.value;
+    if (type === "interval") {
+      return { type, hours: Number(this.elements.hours.value) };
+    }
+
+    const schedule = { type, time: this.elements.time.value };
+    if (type === "weekly") {
+      schedule.days = this.getWeekdayBoxes()
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => Number(checkbox.value))
+        .sort((a, b) => a - b);
+    }
+    return schedule;
+  }
+
+  getJob() {
+    const existing = this.jobs.find((job) => job.id === this.editingId);
+
+    return {
+      id:
+        this.editingId ||
+        `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: this.elements.name.value.trim(),
+      enabled: this.elements.enabled.checked,
+      pages: this.elements.pages.value.trim(),
+      schedule: this.getSchedule(),
+      // Dates would stop a recurring job finding anything new, so jobs
+      // rely on the incremental mode instead
+      settings: {
+        scrollDelay: parseInt(this.elements.scrollDelay.value) || 2000,
+        maxPosts: parseInt(this.elements.maxPosts.value) || 100,
+        olderPostsLimit: parseInt(this.elements.olderPostsLimit.value) || 3,
+        incremental: this.elements.incremental.checked,
+        sinceDate: "",
+        untilDate: "",
+      },
+      pauseSeconds: parseInt(this.elements.pauseSeconds.value) || 90,
+      exportFormat: this.elements.exportFormat.value,
+      filenameTemplate: this.elements.filenameTemplate.value.trim(),
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    };
+  }
+
+  async saveJob() {
+    const job = this.getJob();
+    const errors = this.schedule.validate(job);
+    this.parser.parse(job.pages).errors.forEach((error) => {
+      errors.push(`Line ${error.line} (${error.input}): ${error.error}`);
+    });
+
+    this.showErrors(errors);
+    if (errors.length > 0) return;
+
+    const saved = await this.sendCommand(
+      { action: "jobSave", job },
+      `Saved "${job.name}"`
+    );
+    if (saved) this.resetForm();
+  }
+
+  showErrors(errors) {
+    this.elements.formErrors.textContent = "";
+    this.elements.formErrors.hidden = errors.length === 0;
+    errors.forEach((error) => {
+      const entry = document.createElement("li");
+      entry.textContent = error;
+      this.elements.formErrors.appendChild(entry);
+    });
+  }
+
+  updateScheduleFields() {
+    const type = this.elements.scheduleType.value;
+    this.elements.weekdays.hidden = type !== "weekly";
+    document.querySelectorAll("[data-schedule]").forEach((element) => {
+      element.hidden = !element.dataset.schedule.split(" ").includes(type);
+    });
+  }
+
+  updateFilenamePreview() {
+    const filename = this.schedule.formatFilename(
+      this.elements.filenameTemplate.value,
+      { job: this.elements.name.value.trim() || "Job name", count: 42 }
+    );
+    const extension =
+      this.elements.exportFormat.value === "columnar"
+        ? "columns.json"
+        : this.elements.exportFormat.value;
+
+    this.elements.filenamePreview.textContent = filename
+      ? `Example: ${filename}.${extension}`
+      : "";
+  }
+
+  async sendCommand(message, successMessage = "") {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (response && response.error) {
+        throw new Error(response.error);
+      }
+      this.setStatus(successMessage);
+      return true;
+    } catch (error) {
+      console.error(`Error sending ${message.action}:`, error);
+      this.setStatus(`Job command failed: ${error.message}`, true);
+      return false;
+    }
+  }
+
+  // Built with DOM APIs so job names and pages are never parsed as markup
+  renderJobs() {
+    this.elements.jobs.textContent = "";
+    if (this.jobs.length === 0) {
+      const cell = this.elements.jobs.insertRow().insertCell();
+      cell.colSpan = 5;
+      cell.className = "empty";
+      cell.textContent = "No jobs yet. Create one below.";
+      return;
+    }
+
+    this.jobs.forEach((job) => {
+      const row = this.elements.jobs.insertRow();
+      const pageCount = this.parser.parse(job.pages).items.length;
+      row.insertCell().textContent = `${job.name} (${pageCount} page${
+        pageCount === 1 ? "" : "s"
+      })`;
+      row.insertCell().textContent = this.schedule.describe(job.schedule);
+      row.insertCell().textContent =
+        job.enabled && job.nextRunAt
+          ? new Date(job.nextRunAt).toLocaleString()
+          : "Disabled";
+
+      const lastRun = this.runs.find((run) => run.jobId === job.id);
+      const last = row.insertCell();
+      if (lastRun) {
+        last.appendChild(this.renderRunStatus(lastRun));
+        last.append(` ${new Date(lastRun.startedAt).toLocaleString()}`);
+      } else {
+        last.textContent = "Never";
+      }
+
+      const actions = row.insertCell();
+      [
+        ["run", "Run now"],
+        ["edit", "Edit"],
+        ["toggle", job.enabled ? "Disable" : "Enable"],
+        ["delete", "Delete"],
+      ].forEach(([action, label]) => {
+        const button = document.createElement("button");
+        button.textContent = label;
+        button.dataset.action = action;
+        button.dataset.id = job.id;
+        actions.appendChild(button);
+      });
+    });
+  }
+
+  renderRuns() {
+    this.elements.runs.textContent = "";
+    this.elements.clearHistoryBtn.disabled = this.runs.length === 0;
+    if (this.runs.length === 0) {
+      const cell = this.elements.runs.insertRow().insertCell();
+      cell.colSpan = 6;
+      cell.className = "empty";
+      cell.textContent = "No runs yet.";
+      return;
+    }
+
+    this.runs.forEach((run) => {
+      const row = this.elements.runs.insertRow();
+      row.insertCell().textContent = run.jobName;
+      row.insertCell().textContent = `${new Date(
+        run.startedAt
+      ).toLocaleString()}${run.trigger === "manual" ? " (manual)" : ""}`;
+      row.insertCell().appendChild(this.renderRunStatus(run));
+      row.insertCell().textContent =
+        run.status === "running" || run.status === "skipped"
+          ? run.pages
+          : `${run.done} of ${run.pages} done`;
+      row.insertCell().textContent = run.postCount;
+
+      const file = row.insertCell();
+      file.className = "file";
+      file.textContent = [run.file, run.error].filter(Boolean).join(" · ");
+    });
+  }
+
+  renderRunStatus(run) {
+    const status = document.createElement("span");
+    status.className = `item-status ${run.status}`;
+    status.textContent = JOB_RUN_LABELS[run.status] || run.status;
+    return status;
+  }
+
+  setStatus(message, isError = false) {
+    this.elements.status.textContent = message;
+    this.elements.status.className = isError ? "error" : "";
+  }
+}
+
+// Initialize the jobs page when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  new JobsController();
+});
@@ -0,0 +1,330 @@
+// Extension page for browsing, searching and exporting the cross-run post
+// library that the background worker fills from every scraping run
+const PAGE_SIZE = 200;
+
+class LibraryController {
+  constructor() {
+    this.library = new PostLibrary();
+    this.records = [];
+    this.selected = new Set();
+    this.shown = 0;
+    this.searchTimer = null;
+    this.initializeElements();
+    this.attachEventListeners();
+    this.loadAccounts();
+    this.refresh();
+  }
+
+  initializeElements() {
+    this.elements = {
+      search: document.getElementById("search"),
+      account: document.getElementById("account"),
+      since: document.getElementById("since"),
+      until: document.getElementById("until"),
+      type: document.getElementById("type"),
+      summary: document.getElementById("summary"),
+      selectAllBtn: document.getElementById("selectAllBtn"),
+      clearSelectionBtn: document.getElementById("clearSelectionBtn"),
+      exportFormat: document.getElementById("exportFormat"),
+      exportBtn: document.getElementById("exportBtn"),
+      deleteBtn: document.getElementById("deleteBtn"),
+      status: document.getElementById("status"),
+      posts: document.getElementById("posts"),
+      moreBtn: document.getElementById("moreBtn"),
+    };
+  }
+
+  attachEventListeners() {
+    // Wait for a pause in typing before scanning the library
+    this.elements.search.addEventListener("input", () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.refresh(), 250);
+    });
+
+    ["account", "since", "until", "type"].forEach((name) => {
+      this.elements[name].addEventListener("change", () => this.refresh());
+    });
+
+    this.elements.selectAllBtn.addEventListener("click", () => {
+      this.records.forEach((record) => this.selected.add(record.id));
+      this.updateCheckboxes();
+    });
+    this.elements.clearSelectionBtn.addEventListener("click", () => {
+      this.selected.clear();
+      this.updateCheckboxes();
+    });
+    this.elements.exportBtn.addEventListener("click", () =>
+      this.exportRecords()
+    );
+    this.elements.deleteBtn.addEventListener("click", () =>
+      this.deleteSelected()
+    );
+    this.elements.moreBtn.addEventListener("click", () => this.renderMore());
+
+    this.elements.posts.addEventListener("change", (event) => {
+      const id = event.target.dataset.id;
+      if (!id) return;
+
+      if (event.target.checked) {
+        this.selected.add(id);
+      } else {
+        this.selected.delete(id);
+      }
+      this.updateSummary();
+    });
+  }
+
+  getFilters() {
+    return {
+      text: this.elements.search.value.trim(),
+      author: this.elements.account.value,
+      since: this.elements.since.value,
+      until: this.elements.until.value,
+      type: this.elements.type.value,
+    };
+  }
+
+  async loadAccounts() {
+    try {
+      const accounts = await this.library.getAccounts();
+      const current = this.elements.account.value;
+
+      this.elements.account.length = 1;
+      accounts
+        .filter((account) => account.handle)
+        .forEach((account) => {
+          this.elements.account.add(
+            new Option(`@${account.handle} (${account.count})`, account.handle)
+          );
+        });
+      this.elements.account.value = current;
+    } catch (error) {
+      console.error("Error loading accounts:", error);
+    }
+  }
+
+  async refresh() {
+    try {
+      this.records = await this.library.query(this.getFilters());
+    } catch (error) {
+      console.error("Error querying library:", error);
+      this.setStatus(`Could not read library: ${error.message}`, true);
+      return;
+    }
+
+    // Selection only covers posts that match the current filters
+    const matching = new Set(this.records.map((record) => record.id));
+    this.selected.forEach((id) => {
+      if (!matching.has(id)) this.selected.delete(id);
+    });
+
+    this.shown = 0;
+    this.elements.posts.textContent = "";
+    if (this.records.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "empty";
+      empty.textContent =
+        (await this.library.count()) === 0
+          ? "The library is empty. Posts are added here after each scraping run."
+          : "No posts match these filters.";
+      this.elements.posts.appendChild(empty);
+    }
+
+    this.renderMore();
+  }
+
+  renderMore() {
+    const batch = this.records.slice(this.shown, this.shown + PAGE_SIZE);
+    batch.forEach((record) =>
+      this.elements.posts.appendChild(this.renderPost(record))
+    );
+    this.shown += batch.length;
+
+    this.elements.moreBtn.hidden = this.shown >= this.records.length;
+    this.updateSummary();
+  }
+
+  // Built with DOM APIs rather than HTML strings, so scraped text is never
+  // parsed as markup
+  renderPost(record) {
+    const post = record.post;
+    const element = document.createElement("div");
+    element.className = "post";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.dataset.id = record.id;
+    checkbox.checked = this.selected.has(record.id);
+    element.appendChild(checkbox);
+
+    const body = document.createElement("div");
+    body.className = "post-body";
+
+    const meta = document.createElement("div");
+    meta.className = "post-meta";
+    const link = document.createElement("a");
+    link.href = post.url || "#";
+    link.target = "_blank";
+    link.textContent = new Date(record.timestamp).toLocaleString();
+    meta.append(
+      `${post.author?.name || ""} @${post.author?.handle || ""} · `,
+      link
+    );
+    this.getPostTags(post).forEach((label) => {
+      const tag = document.createElement("span");
+      tag.className = "tag";
+      tag.textContent = label;
+      meta.appendChild(tag);
+    });
+
+    const text = document.createElement("div");
+    text.className = "post-text";
+    text.textContent = post.text || post.quotedPost?.text || "";
+
+    const metrics = document.createElement("div");
+    metrics.className = "post-meta";
+    const m = post.metrics || {};
+    metrics.textContent =
+      `${m.replies || 0} replies · ${m.retweets || 0} reposts · ` +
+      `${m.likes || 0} likes · ${m.views || 0} views · ` +
+      `last seen ${new Date(record.lastSeenAt).toLocaleDateString()}`;
+
+    body.append(meta, text, metrics);
+    element.appendChild(body);
+    return element;
+  }
+
+  getPostTags(post) {
+    const tags = [];
+    if (post.metadata?.isRetweet) tags.push("repost");
+    if (post.metadata?.isReply) tags.push("reply");
+    if (post.quotedPost) tags.push("quote");
+    if ((post.media || []).length > 0) tags.push("media");
+    return tags;
+  }
+
+  updateCheckboxes() {
+    this.elements.posts
+      .querySelectorAll("input[type=checkbox]")
+      .forEach((checkbox) => {
+        checkbox.checked = this.selected.has(checkbox.dataset.id);
+      });
+    this.updateSummary();
+  }
+
+  updateSummary() {
+    const count = this.records.length;
+    const selectedCount = this.selected.size;
+
+    this.elements.summary.textContent =
+      `${count} posts` + (selectedCount ? `, ${selectedCount} selected` : "");
+    this.elements.exportBtn.textContent = selectedCount
+      ? `Export ${selectedCount} selected`
+      : `Export all ${count}`;
+    this.elements.exportBtn.disabled = count === 0;
+    this.elements.deleteBtn.disabled = selectedCount === 0;
+  }
+
+  // Exports the selection, or every matching post when nothing is selected
+  getExportRecords() {
+    return this.selected.size > 0
+      ? this.records.filter((record) => this.selected.has(record.id))
+      : this.records;
+  }
+
+  async exportRecords() {
+    const records = this.getExportRecords();
+    const format = this.elements.exportFormat.value;
+
+    try {
+      const data = await this.buildExport(records);
+      const { content, extension, type } = new BatchExportBuilder(
+        this.library
+      ).serialize(data, format);
+
+      const url_blob = URL.createObjectURL(new Blob([content], { type }));
+      const timestamp = new Date().toISOString().split("T")[0];
+      await chrome.downloads.download({
+        url: url_blob,
+        filename: `x-posts-library-${timestamp}.${extension}`,
+        saveAs: true,
+      });
+      setTimeout(() => URL.revokeObjectURL(url_blob), 5000);
+
+      this.setStatus(`Exported ${records.length} posts`);
+    } catch (error) {
+      console.error("Error exporting library posts:", error);
+      this.setStatus(`Export failed: ${error.message}`, true);
+    }
+  }
+
+  // Same shape as a run export, with "library" as the source and the
+  // filters in place of scraping settings
+  async buildExport(records) {
+    const filters = this.getFilters();
+    const formatter = new ExportFormatter();
+    const posts = records.map((record, index) =>
+      formatter.withComputedFields({
+        ...record.post,
+        order: index + 1,
+        metricsHistory: this.library.getExportHistory(record),
+      })
+    );
+
+    const data = {
+      metadata: {
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        source: {
+          type: "library",
+          query: filters.text,
+          url: "",
+        },
+        scrapedAt: new Date().toISOString(),
+        scraping: {
+          totalPosts: posts.length,
+          settings: { filters: filters, selectedOnly: this.selected.size > 0 },
+          stats: {},
+          engagementDiff: this.library.getEngagementDiff(records),
+          version: chrome.runtime.getManifest().version,
+          userAgent: navigator.userAgent,
+        },
+      },
+      posts: posts,
+    };
+
+    const response = await fetch(
+      chrome.runtime.getURL("schema/export.schema.json")
+    );
+    data.metadata.scraping.validation = new ExportSchemaValidator(
+      await response.json()
+    ).validateExport(data);
+
+    return data;
+  }
+
+  async deleteSelected() {
+    const ids = [...this.selected];
+    if (!confirm(`Delete ${ids.length} posts from the library?`)) return;
+
+    try {
+      await this.library.deletePosts(ids);
+      this.selected.clear();
+      this.setStatus(`Deleted ${ids.length} posts`);
+      await this.loadAccounts();
+      await this.refresh();
+    } catch (error) {
+      console.error("Error deleting library posts:", error);
+      this.setStatus(`Delete failed: ${error.message}`, true);
+    }
+  }
+
+  setStatus(message, isError = false) {
+    this.elements.status.textContent = message;
+    this.elements.status.className = isError ? "error" : "";
+  }
+}
+
+// Initialize the library page when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  new LibraryController();
+});
@@ -0,0 +1,324 @@
+// Persistent store of every scraped post across runs and accounts. Lives in
+// IndexedDB because chrome.storage only keeps the last run's scrapedPosts.
+// Shared by the background worker, which adds each checkpoint's posts, and
+// the library page, which reads them.
+const LIBRARY_DB_NAME = "x-post-library";
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = "posts";
+
+// Metrics kept in each history snapshot
+const LIBRARY_METRICS = [
+  "replies",
+  "retweets",
+  "likes",
+  "quotes",
+  "bookmarks",
+  "views",
+];
+
+// Post kinds the library can be filtered by
+const LIBRARY_POST_TYPES = {
+  original: (post) =>
+    !post.metadata?.isRetweet && !post.metadata?.isReply && !post.quotedPost,
+  reply: (post) => !!post.metadata?.isReply,
+  retweet: (post) => !!post.metadata?.isRetweet,
+  quote: (post) => !!post.quotedPost,
+  media: (post) => (post.media || []).length > 0,
+};
+
+class PostLibrary {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(LIBRARY_STORE, {
+            keyPath: "id",
+          });
+          store.createIndex("authorHandle", "authorHandle");
+          store.createIndex("timestamp", "timestamp");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  // Adds a run's posts, one record per status id. A post seen again keeps
+  // the time it was first seen and takes the newer snapshot, so metrics are
+  // always the latest captured. Each run also leaves one entry in the post's
+  // metricsHistory; checkpoints of the same run update that entry.
+  async addPosts(posts, source = null, runId = null) {
+    const db = await this.open();
+    const sourceKey = source ? `${source.type}:${source.query}` : null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(LIBRARY_STORE, "readwrite");
+      const store = transaction.objectStore(LIBRARY_STORE);
+      const counts = { added: 0, updated: 0 };
+
+      posts.forEach((post) => {
+        if (!post.id) return;
+
+        const request = store.get(post.id);
+        request.onsuccess = () => {
+          const existing = request.result;
+          store.put(this.toRecord(post, existing, sourceKey, runId));
+          counts[existing ? "updated" : "added"]++;
+        };
+      });
+
+      transaction.oncomplete = () => resolve(counts);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  toRecord(post, existing, sourceKey, runId = null) {
+    const seenAt = post.scrapedAt || new Date().toISOString();
+    const isNewer = !existing || seenAt >= existing.lastSeenAt;
+    const sources = new Set(existing ? existing.sources : []);
+    if (sourceKey) sources.add(sourceKey);
+
+    const latest = isNewer ? post : existing.post;
+    return {
+      id: post.id,
+      // Lowercased copies for the indexes; X handles are case-insensitive
+      authorHandle: (latest.author?.handle || "").toLowerCase(),
+      timestamp: latest.timestamp || "",
+      firstSeenAt:
+        existing && existing.firstSeenAt < seenAt
+          ? existing.firstSeenAt
+          : seenAt,
+      lastSeenAt: isNewer ? seenAt : existing.lastSeenAt,
+      sources: [...sources],
+      metricsHistory: this.addSnapshot(
+        existing ? this.getHistory(existing) : [],
+        post,
+        seenAt,
+        runId
+      ),
+      post: latest,
+    };
+  }
+
+  // Records saved before history was kept only have their latest post, so
+  // start their history from that
+  getHistory(record) {
+    if (record.metricsHistory) return record.metricsHistory;
+    return this.addSnapshot([], record.post, record.lastSeenAt, null);
+  }
+
+  // History as exports carry it in post.metricsHistory, without run ids
+  getExportHistory(record) {
+    return this.getHistory(record).map(({ runId, ...snapshot }) => snapshot);
+  }
+
+  addSnapshot(history, post, seenAt, runId) {
+    const snapshot = { at: seenAt, runId: runId };
+    LIBRARY_METRICS.forEach((metric) => {
+      snapshot[metric] = post.metrics?.[metric] || 0;
+    });
+
+    const others = history.filter((entry) => !runId || entry.runId !== runId);
+    return [...others, snapshot].sort((a, b) => (a.at < b.at ? -1 : 1));
+  }
+
+  async getRecords(ids) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const records = new Map();
+      const store = db
+        .transaction(LIBRARY_STORE, "readonly")
+        .objectStore(LIBRARY_STORE);
+
+      ids.forEach((id) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) records.set(id, request.result);
+        };
+        request.onerror = () => reject(request.error);
+      });
+      store.transaction.oncomplete = () => resolve(records);
+    });
+  }
+
+  // Compares each post's latest snapshot with the one from the run before
+  // and returns the posts whose engagement moved the most. Posts seen for
+  // the first time have nothing to compare against and are only counted.
+  getEngagementDiff(records, limit = 10) {
+    const changes = [];
+    let newPosts = 0;
+
+    records.forEach((record) => {
+      const history = this.getHistory(record);
+      if (history.length < 2) {
+        newPosts++;
+        return;
+      }
+
+      const previous = history[history.length - 2];
+      const latest = history[history.length - 1];
+      const change = {};
+      LIBRARY_METRICS.forEach((metric) => {
+        change[metric] = latest[metric] - previous[metric];
+      });
+
+      changes.push({
+        id: record.id,
+        url: record.post.url,
+        author: record.post.author?.handle || "",
+        text: (record.post.text || "").slice(0, 100),
+        previousAt: previous.at,
+        latestAt: latest.at,
+        change: change,
+        engagementChange:
+          change.likes + change.retweets + change.replies + change.quotes,
+      });
+    });
+
+    changes.sort(
+      (a, b) =>
+        Math.abs(b.engagementChange) - Math.abs(a.engagementChange) ||
+        Math.abs(b.change.views) - Math.abs(a.change.views)
+    );
+
+    return {
+      comparedPosts: changes.length,
+      newPosts: newPosts,
+      topChanges: changes.slice(0, limit),
+    };
+  }
+
+  // Records matching every given filter, newest post first.
+  // filters: { text, author, since, until, type }; since/until are
+  // YYYY-MM-DD days, inclusive
+  async query(filters = {}) {
+    const db = await this.open();
+    const words = (filters.text || "")
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+    const author = (filters.author || "").toLowerCase();
+    const since = filters.since ? new Date(`${filters.since}T00:00:00`) : null;
+    const until = filters.until
+      ? new Date(`${filters.until}T23:59:59.999`)
+      : null;
+    const typeFilter = LIBRARY_POST_TYPES[filters.type] || null;
+
+    return new Promise((resolve, reject) => {
+      const records = [];
+      const index = db
+        .transaction(LIBRARY_STORE, "readonly")
+        .objectStore(LIBRARY_STORE)
+        .index(author ? "authorHandle" : "timestamp");
+      const request = author
+        ? index.openCursor(IDBKeyRange.only(author))
+        : index.openCursor(null, "prev");
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          // The author index isn't ordered by time
+          records.sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+          resolve(records);
+          return;
+        }
+
+        const record = cursor.value;
+        const time = new Date(record.timestamp);
+        if (
+          (!since || time >= since) &&
+          (!until || time <= until) &&
+          (!typeFilter || typeFilter(record.post)) &&
+          words.every((word) => this.getSearchText(record).includes(word))
+        ) {
+          records.push(record);
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  getSearchText(record) {
+    const post = record.post;
+    return [
+      post.text,
+      post.author?.name,
+      post.author?.handle,
+      post.quotedPost?.text,
+      ...(post.entities?.urls || []).map((url) => url.expandedUrl),
+    ]
+      .join(" ")
+      .toLowerCase();
+  }
+
+  // Every account in the library with its number of posts
+  async getAccounts() {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const accounts = [];
+      const request = db
+        .transaction(LIBRARY_STORE, "readonly")
+        .objectStore(LIBRARY_STORE)
+        .index("authorHandle")
+        .openKeyCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(accounts);
+          return;
+        }
+
+        const last = accounts[accounts.length - 1];
+        if (last && last.handle === cursor.key) {
+          last.count++;
+        } else {
+          accounts.push({ handle: cursor.key, count: 1 });
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async count() {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const request = db
+        .transaction(LIBRARY_STORE, "readonly")
+        .objectStore(LIBRARY_STORE)
+        .count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deletePosts(ids) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(LIBRARY_STORE, "readwrite");
+      const store = transaction.objectStore(LIBRARY_STORE);
+      ids.forEach((id) => store.delete(id));
+      transaction.oncomplete = () => resolve(ids.length);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { PostLibrary, LIBRARY_POST_TYPES, LIBRARY_METRICS };
+}
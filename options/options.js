@@ -0,0 +1,375 @@
+// Options page for selector packs. The built-in table in utils/selectors.js
+// stays the default; any field filled in here replaces it in the content
+// script once saved, so a changed X layout can be worked around without
+// reloading the extension.
+const SELECTOR_FIELD_GROUPS = [
+  {
+    title: "Posts",
+    fields: {
+      POSTS: "Post containers",
+      POST_TEXT: "Post text",
+      AUTHOR: "Author name",
+      AUTHOR_HANDLE: "Author handle",
+      TIMESTAMP: "Time",
+      POST_URL: "Post link",
+    },
+  },
+  {
+    title: "Post parts",
+    fields: {
+      SHOW_MORE: '"Show more" on long posts',
+      QUOTE: "Quoted posts",
+      QUOTE_CARD: "Quote cards",
+      AUTHOR_HEADER: "Author header",
+      AUTHOR_AVATAR: "Author avatar",
+      VERIFIED_BADGE: "Verified badge",
+      SOCIAL_CONTEXT: "Reposted by / Pinned",
+      PROMOTED: "Ads",
+    },
+  },
+  {
+    title: "Metrics",
+    fields: {
+      "METRICS.replies": "Replies",
+      "METRICS.retweets": "Reposts",
+      "METRICS.likes": "Likes",
+      "METRICS.bookmarks": "Bookmarks",
+      "METRICS.views": "Views",
+      "METRICS.quotes": "Quotes",
+    },
+  },
+  {
+    title: "Media",
+    fields: {
+      IMAGES: "Photos",
+      VIDEOS: "Videos",
+      CARDS: "Link cards",
+      POLLS: "Polls",
+      SPACES: "Spaces",
+      COMMUNITY_NOTES: "Community notes",
+      VIDEO_PLAYER: "Video players",
+      CARD_IMAGE: "Link card images",
+      CARD_DETAIL: "Link card titles",
+    },
+  },
+  {
+    title: "Page",
+    fields: {
+      PROFILE_COLUMN: "Timeline column",
+      TIMELINE_CELL: "Timeline cells",
+      LOADING_SPINNER: "Loading indicators",
+      PAGE_ERROR: "Error indicators",
+      RETRY_BUTTON: "Retry button (in the error banner)",
+      THREAD_END_HEADING: "End of conversation heading",
+      REPLY_COMPOSER: "Reply box",
+    },
+  },
+  {
+    title: "Profile header",
+    fields: {
+      PROFILE_NAME: "Name and handle",
+      PROFILE_BIO: "Bio",
+      PROFILE_LOCATION: "Location",
+      PROFILE_WEBSITE: "Website",
+      PROFILE_JOIN_DATE: "Join date",
+      PROFILE_AVATAR: "Avatar",
+      PROFILE_BANNER: "Banner",
+      PROFILE_FOLLOWERS: "Followers link",
+      PROFILE_FOLLOWING: "Following link",
+    },
+  },
+];
+
+class OptionsController {
+  constructor() {
+    // Field name to its textarea and status badge
+    this.fields = new Map();
+    this.initializeElements();
+    this.renderFields();
+    this.attachEventListeners();
+    this.loadPack();
+  }
+
+  initializeElements() {
+    this.elements = {
+      packName: document.getElementById("packName"),
+      groups: document.getElementById("groups"),
+      saveBtn: document.getElementById("saveBtn"),
+      resetAllBtn: document.getElementById("resetAllBtn"),
+      exportBtn: document.getElementById("exportBtn"),
+      importFile: document.getElementById("importFile"),
+      formErrors: document.getElementById("formErrors"),
+      status: document.getElementById("status"),
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.saveBtn.addEventListener("click", () => this.savePack());
+    this.elements.resetAllBtn.addEventListener("click", () => this.resetAll());
+    this.elements.exportBtn.addEventListener("click", () => this.exportPack());
+    this.elements.importFile.addEventListener("change", () =>
+      this.importPack()
+    );
+
+    this.elements.groups.addEventListener("input", (event) => {
+      const { field } = event.target.dataset;
+      if (field) this.updateField(field);
+    });
+    this.elements.groups.addEventListener("click", (event) => {
+      const { reset } = event.target.dataset;
+      if (!reset) return;
+
+      this.fields.get(reset).input.value = "";
+      this.updateField(reset);
+    });
+  }
+
+  // Fields added to X_SELECTORS later still get an input, under "Other"
+  getGroups() {
+    const listed = SELECTOR_FIELD_GROUPS.flatMap((group) =>
+      Object.keys(group.fields)
+    );
+    const other = SelectorPack.getFields().filter(
+      (field) => !listed.includes(field)
+    );
+
+    return other.length > 0
+      ? [
+          ...SELECTOR_FIELD_GROUPS,
+          {
+            title: "Other",
+            fields: Object.fromEntries(other.map((field) => [field, field])),
+          },
+        ]
+      : SELECTOR_FIELD_GROUPS;
+  }
+
+  renderFields() {
+    this.getGroups().forEach((group) => {
+      const panel = document.createElement("div");
+      panel.className = "panel";
+      const title = document.createElement("h2");
+      title.textContent = group.title;
+      panel.appendChild(title);
+
+      Object.entries(group.fields).forEach(([field, label]) => {
+        const wrapper = document.createElement("div");
+        wrapper.className = "field";
+
+        const heading = document.createElement("div");
+        heading.className = "field-heading";
+        const name = document.createElement("label");
+        name.htmlFor = `field-${field}`;
+        name.textContent = `${label} `;
+        const code = document.createElement("code");
+        code.textContent = field;
+        name.appendChild(code);
+
+        const badge = document.createElement("span");
+        badge.className = "badge";
+        const reset = document.createElement("button");
+        reset.textContent = "Use built-in";
+        reset.dataset.reset = field;
+        heading.append(name, badge, reset);
+
+        const input = document.createElement("textarea");
+        input.id = `field-${field}`;
+        input.dataset.field = field;
+        input.spellcheck = false;
+        input.placeholder = SelectorPack.getField(X_SELECTORS, field).join(
+          "\n"
+        );
+
+        wrapper.append(heading, input);
+        panel.appendChild(wrapper);
+        this.fields.set(field, { input, badge, reset });
+      });
+
+      this.elements.groups.appendChild(panel);
+    });
+  }
+
+  async loadPack() {
+    const result = await chrome.storage.local.get(["selectorPack"]);
+    this.fillForm(result.selectorPack);
+    if (result.selectorPack) {
+      this.setStatus(
+        `Using "${result.selectorPack.name || "unnamed"}" from ${new Date(
+          result.selectorPack.updatedAt
+        ).toLocaleString()}`
+      );
+    }
+  }
+
+  fillForm(pack) {
+    this.elements.packName.value = pack ? pack.name || "" : "";
+    this.fields.forEach(({ input }, field) => {
+      const selectors = pack
+        ? SelectorPack.getField(pack.selectors, field)
+        : null;
+      input.value = Array.isArray(selectors) ? selectors.join("\n") : "";
+      this.updateField(field);
+    });
+    this.showErrors([]);
+  }
+
+  getSelectors(field) {
+    return this.fields
+      .get(field)
+      .input.value.split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+
+  // Only fields with at least one selector go into the pack
+  getPack() {
+    const selectors = {};
+    this.fields.forEach((entry, field) => {
+      const list = this.getSelectors(field);
+      if (list.length === 0) return;
+
+      const [group, key] = field.split(".");
+      if (key) {
+        selectors[group] = { ...selectors[group], [key]: list };
+      } else {
+        selectors[group] = list;
+      }
+    });
+
+    return SelectorPack.create(selectors, this.elements.packName.value.trim());
+  }
+
+  updateField(field) {
+    const { input, badge, reset } = this.fields.get(field);
+    const selectors = this.getSelectors(field);
+    const invalid = selectors.filter(
+      (selector) => !SelectorUtils.isValidSelector(selector)
+    );
+
+    if (invalid.length > 0) {
+      badge.textContent = `Invalid: ${invalid.join(", ")}`;
+      badge.className = "badge invalid";
+    } else if (selectors.length > 0) {
+      badge.textContent = "Overridden";
+      badge.className = "badge overridden";
+    } else {
+      badge.textContent = "Built-in";
+      badge.className = "badge";
+    }
+    input.classList.toggle("invalid", invalid.length > 0);
+    reset.hidden = selectors.length === 0;
+  }
+
+  validate(pack) {
+    const errors = SelectorPack.validate(pack);
+    this.showErrors(errors);
+    return errors.length === 0;
+  }
+
+  async savePack() {
+    const pack = this.getPack();
+    if (!this.validate(pack)) {
+      this.setStatus("Fix the problems listed below first", true);
+      return;
+    }
+
+    try {
+      if (Object.keys(pack.selectors).length === 0) {
+        await chrome.storage.local.remove("selectorPack");
+        this.setStatus("Saved. Using the built-in selectors");
+      } else {
+        await chrome.storage.local.set({ selectorPack: pack });
+        this.setStatus(
+          "Saved. Open X tabs use these selectors from the next post they read"
+        );
+      }
+    } catch (error) {
+      console.error("Error saving selector pack:", error);
+      this.setStatus(`Saving failed: ${error.message}`, true);
+    }
+  }
+
+  async resetAll() {
+    if (!confirm("Go back to the built-in selectors for every field?")) {
+      return;
+    }
+
+    await chrome.storage.local.remove("selectorPack");
+    this.fillForm(null);
+    this.setStatus("Using the built-in selectors");
+  }
+
+  async exportPack() {
+    const pack = this.getPack();
+    if (!this.validate(pack)) {
+      this.setStatus("Fix the problems listed below first", true);
+      return;
+    }
+
+    try {
+      const url_blob = URL.createObjectURL(
+        new Blob([JSON.stringify(pack, null, 2)], {
+          type: "application/json",
+        })
+      );
+      const timestamp = new Date().toISOString().split("T")[0];
+      await chrome.downloads.download({
+        url: url_blob,
+        filename: `x-scraper-selectors-${timestamp}.json`,
+        saveAs: true,
+      });
+      setTimeout(() => URL.revokeObjectURL(url_blob), 5000);
+
+      this.setStatus("Exported the selector pack");
+    } catch (error) {
+      console.error("Error exporting selector pack:", error);
+      this.setStatus(`Export failed: ${error.message}`, true);
+    }
+  }
+
+  // Imported packs fill the form; they only apply once saved
+  async importPack() {
+    const file = this.elements.importFile.files[0];
+    if (!file) return;
+    this.elements.importFile.value = "";
+
+    let pack;
+    try {
+      pack = JSON.parse(await file.text());
+    } catch (error) {
+      this.showErrors([]);
+      this.setStatus(`${file.name} is not a JSON file`, true);
+      return;
+    }
+
+    if (!this.validate(pack)) {
+      this.setStatus(`Could not import ${file.name}`, true);
+      return;
+    }
+
+    this.fillForm(pack);
+    this.setStatus(
+      `Imported "${pack.name || file.name}". Save to start using it`
+    );
+  }
+
+  showErrors(errors) {
+    this.elements.formErrors.textContent = "";
+    this.elements.formErrors.hidden = errors.length === 0;
+    errors.forEach((error) => {
+      const entry = document.createElement("li");
+      entry.textContent = error;
+      this.elements.formErrors.appendChild(entry);
+    });
+  }
+
+  setStatus(message, isError = false) {
+    this.elements.status.textContent = message;
+    this.elements.status.className = isError ? "error" : "";
+  }
+}
+
+// Initialize the options page when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  new OptionsController();
+});
@@ -0,0 +1,199 @@
+// Flat column schema shared by the tabular exports (CSV, NDJSON and columnar
+// JSON), so every format carries the same fields under the same names.
+// Names are snake_case so they load into BigQuery and pandas unchanged.
+const EXPORT_COLUMNS = [
+  { name: "order", type: "integer", value: (p) => p.finalOrder || p.order },
+  { name: "id", type: "string", value: (p) => p.id },
+  { name: "text", type: "string", value: (p) => p.text },
+  { name: "text_truncated", type: "boolean", value: (p) => p.textTruncated },
+  { name: "author_name", type: "string", value: (p) => p.author?.name },
+  { name: "author_handle", type: "string", value: (p) => p.author?.handle },
+  {
+    name: "author_verified_type",
+    type: "string",
+    value: (p) => p.author?.verifiedType,
+  },
+  {
+    name: "retweeted_by",
+    type: "string",
+    value: (p) => p.metadata?.retweetedBy,
+  },
+  { name: "timestamp", type: "timestamp", value: (p) => p.timestamp },
+  { name: "url", type: "string", value: (p) => p.url },
+  { name: "likes", type: "integer", value: (p) => p.metrics?.likes || 0 },
+  {
+    name: "retweets",
+    type: "integer",
+    value: (p) => p.metrics?.retweets || 0,
+  },
+  { name: "replies", type: "integer", value: (p) => p.metrics?.replies || 0 },
+  { name: "quotes", type: "integer", value: (p) => p.metrics?.quotes || 0 },
+  {
+    name: "bookmarks",
+    type: "integer",
+    value: (p) => p.metrics?.bookmarks || 0,
+  },
+  { name: "views", type: "integer", value: (p) => p.metrics?.views || 0 },
+  {
+    name: "media_count",
+    type: "integer",
+    value: (p) => (p.media || []).length,
+  },
+  {
+    name: "media_types",
+    type: "string[]",
+    value: (p) => (p.media || []).map((item) => item.type),
+  },
+  {
+    name: "media_urls",
+    type: "string[]",
+    value: (p) => (p.media || []).map((item) => item.url).filter(Boolean),
+  },
+  {
+    name: "is_retweet",
+    type: "boolean",
+    value: (p) => p.metadata?.isRetweet,
+  },
+  { name: "is_reply", type: "boolean", value: (p) => p.metadata?.isReply },
+  {
+    name: "has_thread",
+    type: "boolean",
+    value: (p) => p.metadata?.hasThread,
+  },
+  { name: "is_pinned", type: "boolean", value: (p) => p.metadata?.isPinned },
+  {
+    name: "hashtags",
+    type: "string[]",
+    value: (p) => (p.entities?.hashtags || []).map((e) => e.tag),
+  },
+  {
+    name: "mentions",
+    type: "string[]",
+    value: (p) => (p.entities?.mentions || []).map((e) => e.handle),
+  },
+  {
+    name: "cashtags",
+    type: "string[]",
+    value: (p) => (p.entities?.cashtags || []).map((e) => e.symbol),
+  },
+  {
+    name: "urls",
+    type: "string[]",
+    value: (p) => (p.entities?.urls || []).map((e) => e.expandedUrl),
+  },
+  {
+    name: "quoted_post_id",
+    type: "string",
+    value: (p) => p.quotedPost?.id,
+  },
+  {
+    name: "quoted_author_handle",
+    type: "string",
+    value: (p) => p.quotedPost?.handle,
+  },
+  { name: "quoted_text", type: "string", value: (p) => p.quotedPost?.text },
+  {
+    name: "conversation_id",
+    type: "string",
+    value: (p) => p.conversationId,
+  },
+  { name: "in_reply_to_id", type: "string", value: (p) => p.inReplyToId },
+  { name: "thread_role", type: "string", value: (p) => p.threadRole },
+  { name: "language", type: "string", value: (p) => p.metadata?.language },
+  { name: "verified", type: "boolean", value: (p) => p.metadata?.verified },
+  { name: "scraped_at", type: "timestamp", value: (p) => p.scrapedAt },
+];
+
+class ExportFormatter {
+  constructor(columns = EXPORT_COLUMNS) {
+    this.columns = columns;
+  }
+
+  // Missing values become null (or [] for lists) rather than "" or false,
+  // so "not captured" stays distinguishable from an empty value
+  toRow(post) {
+    const row = {};
+    this.columns.forEach((column) => {
+      const value = column.value(post);
+      if (column.type === "string[]") {
+        row[column.name] = value || [];
+      } else if (column.type === "boolean") {
+        row[column.name] = value === undefined ? null : !!value;
+      } else {
+        row[column.name] = value === undefined || value === "" ? null : value;
+      }
+    });
+    return row;
+  }
+
+  // Adds the fields every JSON export computes from the post itself
+  withComputedFields(post) {
+    const media = post.media || [];
+    return {
+      ...post,
+      textLength: post.text ? post.text.length : 0,
+      hasMedia: media.length > 0,
+      mediaCount: media.length,
+      engagementTotal:
+        (post.metrics?.likes || 0) +
+        (post.metrics?.retweets || 0) +
+        (post.metrics?.replies || 0) +
+        (post.metrics?.quotes || 0),
+    };
+  }
+
+  // One JSON object per line, no surrounding array, so the file can be
+  // streamed or appended to. Every record ends in a newline, including the
+  // last, so appending another export continues on a new line
+  toNDJSON(posts) {
+    return posts
+      .map((post) => `${JSON.stringify(this.toRow(post))}\n`)
+      .join("");
+  }
+
+  // Every field is quoted and rows end in CRLF (RFC 4180), so commas,
+  // quotes and line breaks inside post text stay within their cell. The
+  // byte order mark makes Excel read the file as UTF-8.
+  toCSV(posts) {
+    const lines = [
+      this.columns.map((column) => this.escapeCsvValue(column.name)),
+      ...posts.map((post) => {
+        const row = this.toRow(post);
+        return this.columns.map((column) => {
+          const value = row[column.name];
+          return this.escapeCsvValue(
+            Array.isArray(value) ? value.join(" ") : value
+          );
+        });
+      }),
+    ];
+
+    return "\uFEFF" + lines.map((cells) => cells.join(",")).join("\r\n");
+  }
+
+  // Column-oriented JSON: one array per column plus the schema, which
+  // loads straight into a data frame or a Parquet writer
+  toColumnar(posts, metadata = {}) {
+    const rows = posts.map((post) => this.toRow(post));
+    const data = {};
+    this.columns.forEach((column) => {
+      data[column.name] = rows.map((row) => row[column.name]);
+    });
+
+    return {
+      metadata: metadata,
+      schema: this.columns.map(({ name, type }) => ({ name, type })),
+      rowCount: rows.length,
+      columns: data,
+    };
+  }
+
+  escapeCsvValue(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { ExportFormatter, EXPORT_COLUMNS };
+}
@@ -0,0 +1,296 @@
+// Version of the export described by schema/export.schema.json. Bump it
+// whenever the post or metadata shape changes, and add a step to
+// ExportMigrator so older files can be upgraded.
+const EXPORT_SCHEMA_VERSION = "2.4.0";
+
+// Checks a value against the subset of JSON Schema the export schema uses:
+// $ref, type, const, enum, required, properties, items, minimum, pattern and
+// the date-time format
+class ExportSchemaValidator {
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  // Validates metadata and each post separately, so one malformed post is
+  // reported by id instead of failing the whole file
+  validateExport(data) {
+    const definitions = this.schema.$defs;
+    const metadataErrors = this.validate(
+      data.metadata,
+      definitions.metadata,
+      "metadata"
+    );
+    const invalidPosts = [];
+
+    (data.posts || []).forEach((post, index) => {
+      const errors = this.validate(post, definitions.post, `posts[${index}]`);
+      if (errors.length > 0) {
+        invalidPosts.push({
+          id: post.id || null,
+          index: index,
+          errors: errors,
+        });
+      }
+    });
+
+    return {
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      valid: metadataErrors.length === 0 && invalidPosts.length === 0,
+      metadataErrors: metadataErrors,
+      invalidPosts: invalidPosts,
+    };
+  }
+
+  validate(value, schema, path = "") {
+    schema = this.resolve(schema);
+    const errors = [];
+    const fail = (message) => errors.push(`${path || "value"}: ${message}`);
+
+    if ("const" in schema && value !== schema.const) {
+      fail(`expected ${JSON.stringify(schema.const)}`);
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`expected one of ${schema.enum.map(String).join(", ")}`);
+      return errors;
+    }
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some((type) => this.hasType(value, type))) {
+        fail(`expected ${types.join(" or ")}`);
+        return errors;
+      }
+    }
+
+    if (value === null) return errors;
+
+    if (typeof value === "string") {
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        fail(`does not match ${schema.pattern}`);
+      }
+      if (schema.format === "date-time" && !this.isDateTime(value)) {
+        fail("is not an ISO 8601 date-time");
+      }
+    }
+
+    if (typeof value === "number" && "minimum" in schema) {
+      if (value < schema.minimum) fail(`is below ${schema.minimum}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+      });
+    } else if (typeof value === "object" && !Array.isArray(value)) {
+      // Undefined counts as absent, as it is dropped by JSON.stringify
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined) fail(`missing ${key}`);
+      });
+
+      Object.entries(schema.properties || {}).forEach(([key, property]) => {
+        if (value[key] !== undefined) {
+          errors.push(...this.validate(value[key], property, `${path}.${key}`));
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  // Only local references into $defs are used
+  resolve(schema) {
+    if (!schema.$ref) return schema;
+
+    const name = schema.$ref.replace("#/$defs/", "");
+    if (!this.schema.$defs[name]) {
+      throw new Error(`Unknown schema reference ${schema.$ref}`);
+    }
+    return this.schema.$defs[name];
+  }
+
+  hasType(value, type) {
+    switch (type) {
+      case "null":
+        return value === null;
+      case "array":
+        return Array.isArray(value);
+      case "object":
+        return (
+          typeof value === "object" && value !== null && !Array.isArray(value)
+        );
+      case "integer":
+        return Number.isInteger(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  isDateTime(value) {
+    return (
+      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(
+        value
+      ) && !isNaN(Date.parse(value))
+    );
+  }
+}
+
+// Upgrades exports written by earlier versions, one version step at a time
+class ExportMigrator {
+  constructor() {
+    this.steps = {
+      "1.0.0": (data) => this.migrateFrom1(data),
+      // 2.1.0 only added the "library" source type
+      "2.0.0": (data) => this.setVersion(data, "2.1.0"),
+      // 2.2.0 only added metricsHistory and engagementDiff
+      "2.1.0": (data) => this.setVersion(data, "2.2.0"),
+      // 2.3.0 only added the "batch" source type, metadata.batch and batchIndex
+      "2.2.0": (data) => this.setVersion(data, "2.3.0"),
+      // 2.4.0 only added metadata.scraping.coverage
+      "2.3.0": (data) => this.setVersion(data, "2.4.0"),
+    };
+  }
+
+  // Files from before the schema was versioned only carry the extension
+  // version in metadata.scraping.version, which was always "1.0.0"
+  getVersion(data) {
+    return (data.metadata && data.metadata.schemaVersion) || "1.0.0";
+  }
+
+  // For additive versions that need no changes besides the stamp
+  setVersion(data, version) {
+    return { ...data, metadata: { ...data.metadata, schemaVersion: version } };
+  }
+
+  migrate(data) {
+    const originalVersion = this.getVersion(data);
+    let migrated = JSON.parse(JSON.stringify(data));
+    let version = originalVersion;
+
+    while (version !== EXPORT_SCHEMA_VERSION) {
+      const step = this.steps[version];
+      if (!step) {
+        throw new Error(`Cannot migrate export from schema version ${version}`);
+      }
+      migrated = step(migrated);
+      version = this.getVersion(migrated);
+    }
+
+    if (originalVersion !== EXPORT_SCHEMA_VERSION) {
+      migrated.metadata.migratedFrom = originalVersion;
+    }
+    return migrated;
+  }
+
+  // 1.0.0 covers the original profile-only export (author as a plain name,
+  // image/video media, no entities or quotes) as well as later files that
+  // still carried the hardcoded version, so every field is normalized
+  // rather than assumed missing
+  migrateFrom1(data) {
+    const metadata = data.metadata || {};
+    const profile = metadata.profile;
+
+    const source = metadata.source || {
+      type: "profile",
+      query: profile ? profile.username : "",
+      url: profile ? profile.url : "",
+    };
+
+    return {
+      ...data,
+      metadata: {
+        schemaVersion: "2.0.0",
+        ...metadata,
+        source: source,
+        scrapedAt:
+          metadata.scrapedAt ||
+          (profile && profile.scrapedAt) ||
+          new Date(0).toISOString(),
+        scraping: {
+          totalPosts: (data.posts || []).length,
+          settings: {},
+          stats: {},
+          ...metadata.scraping,
+        },
+      },
+      posts: (data.posts || []).map((post) => this.migratePostFrom1(post)),
+    };
+  }
+
+  migratePostFrom1(post) {
+    const urlMatch = (post.url || "").match(/\/([^\/]+)\/status\//);
+    const author =
+      typeof post.author === "object" && post.author !== null
+        ? post.author
+        : {
+            name: post.author || "",
+            handle: urlMatch ? urlMatch[1] : "",
+            avatarUrl: "",
+            verifiedType: null,
+          };
+    const metadata = post.metadata || {};
+
+    return {
+      ...post,
+      text: post.text || "",
+      textTruncated: !!post.textTruncated,
+      entities: {
+        hashtags: [],
+        mentions: [],
+        cashtags: [],
+        urls: [],
+        ...post.entities,
+      },
+      quotedPost: post.quotedPost || null,
+      author: author,
+      metrics: {
+        replies: 0,
+        retweets: 0,
+        likes: 0,
+        quotes: 0,
+        bookmarks: 0,
+        views: 0,
+        ...post.metrics,
+      },
+      media: (post.media || []).map((item) => this.migrateMediaFrom1(item)),
+      metadata: {
+        isPinned: false,
+        isQuote: !!post.quotedPost,
+        retweetedBy: "",
+        ...metadata,
+        isRetweet: !!metadata.isRetweet,
+        isReply: !!metadata.isReply,
+        hasThread: !!metadata.hasThread,
+        language: metadata.language || "",
+        verified: !!metadata.verified,
+      },
+    };
+  }
+
+  migrateMediaFrom1(item) {
+    if (item.type === "image") {
+      return { ...item, type: "photo" };
+    }
+
+    if (item.type === "video" && "poster" in item) {
+      const { poster, ...rest } = item;
+      return {
+        duration: null,
+        aspectRatio: null,
+        ...rest,
+        thumbnail: poster,
+      };
+    }
+
+    return item;
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    EXPORT_SCHEMA_VERSION,
+    ExportSchemaValidator,
+    ExportMigrator,
+  };
+}
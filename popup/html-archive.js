@@ -0,0 +1,330 @@
+// Builds a single offline HTML page from an export, for people who want to
+// browse posts without loading the JSON into a data tool
+class HtmlArchiveBuilder {
+  // images maps remote media/avatar URLs to data: URIs or to saved files
+  // relative to the page; anything missing falls back to the remote URL,
+  // which only loads while online
+  build(data, images = new Map()) {
+    const source = data.metadata.source || {};
+    const title = `X posts: ${source.query || source.url || "export"}`;
+    const cards = data.posts
+      .map((post) => this.renderPost(post, images))
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeHtml(title)}</title>
+<style>${ARCHIVE_STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${this.escapeHtml(title)}</h1>
+  <p class="summary">${data.posts.length} posts from <a href="${this.safeUrl(
+      source.url
+    )}">${this.escapeHtml(source.url || "")}</a>, scraped ${this.escapeHtml(
+      this.formatTime(data.metadata.scrapedAt)
+    )}</p>
+  <div class="toolbar">
+    <input id="search" type="search" placeholder="Search text, author or hashtag">
+    <select id="sort">
+      <option value="newest">Newest first</option>
+      <option value="oldest">Oldest first</option>
+      <option value="engagement">Most engagement</option>
+      <option value="original">Original order</option>
+    </select>
+    <label><input id="hideReplies" type="checkbox"> Hide replies</label>
+    <label><input id="hideRetweets" type="checkbox"> Hide reposts</label>
+    <span id="visibleCount"></span>
+  </div>
+</header>
+<main id="posts">
+${cards}
+</main>
+<script>${ARCHIVE_SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  renderPost(post, images) {
+    const author = post.author || {};
+    const metadata = post.metadata || {};
+    const metrics = post.metrics || {};
+    const avatar = author.avatarUrl
+      ? `<img class="avatar" src="${this.escapeHtml(
+          images.get(author.avatarUrl) || author.avatarUrl
+        )}" alt="">`
+      : "";
+    const searchText = [
+      post.text,
+      author.name,
+      author.handle,
+      post.quotedPost ? post.quotedPost.text : "",
+    ]
+      .join(" ")
+      .toLowerCase();
+
+    return `<article class="post" data-order="${
+      post.finalOrder || post.order || 0
+    }" data-time="${Date.parse(post.timestamp) || 0}" data-engagement="${
+      post.engagementTotal || 0
+    }" data-reply="${!!metadata.isReply}" data-retweet="${!!metadata.isRetweet}" data-search="${this.escapeHtml(
+      searchText
+    )}">
+  ${
+    metadata.isRetweet
+      ? `<div class="context">Reposted by @${this.escapeHtml(
+          metadata.retweetedBy || ""
+        )}</div>`
+      : ""
+  }
+  <div class="author">${avatar}<div><strong>${this.escapeHtml(
+      author.name || ""
+    )}</strong> <span class="muted">@${this.escapeHtml(
+      author.handle || ""
+    )}</span><br><a class="muted" href="${this.safeUrl(
+      post.url
+    )}">${this.escapeHtml(this.formatTime(post.timestamp))}</a></div></div>
+  <p class="text">${this.renderText(post)}</p>
+  ${this.renderMedia(post.media || [], images)}
+  ${this.renderQuote(post.quotedPost, images)}
+  <div class="metrics">
+    <span title="Replies">💬 ${metrics.replies || 0}</span>
+    <span title="Reposts">🔁 ${metrics.retweets || 0}</span>
+    <span title="Likes">♥ ${metrics.likes || 0}</span>
+    <span title="Quotes">❝ ${metrics.quotes || 0}</span>
+    <span title="Bookmarks">🔖 ${metrics.bookmarks || 0}</span>
+    <span title="Views">👁 ${metrics.views || 0}</span>
+  </div>
+</article>`;
+  }
+
+  // Entity offsets index into post.text, so slice around them and escape
+  // each piece instead of linkifying already-escaped HTML
+  renderText(post) {
+    const text = post.text || "";
+    const entities = post.entities || {};
+    const links = [
+      ...(entities.urls || []).map((entity) => ({
+        ...entity,
+        href: entity.expandedUrl,
+      })),
+      ...(entities.hashtags || []).map((entity) => ({
+        ...entity,
+        href: `https://x.com/hashtag/${encodeURIComponent(entity.tag)}`,
+      })),
+      ...(entities.mentions || []).map((entity) => ({
+        ...entity,
+        href: `https://x.com/${encodeURIComponent(entity.handle)}`,
+      })),
+      ...(entities.cashtags || []).map((entity) => ({
+        ...entity,
+        href: `https://x.com/search?q=${encodeURIComponent(
+          "$" + entity.symbol
+        )}`,
+      })),
+    ]
+      // Older exports can hold entities without a place in the text
+      .filter(
+        (entity) =>
+          Number.isInteger(entity.start) &&
+          Number.isInteger(entity.end) &&
+          entity.start >= 0 &&
+          entity.end <= text.length
+      )
+      .sort((a, b) => a.start - b.start);
+
+    let html = "";
+    let position = 0;
+    links.forEach((link) => {
+      if (link.start < position) return;
+      html += this.escapeHtml(text.slice(position, link.start));
+      html += `<a href="${this.safeUrl(link.href)}">${this.escapeHtml(
+        text.slice(link.start, link.end)
+      )}</a>`;
+      position = link.end;
+    });
+    html += this.escapeHtml(text.slice(position));
+
+    return html.replace(/\n/g, "<br>");
+  }
+
+  renderMedia(media, images) {
+    const items = media
+      .map((item) => {
+        const image = (url, alt = "") =>
+          url
+            ? `<img src="${this.escapeHtml(
+                images.get(url) || url
+              )}" alt="${this.escapeHtml(alt)}" loading="lazy">`
+            : "";
+
+        switch (item.type) {
+          case "photo":
+            return image(item.url, item.alt);
+          case "animated_gif":
+          case "video":
+            return `<figure>${image(item.thumbnail)}<figcaption>${
+              item.type === "video" ? "Video" : "GIF"
+            }${
+              item.duration ? ` · ${this.formatDuration(item.duration)}` : ""
+            }</figcaption></figure>`;
+          case "card":
+            return `<a class="card" href="${this.safeUrl(item.url)}">${image(
+              item.thumbnail
+            )}<span><span class="muted">${this.escapeHtml(
+              item.domain
+            )}</span><br>${this.escapeHtml(item.title)}</span></a>`;
+          case "poll":
+            return `<ul class="poll">${item.options
+              .map(
+                (option) =>
+                  `<li>${this.escapeHtml(option.label)}${
+                    option.percentage !== null
+                      ? ` <strong>${option.percentage}%</strong>`
+                      : ""
+                  }</li>`
+              )
+              .join("")}</ul>`;
+          case "space":
+            return `<a class="card" href="${this.safeUrl(
+              item.url
+            )}">🎙 ${this.escapeHtml(item.title)}</a>`;
+          case "community_note":
+            return `<blockquote class="note">${this.escapeHtml(
+              item.text
+            )}</blockquote>`;
+          default:
+            return "";
+        }
+      })
+      .filter(Boolean);
+
+    return items.length ? `<div class="media">${items.join("")}</div>` : "";
+  }
+
+  renderQuote(quote, images) {
+    if (!quote) return "";
+
+    return `<div class="quote"><strong>${this.escapeHtml(
+      quote.author
+    )}</strong> <span class="muted">@${this.escapeHtml(
+      quote.handle
+    )}</span><p class="text">${this.escapeHtml(quote.text).replace(
+      /\n/g,
+      "<br>"
+    )}</p>${this.renderMedia(quote.media || [], images)}${
+      quote.url
+        ? `<a class="muted" href="${this.safeUrl(
+            quote.url
+          )}">Open quoted post</a>`
+        : ""
+    }</div>`;
+  }
+
+  formatTime(timestamp) {
+    const date = new Date(timestamp);
+    return isNaN(date) ? "" : date.toLocaleString();
+  }
+
+  formatDuration(seconds) {
+    const rounded = Math.round(seconds);
+    return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(
+      2,
+      "0"
+    )}`;
+  }
+
+  // Only web links become hrefs, so scraped text can't smuggle in
+  // javascript: URLs
+  safeUrl(url) {
+    return /^https?:\/\//i.test(url || "") ? this.escapeHtml(url) : "#";
+  }
+
+  escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+}
+
+const ARCHIVE_STYLES = `
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f7f9fa; color: #0f1419; }
+header { position: sticky; top: 0; background: white; border-bottom: 1px solid #e1e8ed; padding: 12px 20px; z-index: 1; }
+h1 { margin: 0 0 4px; font-size: 20px; color: #1d9bf0; }
+a { color: #1d9bf0; text-decoration: none; }
+.summary, .muted { color: #536471; }
+.summary { margin: 0 0 8px; font-size: 13px; }
+.toolbar { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; font-size: 14px; }
+.toolbar input[type="search"] { flex: 1; min-width: 200px; padding: 6px 10px; border: 1px solid #cfd9de; border-radius: 16px; }
+main { max-width: 640px; margin: 16px auto; padding: 0 12px; }
+.post { background: white; border: 1px solid #e1e8ed; border-radius: 12px; padding: 12px 16px; margin-bottom: 12px; }
+.post[hidden] { display: none; }
+.context { font-size: 13px; color: #536471; margin-bottom: 6px; }
+.author { display: flex; gap: 10px; align-items: center; font-size: 14px; }
+.avatar { width: 40px; height: 40px; border-radius: 50%; }
+.text { white-space: normal; word-wrap: break-word; line-height: 1.4; }
+.media { display: grid; gap: 6px; margin: 8px 0; }
+.media img { max-width: 100%; border-radius: 10px; display: block; }
+.media figure { margin: 0; }
+.media figcaption { font-size: 12px; color: #536471; }
+.card { display: flex; gap: 10px; align-items: center; border: 1px solid #e1e8ed; border-radius: 10px; padding: 8px; color: #0f1419; }
+.card img { width: 80px; }
+.poll { margin: 0; padding-left: 20px; }
+.note { margin: 0; padding: 8px 12px; border-left: 3px solid #1d9bf0; background: #f7f9fa; }
+.quote { border: 1px solid #e1e8ed; border-radius: 10px; padding: 8px 12px; margin: 8px 0; font-size: 14px; }
+.metrics { display: flex; gap: 16px; font-size: 13px; color: #536471; }
+`;
+
+// Runs inside the exported page: search, sort and filters over the cards
+const ARCHIVE_SCRIPT = `
+(function () {
+  var container = document.getElementById("posts");
+  var posts = Array.prototype.slice.call(container.querySelectorAll(".post"));
+  var controls = {
+    search: document.getElementById("search"),
+    sort: document.getElementById("sort"),
+    hideReplies: document.getElementById("hideReplies"),
+    hideRetweets: document.getElementById("hideRetweets"),
+  };
+  var comparators = {
+    newest: function (a, b) { return b.dataset.time - a.dataset.time; },
+    oldest: function (a, b) { return a.dataset.time - b.dataset.time; },
+    engagement: function (a, b) { return b.dataset.engagement - a.dataset.engagement; },
+    original: function (a, b) { return a.dataset.order - b.dataset.order; },
+  };
+
+  function update() {
+    var query = controls.search.value.trim().toLowerCase();
+    var visible = 0;
+
+    posts.sort(comparators[controls.sort.value]).forEach(function (post) {
+      post.hidden =
+        (query && post.dataset.search.indexOf(query) === -1) ||
+        (controls.hideReplies.checked && post.dataset.reply === "true") ||
+        (controls.hideRetweets.checked && post.dataset.retweet === "true");
+      if (!post.hidden) visible++;
+      container.appendChild(post);
+    });
+
+    document.getElementById("visibleCount").textContent =
+      visible + " of " + posts.length + " posts";
+  }
+
+  controls.search.addEventListener("input", update);
+  Object.keys(controls).forEach(function (name) {
+    controls[name].addEventListener("change", update);
+  });
+  update();
+})();
+`;
+
+if (typeof module !== "undefined") {
+  module.exports = { HtmlArchiveBuilder };
+}
@@ -1,7 +1,21 @@
+// Popup text for each scrape state
+const SCRAPE_STATUS_MESSAGES = {
+  starting: "Starting scraper...",
+  running: "Scraping in progress...",
+  stopping: "Stopping scraper...",
+};
+
 class PopupController {
   constructor() {
     this.isScrapingActive = false;
     this.scrapedPosts = [];
+    this.session = null;
+    this.tabId = null;
+    this.pageSupported = false;
+    this.port = null;
+    this.scrapeState = null;
+    // Logged errors are also reported to the background worker
+    this.errorHandler = new ErrorHandler();
     this.initializeElements();
     this.attachEventListeners();
     this.loadState();
@@ -12,12 +26,29 @@ class PopupController {
       status: document.getElementById("status"),
       startBtn: document.getElementById("startBtn"),
       stopBtn: document.getElementById("stopBtn"),
+      resumeBtn: document.getElementById("resumeBtn"),
       downloadBtn: document.getElementById("downloadBtn"),
+      exportHtmlBtn: document.getElementById("exportHtmlBtn"),
+      libraryBtn: document.getElementById("libraryBtn"),
+      queueBtn: document.getElementById("queueBtn"),
+      jobsBtn: document.getElementById("jobsBtn"),
+      selectorsBtn: document.getElementById("selectorsBtn"),
+      diffBtn: document.getElementById("diffBtn"),
+      engagementDiff: document.getElementById("engagementDiff"),
+      diagnoseBtn: document.getElementById("diagnoseBtn"),
+      diagnoseReport: document.getElementById("diagnoseReport"),
+      coverageWarning: document.getElementById("coverageWarning"),
       progressFill: document.getElementById("progressFill"),
       postCount: document.getElementById("postCount"),
       scrollCount: document.getElementById("scrollCount"),
       scrollDelay: document.getElementById("scrollDelay"),
       maxPosts: document.getElementById("maxPosts"),
+      sinceDate: document.getElementById("sinceDate"),
+      untilDate: document.getElementById("untilDate"),
+      olderPostsLimit: document.getElementById("olderPostsLimit"),
+      incremental: document.getElementById("incremental"),
+      downloadMedia: document.getElementById("downloadMedia"),
+      exportFormat: document.getElementById("exportFormat"),
     };
   }
 
@@ -26,9 +57,39 @@ class PopupController {
       this.startScraping()
     );
     this.elements.stopBtn.addEventListener("click", () => this.stopScraping());
+    this.elements.resumeBtn.addEventListener("click", () =>
+      this.resumeScraping()
+    );
     this.elements.downloadBtn.addEventListener("click", () =>
       this.downloadData()
     );
+    this.elements.exportHtmlBtn.addEventListener("click", () =>
+      this.exportHtml()
+    );
+    this.elements.diffBtn.addEventListener("click", () =>
+      this.showEngagementDiff()
+    );
+    this.elements.libraryBtn.addEventListener("click", () =>
+      chrome.tabs.create({
+        url: chrome.runtime.getURL("library/library.html"),
+      })
+    );
+    this.elements.queueBtn.addEventListener("click", () =>
+      chrome.tabs.create({
+        url: chrome.runtime.getURL("queue/queue.html"),
+      })
+    );
+    this.elements.jobsBtn.addEventListener("click", () =>
+      chrome.tabs.create({
+        url: chrome.runtime.getURL("jobs/jobs.html"),
+      })
+    );
+    this.elements.selectorsBtn.addEventListener("click", () =>
+      chrome.runtime.openOptionsPage()
+    );
+    this.elements.diagnoseBtn.addEventListener("click", () =>
+      this.diagnosePage()
+    );
 
     // Save settings when changed
     this.elements.scrollDelay.addEventListener("change", () =>
@@ -37,6 +98,28 @@ class PopupController {
     this.elements.maxPosts.addEventListener("change", () =>
       this.saveSettings()
     );
+    this.elements.sinceDate.addEventListener("change", () =>
+      this.saveSettings()
+    );
+    this.elements.untilDate.addEventListener("change", () =>
+      this.saveSettings()
+    );
+    this.elements.olderPostsLimit.addEventListener("change", () =>
+      this.saveSettings()
+    );
+    this.elements.incremental.addEventListener("change", () =>
+      this.saveSettings()
+    );
+    this.elements.downloadMedia.addEventListener("change", () =>
+      chrome.storage.local.set({
+        downloadMedia: this.elements.downloadMedia.checked,
+      })
+    );
+    this.elements.exportFormat.addEventListener("change", () =>
+      chrome.storage.local.set({
+        exportFormat: this.elements.exportFormat.value,
+      })
+    );
   }
 
   async loadState() {
@@ -47,46 +130,114 @@ class PopupController {
         currentWindow: true,
       });
 
-      if (!this.isXProfilePage(tab.url)) {
-        this.updateStatus("Please navigate to an X profile page", "error");
+      // Background messages, e.g. media download progress
+      chrome.runtime.onMessage.addListener((message) => {
+        this.handleMessage(message);
+      });
+
+      this.tabId = tab.id;
+      await this.loadSession();
+
+      this.pageSupported = !!PageType.detect(tab.url);
+      this.connectToBackground();
+
+      if (!this.pageSupported) {
+        this.updateStatus(
+          "Please navigate to an X profile, search, hashtag, list or post page",
+          "error"
+        );
         this.elements.startBtn.disabled = true;
         return;
       }
 
+      if (PageType.detect(tab.url).type === "status") {
+        this.updateStatus("Thread mode: ready to capture conversation", "idle");
+      }
+
       // Load saved settings
       const result = await chrome.storage.local.get([
         "scrollDelay",
         "maxPosts",
+        "sinceDate",
+        "untilDate",
+        "olderPostsLimit",
+        "incremental",
+        "downloadMedia",
+        "exportFormat",
         "scrapedPosts",
-        "isScrapingActive",
+        "scrapingCoverage",
       ]);
 
       if (result.scrollDelay)
         this.elements.scrollDelay.value = result.scrollDelay;
       if (result.maxPosts) this.elements.maxPosts.value = result.maxPosts;
+      if (result.sinceDate) this.elements.sinceDate.value = result.sinceDate;
+      if (result.untilDate) this.elements.untilDate.value = result.untilDate;
+      if (result.olderPostsLimit)
+        this.elements.olderPostsLimit.value = result.olderPostsLimit;
+      this.elements.incremental.checked = !!result.incremental;
+      this.elements.downloadMedia.checked = !!result.downloadMedia;
+      if (result.exportFormat)
+        this.elements.exportFormat.value = result.exportFormat;
       if (result.scrapedPosts) {
         this.scrapedPosts = result.scrapedPosts;
         this.updateStats();
       }
-      if (result.isScrapingActive) {
-        this.isScrapingActive = result.isScrapingActive;
-        this.updateUIForScrapingState();
-      }
-
-      // Listen for updates from content script
-      chrome.runtime.onMessage.addListener((message) => {
-        this.handleMessage(message);
-      });
+      this.showCoverageWarning(result.scrapingCoverage);
+      this.updateUIForScrapingState();
     } catch (error) {
-      console.error("Error loading state:", error);
+      this.errorHandler.logError(error, "POPUP_LOAD_STATE");
       this.updateStatus("Error loading extension state", "error");
     }
   }
 
-  isXProfilePage(url) {
-    if (!url) return false;
-    const xProfilePattern = /^https:\/\/(x|twitter)\.com\/[^\/]+\/?$/;
-    return xProfilePattern.test(url);
+  isSessionResumable(session) {
+    return (
+      !!session &&
+      ["running", "stopped", "interrupted"].includes(session.status) &&
+      session.postCount > 0
+    );
+  }
+
+  updateResumeButton() {
+    const resumable =
+      !this.isScrapingActive && this.isSessionResumable(this.session);
+
+    this.elements.resumeBtn.hidden = !resumable;
+    if (resumable) {
+      this.elements.resumeBtn.textContent = `Resume (${this.session.postCount} posts)`;
+      this.elements.resumeBtn.title = this.session.targetUrl;
+    }
+  }
+
+  getSettings() {
+    return {
+      scrollDelay: parseInt(this.elements.scrollDelay.value),
+      maxPosts: parseInt(this.elements.maxPosts.value),
+      sinceDate: this.elements.sinceDate.value,
+      untilDate: this.elements.untilDate.value,
+      olderPostsLimit: parseInt(this.elements.olderPostsLimit.value) || 3,
+      incremental: this.elements.incremental.checked,
+    };
+  }
+
+  // Filesystem-safe name fragment describing what was scraped
+  getSourceSlug(source) {
+    const query = (source.query || "")
+      .replace(/[^\w-]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .substring(0, 50);
+
+    switch (source.type) {
+      case "profile":
+        return query;
+      case "profile_replies":
+        return `${query}-replies`;
+      case "status":
+        return `thread-${query}`;
+      default:
+        return `${source.type}-${query}`;
+    }
   }
 
   async startScraping() {
@@ -96,84 +247,218 @@ class PopupController {
         currentWindow: true,
       });
 
-      if (!this.isXProfilePage(tab.url)) {
-        this.updateStatus("Please navigate to an X profile page", "error");
+      if (!PageType.detect(tab.url)) {
+        this.updateStatus(
+          "Please navigate to an X profile, search, hashtag, list or post page",
+          "error"
+        );
         return;
       }
 
-      const settings = {
-        scrollDelay: parseInt(this.elements.scrollDelay.value),
-        maxPosts: parseInt(this.elements.maxPosts.value),
-      };
+      const settings = this.getSettings();
 
-      // Send message to content script to start scraping
-      await chrome.tabs.sendMessage(tab.id, {
-        action: "startScraping",
-        settings: settings,
-      });
+      // YYYY-MM-DD strings compare correctly as text
+      if (
+        settings.sinceDate &&
+        settings.untilDate &&
+        settings.sinceDate > settings.untilDate
+      ) {
+        this.updateStatus("Since date must be before until date", "error");
+        return;
+      }
 
-      this.isScrapingActive = true;
-      this.updateUIForScrapingState();
-      this.updateStatus("Scraping in progress...", "scraping");
+      // The buttons follow the state the background worker sends back
+      this.sendCommand({ action: "start", settings: settings });
+    } catch (error) {
+      this.errorHandler.logError(error, "POPUP_START");
+      this.updateStatus("Error starting scraper", "error");
+    }
+  }
 
-      // Force UI update to ensure stop button is enabled
-      console.log("Enabling stop button, disabling start button");
-      this.elements.startBtn.disabled = true;
-      this.elements.stopBtn.disabled = false;
+  resumeScraping() {
+    if (!this.isSessionResumable(this.session)) {
+      this.updateStatus("No session to resume", "error");
+      return;
+    }
 
-      // Save state
-      await chrome.storage.local.set({ isScrapingActive: true });
+    // The background worker reopens the scraped page if needed
+    this.updateStatus(
+      `Resuming from ${this.session.postCount} posts...`,
+      "scraping"
+    );
+    this.sendCommand({
+      action: "resume",
+      sessionId: this.session.id,
+      settings: this.getSettings(),
+    });
+  }
 
-      // Fallback: If we don't get confirmation within 3 seconds, assume scraping started
-      setTimeout(() => {
-        if (this.isScrapingActive && this.elements.stopBtn.disabled) {
-          console.log("Fallback: Enabling stop button after 3 seconds");
-          this.elements.stopBtn.disabled = false;
-          this.updateUIForScrapingState();
-        }
-      }, 3000);
-    } catch (error) {
-      console.error("Error starting scraping:", error);
-      this.updateStatus("Error starting scraper", "error");
-      // Reset UI state on error
-      this.isScrapingActive = false;
-      this.updateUIForScrapingState();
+  stopScraping() {
+    console.log("Stop button clicked - stopping scraper");
+    this.sendCommand({ action: "stop" });
+  }
+
+  // The background worker owns the scrape state of every tab. The popup
+  // follows the active tab's state over a port and sends its commands there
+  connectToBackground() {
+    this.port = chrome.runtime.connect({ name: "popup" });
+    this.port.onMessage.addListener((message) =>
+      this.handlePortMessage(message)
+    );
+    this.port.onDisconnect.addListener(() => {
+      // The worker was stopped or restarted; subscribe again
+      this.port = null;
+      setTimeout(() => this.connectToBackground(), 500);
+    });
+    this.port.postMessage({ action: "subscribe", tabId: this.tabId });
+  }
+
+  sendCommand(message) {
+    if (!this.port) {
+      this.updateStatus("Not connected to the extension, try again", "error");
+      return;
     }
+    this.port.postMessage({ ...message, tabId: this.tabId });
   }
 
-  async stopScraping() {
-    try {
-      console.log("Stop button clicked - stopping scraper");
+  handlePortMessage(message) {
+    switch (message.action) {
+      case "scrapeState":
+        this.renderScrapeState(message.state);
+        break;
 
-      const [tab] = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
-      });
+      case "scrapeError":
+        this.updateStatus(`Error: ${message.error}`, "error");
+        break;
+    }
+  }
 
-      await chrome.tabs.sendMessage(tab.id, {
-        action: "stopScraping",
-      });
+  async renderScrapeState(state) {
+    const previous = this.scrapeState;
+    this.scrapeState = state;
+    this.isScrapingActive = ["starting", "running", "stopping"].includes(
+      state.status
+    );
 
-      this.isScrapingActive = false;
+    if (this.isScrapingActive) {
+      this.updateStatus(
+        (state.status === "running" && state.message) ||
+          SCRAPE_STATUS_MESSAGES[state.status],
+        "scraping"
+      );
+      this.updateProgress(state.progress || 0);
+      this.showCoverageWarning(null);
+      this.elements.postCount.textContent = state.postCount;
+      this.elements.scrollCount.textContent = state.scrollCount || 0;
+    } else if (previous && previous.status !== state.status) {
+      // A finished run is only announced when it ends with the popup open;
+      // otherwise the page's own status stays
+      if (state.status === "completed") {
+        await this.showCompletedRun(state);
+      } else if (state.status === "failed") {
+        this.refreshSession();
+        this.updateStatus(`Error: ${state.error}`, "error");
+      }
+    }
 
-      // Force UI update immediately
-      console.log("Disabling stop button, enabling start button");
-      this.elements.startBtn.disabled = false;
-      this.elements.stopBtn.disabled = true;
+    this.updateUIForScrapingState();
+  }
 
-      this.updateUIForScrapingState();
-      this.updateStatus("Scraping stopped by user", "idle");
+  async showCompletedRun(state) {
+    // Saved by the background worker before it reported the run complete
+    const { scrapedPosts } = await chrome.storage.local.get(["scrapedPosts"]);
+    this.scrapedPosts = scrapedPosts || [];
+    this.refreshSession();
+    this.updateStats();
+
+    // Show detailed completion message
+    const stats = state.stats;
+    let statusMessage = `Scraping complete! Found ${this.scrapedPosts.length} posts`;
+    if (stats) {
+      statusMessage += ` (${stats.postsWithText} with text, ${stats.postsWithMedia} with media)`;
+    }
 
-      // Save state
-      await chrome.storage.local.set({ isScrapingActive: false });
+    this.updateStatus(statusMessage, "idle");
+    this.showCoverageWarning(state.coverage);
+    this.elements.scrollCount.textContent = state.scrollCount || 0;
+  }
+
+  // Fields that came out empty for too many posts usually mean X changed
+  // its page and a selector no longer matches
+  showCoverageWarning(coverage) {
+    const warning = this.elements.coverageWarning;
+    if (!coverage || coverage.lowFields.length === 0) {
+      warning.hidden = true;
+      return;
+    }
 
-      console.log("Stop operation completed");
+    const fields = coverage.lowFields
+      .map(
+        (field) =>
+          `${COVERAGE_FIELDS[field] ? COVERAGE_FIELDS[field].label : field} ${
+            coverage.fields[field]
+          }%`
+      )
+      .join(", ");
+    warning.textContent = `Low coverage: ${fields} of ${coverage.postsChecked} posts (below ${coverage.threshold}%). X may have changed its page; use "Diagnose page" or update the selectors.`;
+    warning.hidden = false;
+  }
+
+  async diagnosePage() {
+    const container = this.elements.diagnoseReport;
+    container.hidden = false;
+    container.textContent = "Checking the posts in view...";
+
+    try {
+      const response = await chrome.tabs.sendMessage(this.tabId, {
+        action: "diagnosePage",
+      });
+      if (!response || response.error) {
+        throw new Error(response ? response.error : "No response");
+      }
+      this.renderDiagnosis(response.report);
     } catch (error) {
-      console.error("Error stopping scraping:", error);
-      this.updateStatus("Error stopping scraper", "error");
+      this.errorHandler.logError(error, "POPUP_DIAGNOSE");
+      container.textContent =
+        "Could not check this page. Reload the X tab and try again.";
     }
   }
 
+  // Built with DOM APIs since sample values come from the page
+  renderDiagnosis(report) {
+    const container = this.elements.diagnoseReport;
+    container.textContent = "";
+
+    if (report.postsChecked === 0) {
+      container.textContent =
+        "No posts found in view. X may have changed its page; check the post container selectors.";
+      return;
+    }
+
+    container.append(
+      `${report.postsChecked} posts checked, found with ${report.postSelector}${
+        report.selectorPack ? ` (pack "${report.selectorPack}")` : ""
+      }.`
+    );
+
+    const table = document.createElement("table");
+    Object.values(report.details).forEach((field) => {
+      const row = table.insertRow();
+      row.className = field.fillRate < report.threshold ? "low" : "";
+      row.title = field.strategies
+        .map(
+          (strategy) =>
+            `${strategy.selector || "no match"}: ${strategy.count} posts`
+        )
+        .join("\n");
+      row.insertCell().textContent = field.label;
+      row.insertCell().textContent = `${field.fillRate}%`;
+      row.insertCell().textContent = field.strategies[0].selector || "no match";
+      row.insertCell().textContent = field.samples.join(" | ");
+    });
+    container.appendChild(table);
+  }
+
   async downloadData() {
     console.log(`Download requested for ${this.scrapedPosts.length} posts`);
 
@@ -188,31 +473,35 @@ class PopupController {
         throw new Error("Downloads API not available");
       }
     } catch (permError) {
-      console.error("Downloads permission error:", permError);
+      this.errorHandler.logError(permError, "POPUP_DOWNLOADS_PERMISSION");
       this.updateStatus("Downloads permission required", "error");
       return;
     }
 
     try {
-      const [tab] = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
-      });
-      const url = new URL(tab.url);
-      const username = url.pathname.substring(1); // Remove leading slash
+      const context = await this.loadExportContext();
+      if (!context) return;
+      const { result, source, slug } = context;
+
+      // With media, everything goes into one folder per run so the local
+      // paths recorded in the JSON stay valid relative to it
+      let posts = this.scrapedPosts;
+      let folder = null;
+      if (this.elements.downloadMedia.checked) {
+        folder = this.getRunFolder(slug);
+
+        const mediaResult = await this.downloadMedia(posts, folder);
+        posts = mediaResult.posts;
+        result.mediaDownload = mediaResult.summary;
+      }
 
-      // Get additional metadata from storage
-      const result = await chrome.storage.local.get([
-        "scrapingStats",
-        "scrollDelay",
-        "maxPosts",
-      ]);
+      const data = this.formatDataForDownload(source, posts, result);
 
-      const data = this.formatDataForDownload(
-        username,
-        this.scrapedPosts,
-        result
-      );
+      await this.addEngagementHistory(data);
+
+      // Invalid posts are still exported, but listed in the run summary
+      const validation = await this.validateExport(data);
+      data.metadata.scraping.validation = validation;
 
       // Update status to show download preparation
       this.updateStatus(
@@ -221,71 +510,377 @@ class PopupController {
       );
 
       try {
-        // Create JSON download
-        console.log("Starting JSON download...");
-        await this.downloadJSON(data, username);
-
-        // Small delay between downloads
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-
-        // Optionally create CSV format for smaller datasets
-        if (this.scrapedPosts.length > 0 && this.scrapedPosts.length <= 500) {
-          console.log("Starting CSV download...");
-          await this.downloadCSV(this.scrapedPosts, username);
-        } else if (this.scrapedPosts.length > 500) {
-          console.log("Skipping CSV download for large dataset (>500 posts)");
-        }
+        await this.downloadExport(
+          this.elements.exportFormat.value,
+          data,
+          slug,
+          folder
+        );
 
-        this.updateStatus("Download completed successfully", "idle");
+        const mediaSummary = result.mediaDownload;
+        let completedMessage = mediaSummary
+          ? `Download completed: ${mediaSummary.downloaded} media files saved, ${mediaSummary.failed} failed, ${mediaSummary.skipped} skipped`
+          : "Download completed successfully";
+        if (!validation.valid) {
+          completedMessage += ` (${validation.invalidPosts.length} posts failed schema validation)`;
+        }
+        this.updateStatus(
+          completedMessage,
+          (mediaSummary && mediaSummary.failed > 0) || !validation.valid
+            ? "error"
+            : "idle"
+        );
       } catch (downloadError) {
         console.error("Download failed:", downloadError);
         this.updateStatus(`Download failed: ${downloadError.message}`, "error");
         throw downloadError;
       }
     } catch (error) {
-      console.error("Error downloading data:", error);
+      this.errorHandler.logError(error, "POPUP_DOWNLOAD");
       this.updateStatus("Error downloading data", "error");
     }
   }
 
-  formatDataForDownload(username, posts, metadata) {
+  // Metric snapshots from earlier runs live in the post library, which the
+  // background worker fills at every checkpoint
+  async addEngagementHistory(data) {
+    try {
+      const library = new PostLibrary();
+      const records = await library.getRecords(
+        data.posts.map((post) => post.id)
+      );
+
+      data.posts.forEach((post) => {
+        const record = records.get(post.id);
+        post.metricsHistory = record ? library.getExportHistory(record) : [];
+      });
+      data.metadata.scraping.engagementDiff = library.getEngagementDiff([
+        ...records.values(),
+      ]);
+    } catch (error) {
+      // The export is still useful without history
+      console.warn("Could not read engagement history:", error);
+    }
+  }
+
+  async showEngagementDiff() {
+    const container = this.elements.engagementDiff;
+    container.textContent = "";
+    container.hidden = false;
+
+    try {
+      const library = new PostLibrary();
+      const records = await library.getRecords(
+        this.scrapedPosts.map((post) => post.id)
+      );
+      const diff = library.getEngagementDiff([...records.values()], 5);
+
+      if (diff.comparedPosts === 0) {
+        container.textContent =
+          "None of these posts were seen in an earlier run yet.";
+        return;
+      }
+
+      container.textContent = `${diff.comparedPosts} posts seen before, ${diff.newPosts} new. Biggest changes:`;
+      const list = document.createElement("ol");
+      diff.topChanges.forEach((item) => {
+        const entry = document.createElement("li");
+        const link = document.createElement("a");
+        link.href = item.url;
+        link.target = "_blank";
+        link.textContent = `@${item.author}`;
+        const sign = (value) => (value >= 0 ? `+${value}` : `${value}`);
+        entry.append(
+          link,
+          ` ${sign(item.change.likes)} likes, ${sign(
+            item.change.retweets
+          )} reposts, ${sign(item.change.views)} views`
+        );
+        list.appendChild(entry);
+      });
+      container.appendChild(list);
+    } catch (error) {
+      this.errorHandler.logError(error, "POPUP_ENGAGEMENT_HISTORY");
+      container.textContent = "Could not read the post library";
+    }
+  }
+
+  async validateExport(data) {
+    if (!this.exportSchema) {
+      const response = await fetch(
+        chrome.runtime.getURL("schema/export.schema.json")
+      );
+      this.exportSchema = await response.json();
+    }
+
+    const validation = new ExportSchemaValidator(
+      this.exportSchema
+    ).validateExport(data);
+    if (!validation.valid) {
+      console.warn("Export failed schema validation:", validation);
+    }
+    return validation;
+  }
+
+  // Run metadata and the page the posts came from, shared by every export
+  async loadExportContext() {
+    const result = await chrome.storage.local.get([
+      "scrapingStats",
+      "scrapingCoverage",
+      "scrapingSource",
+      "scrapingThread",
+      "scrapingIncremental",
+      "scrapingProfile",
+      "scrollDelay",
+      "maxPosts",
+      "sinceDate",
+      "untilDate",
+      "olderPostsLimit",
+      "incremental",
+    ]);
+
+    // Prefer the page the posts were scraped from over the current tab
+    let source = result.scrapingSource;
+    if (!source) {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      source = PageType.detect(tab.url);
+    }
+
+    if (!source) {
+      this.updateStatus("Could not determine scraped page", "error");
+      return null;
+    }
+
+    return { result, source, slug: this.getSourceSlug(source) };
+  }
+
+  async exportHtml() {
+    if (this.scrapedPosts.length === 0) {
+      this.updateStatus("No data to export", "error");
+      return;
+    }
+
+    try {
+      const context = await this.loadExportContext();
+      if (!context) return;
+      const { result, source, slug } = context;
+
+      // With media downloads enabled, the page goes into a run folder next
+      // to the saved media and shows those files; whatever wasn't saved
+      // (avatars, quoted media, failed files) is embedded instead. Otherwise
+      // the page links to X's servers and shows images only while online
+      let posts = this.scrapedPosts;
+      let folder = null;
+      let images = new Map();
+      if (this.elements.downloadMedia.checked) {
+        folder = this.getRunFolder(slug);
+        posts = (await this.downloadMedia(posts, folder)).posts;
+        images = await this.collectArchiveImages(
+          posts,
+          this.getLocalImages(posts)
+        );
+      }
+
+      const data = this.formatDataForDownload(source, posts, result);
+
+      const html = new HtmlArchiveBuilder().build(data, images);
+      const blob = new Blob([html], { type: "text/html" });
+      const url_blob = URL.createObjectURL(blob);
+
+      const timestamp = new Date().toISOString().split("T")[0];
+      const basename = `x-posts-${slug}-${timestamp}.html`;
+      await chrome.downloads.download({
+        url: url_blob,
+        filename: folder ? `${folder}/${basename}` : basename,
+        // A save dialog could move the page away from its media folder
+        saveAs: !folder,
+      });
+
+      setTimeout(() => URL.revokeObjectURL(url_blob), 5000);
+
+      this.updateStatus(
+        images.size > 0
+          ? `HTML archive exported with ${images.size} images for offline viewing`
+          : "HTML archive exported",
+        "idle"
+      );
+    } catch (error) {
+      this.errorHandler.logError(error, "POPUP_HTML_EXPORT");
+      this.updateStatus(`HTML export failed: ${error.message}`, "error");
+    }
+  }
+
+  // One folder per export with media, so the relative paths of the media
+  // files stay valid next to the export
+  getRunFolder(slug) {
+    const runTime = new Date().toISOString().replace(/:/g, "-").split(".")[0];
+    return `x-posts-${slug}-${runTime}`;
+  }
+
+  // Media files saved by downloadMedia, keyed by the URL the archive would
+  // show: the photo itself, or the poster of a video saved as its poster
+  getLocalImages(posts) {
+    const images = new Map();
+    posts.forEach((post) => {
+      (post.media || []).forEach((item) => {
+        if (!item.localPath) return;
+        if (item.type === "photo") {
+          images.set(item.url, item.localPath);
+        } else if (item.thumbnail && /-poster\.\w+$/.test(item.localPath)) {
+          images.set(item.thumbnail, item.localPath);
+        }
+      });
+    });
+    return images;
+  }
+
+  // Fetches every image the archive shows that isn't in images yet and adds
+  // it as a data: URI keyed by its original URL
+  async collectArchiveImages(posts, images = new Map()) {
+    const urls = new Set();
+    const addMedia = (media) => {
+      (media || []).forEach((item) => {
+        if (item.type === "photo") urls.add(item.url);
+        if (item.thumbnail) urls.add(item.thumbnail);
+      });
+    };
+
+    posts.forEach((post) => {
+      if (post.author?.avatarUrl) urls.add(post.author.avatarUrl);
+      addMedia(post.media);
+      addMedia(post.quotedPost?.media);
+    });
+    images.forEach((path, url) => urls.delete(url));
+
+    let done = 0;
+    for (const url of urls) {
+      done++;
+      this.updateStatus(`Embedding images ${done}/${urls.size}...`, "scraping");
+
+      try {
+        images.set(url, await this.fetchAsDataUri(url));
+      } catch (error) {
+        console.warn(`Could not embed ${url}:`, error);
+      }
+    }
+
+    return images;
+  }
+
+  async fetchAsDataUri(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // The background worker saves the files and reports progress as
+  // mediaDownloadProgress, but the export itself is written here once they
+  // are done, so the popup has to stay open until then: closing it keeps the
+  // media files saved so far and loses the export
+  async downloadMedia(posts, folder) {
+    this.updateStatus("Downloading media, keep this popup open...", "scraping");
+
+    const response = await chrome.runtime.sendMessage({
+      action: "downloadMedia",
+      posts: posts,
+      folder: folder,
+    });
+
+    if (!response || response.error) {
+      throw new Error(response ? response.error : "No response from worker");
+    }
+
+    const summary = response.summary;
+    const filesByKey = new Map(
+      summary.files.map((file) => [`${file.postId}:${file.index}`, file])
+    );
+
+    return {
+      summary: summary,
+      posts: posts.map((post) => ({
+        ...post,
+        media: (post.media || []).map((item, index) => {
+          const file = filesByKey.get(`${post.id}:${index}`);
+          return file
+            ? {
+                ...item,
+                localPath: file.status === "downloaded" ? file.path : null,
+                downloadStatus: file.status,
+              }
+            : item;
+        }),
+      })),
+    };
+  }
+
+  formatDataForDownload(source, posts, metadata) {
     const now = new Date();
+    const formatter = new ExportFormatter();
 
     return {
       metadata: {
-        profile: {
-          username: username,
-          url: `https://x.com/${username}`,
-          scrapedAt: now.toISOString(),
-          scrapedDate: now.toLocaleDateString(),
-          scrapedTime: now.toLocaleTimeString(),
+        // Version of schema/export.schema.json this file follows
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        source: {
+          type: source.type,
+          query: source.query,
+          url: source.url,
         },
+        // Kept for profile timelines so existing consumers keep working
+        profile:
+          source.type === "profile" || source.type === "profile_replies"
+            ? {
+                username: source.username,
+                url: `https://x.com/${source.username}`,
+                scrapedAt: now.toISOString(),
+                scrapedDate: now.toLocaleDateString(),
+                scrapedTime: now.toLocaleTimeString(),
+                // Profile header as it looked during this run
+                snapshot: metadata.scrapingProfile || undefined,
+              }
+            : undefined,
+        // Conversation ids for rebuilding the reply tree in thread mode
+        thread: metadata.scrapingThread || undefined,
+        scrapedAt: now.toISOString(),
         scraping: {
           totalPosts: posts.length,
           settings: {
             scrollDelay: metadata.scrollDelay || 2000,
             maxPosts: metadata.maxPosts || 100,
+            sinceDate: metadata.sinceDate || null,
+            untilDate: metadata.untilDate || null,
+            olderPostsLimit: metadata.olderPostsLimit || 3,
+            incremental: !!metadata.incremental,
           },
+          // Previous run this delta continues from, for incremental runs
+          incremental: metadata.scrapingIncremental || undefined,
           stats: metadata.scrapingStats || {},
-          version: "1.0.0",
+          // Share of posts each field was filled for
+          coverage: metadata.scrapingCoverage || undefined,
+          // Per-file results when media was downloaded alongside the export
+          mediaDownload: metadata.mediaDownload || undefined,
+          // Extension version that wrote the file
+          version: chrome.runtime.getManifest().version,
           userAgent: navigator.userAgent,
         },
       },
-      posts: posts.map((post) => ({
-        ...post,
-        // Add computed fields
-        textLength: post.text ? post.text.length : 0,
-        hasMedia: post.media && post.media.length > 0,
-        mediaCount: post.media ? post.media.length : 0,
-        engagementTotal:
-          (post.metrics?.likes || 0) +
-          (post.metrics?.retweets || 0) +
-          (post.metrics?.replies || 0),
-      })),
+      posts: posts.map((post) => formatter.withComputedFields(post)),
     };
   }
 
-  async downloadJSON(data, username) {
+  async downloadJSON(data, slug, folder = null) {
     try {
       console.log(`Preparing to download JSON with ${data.posts.length} posts`);
 
@@ -308,14 +903,16 @@ class PopupController {
       const url_blob = URL.createObjectURL(blob);
 
       const timestamp = new Date().toISOString().split("T")[0];
-      const filename = `x-posts-${username}-${timestamp}.json`;
+      const basename = `x-posts-${slug}-${timestamp}.json`;
+      const filename = folder ? `${folder}/${basename}` : basename;
 
       console.log(`Starting download: ${filename}`);
 
       const downloadId = await chrome.downloads.download({
         url: url_blob,
         filename: filename,
-        saveAs: true,
+        // A save dialog could move the file away from its media folder
+        saveAs: !folder,
       });
 
       console.log(`Download started with ID: ${downloadId}`);
@@ -333,139 +930,118 @@ class PopupController {
     }
   }
 
-  async downloadCSV(posts, username) {
-    const csvContent = this.convertToCSV(posts);
-    const blob = new Blob([csvContent], { type: "text/csv" });
+  // Saves the run in the chosen format; "json_csv" is the original pair of
+  // files and stays the default
+  async downloadExport(format, data, slug, folder = null) {
+    const formatter = new ExportFormatter();
+
+    if (format === "json" || format === "json_csv") {
+      console.log("Starting JSON download...");
+      await this.downloadJSON(data, slug, folder);
+    }
+
+    if (format === "json_csv") {
+      // Small delay between downloads
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+
+    if (format === "csv" || format === "json_csv") {
+      console.log("Starting CSV download...");
+      await this.downloadFile(
+        formatter.toCSV(data.posts),
+        "text/csv;charset=utf-8",
+        "csv",
+        slug,
+        folder
+      );
+    }
+
+    if (format === "ndjson") {
+      await this.downloadFile(
+        formatter.toNDJSON(data.posts),
+        "application/x-ndjson",
+        "ndjson",
+        slug,
+        folder
+      );
+    }
+
+    if (format === "columnar") {
+      await this.downloadFile(
+        JSON.stringify(formatter.toColumnar(data.posts, data.metadata)),
+        "application/json",
+        "columns.json",
+        slug,
+        folder
+      );
+    }
+  }
+
+  async downloadFile(content, type, extension, slug, folder = null) {
+    const blob = new Blob([content], { type: type });
     const url_blob = URL.createObjectURL(blob);
 
     const timestamp = new Date().toISOString().split("T")[0];
-    const filename = `x-posts-${username}-${timestamp}.csv`;
+    const basename = `x-posts-${slug}-${timestamp}.${extension}`;
+    const filename = folder ? `${folder}/${basename}` : basename;
 
     await chrome.downloads.download({
       url: url_blob,
       filename: filename,
-      saveAs: false, // Don't prompt for CSV, just download
+      saveAs: false, // Don't prompt for secondary formats, just download
     });
 
-    // Clean up the blob URL
-    setTimeout(() => URL.revokeObjectURL(url_blob), 1000);
-  }
-
-  convertToCSV(posts) {
-    if (posts.length === 0) return "";
-
-    // Define CSV headers
-    const headers = [
-      "Order",
-      "ID",
-      "Text",
-      "Author",
-      "Timestamp",
-      "URL",
-      "Likes",
-      "Retweets",
-      "Replies",
-      "Media Count",
-      "Is Retweet",
-      "Is Reply",
-      "Has Thread",
-      "Language",
-      "Verified",
-      "Scraped At",
-    ];
-
-    // Convert posts to CSV rows
-    const rows = posts.map((post) => [
-      post.finalOrder || post.order || "",
-      post.id || "",
-      `"${(post.text || "").replace(/"/g, '""')}"`, // Escape quotes
-      `"${(post.author || "").replace(/"/g, '""')}"`,
-      post.timestamp || "",
-      post.url || "",
-      post.metrics?.likes || 0,
-      post.metrics?.retweets || 0,
-      post.metrics?.replies || 0,
-      post.media?.length || 0,
-      post.metadata?.isRetweet || false,
-      post.metadata?.isReply || false,
-      post.metadata?.hasThread || false,
-      post.metadata?.language || "",
-      post.metadata?.verified || false,
-      post.scrapedAt || "",
-    ]);
-
-    // Combine headers and rows
-    const csvLines = [headers.join(","), ...rows.map((row) => row.join(","))];
-    return csvLines.join("\n");
+    // Clean up the blob URL after a longer delay for large files
+    setTimeout(() => URL.revokeObjectURL(url_blob), 5000);
   }
 
   handleMessage(message) {
     switch (message.action) {
-      case "updateProgress":
-        // Ensure we maintain scraping state during progress updates
-        if (!this.isScrapingActive && message.stats && message.stats.isActive) {
-          console.log(
-            "Content script reports scraping is active - updating UI"
-          );
-          this.isScrapingActive = true;
-          this.updateUIForScrapingState();
-        }
-
-        this.scrapedPosts = message.posts;
-        this.updateStats();
-        this.updateProgress(message.progress);
-
-        // Update status with progress message if provided
-        if (message.message) {
-          this.updateStatus(message.message, "scraping");
-        }
-        break;
-
-      case "scrapingStarted":
-        console.log(
-          "Received scraping started confirmation from content script"
+      case "mediaDownloadProgress":
+        this.updateStatus(
+          `Downloading media ${message.done}/${message.total}...`,
+          "scraping"
         );
-        this.isScrapingActive = true;
-        this.updateUIForScrapingState();
-        this.updateStatus("Scraping in progress...", "scraping");
+        this.updateProgress((message.done / message.total) * 100);
         break;
+    }
+  }
 
-      case "scrapingComplete":
-        this.isScrapingActive = false;
-        this.scrapedPosts = message.posts;
-        this.updateUIForScrapingState();
-        this.updateStats();
-
-        // Show detailed completion message
-        const stats = message.stats;
-        let statusMessage = `Scraping complete! Found ${message.posts.length} posts`;
-        if (stats) {
-          statusMessage += ` (${stats.postsWithText} with text, ${stats.postsWithMedia} with media)`;
-        }
-
-        this.updateStatus(statusMessage, "idle");
-        this.elements.scrollCount.textContent = message.totalScrolls || 0;
-
-        chrome.storage.local.set({
-          isScrapingActive: false,
-          scrapedPosts: message.posts,
-          scrapingStats: message.stats,
-        });
-        break;
+  async refreshSession() {
+    // The content script checkpoints through the background worker, so give
+    // the final write a moment before reading it back
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    await this.loadSession();
+  }
 
-      case "scrapingError":
-        this.isScrapingActive = false;
-        this.updateUIForScrapingState();
-        this.updateStatus(`Error: ${message.error}`, "error");
-        chrome.storage.local.set({ isScrapingActive: false });
-        break;
-    }
+  // Sessions are stored per run. This tab's latest resumable one is offered,
+  // else the latest from any tab, whose page Resume reopens here
+  async loadSession() {
+    const { scrapeSessions = {} } = await chrome.storage.local.get([
+      "scrapeSessions",
+    ]);
+    const sessions = Object.values(scrapeSessions)
+      .filter((session) => this.isSessionResumable(session))
+      .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+
+    this.session =
+      sessions.find((session) => session.tabId === this.tabId) ||
+      sessions[0] ||
+      null;
+    this.updateResumeButton();
   }
 
   updateUIForScrapingState() {
-    this.elements.startBtn.disabled = this.isScrapingActive;
-    this.elements.stopBtn.disabled = !this.isScrapingActive;
+    this.elements.startBtn.disabled =
+      this.isScrapingActive || !this.pageSupported;
+    // A second stop while the first is being handled changes nothing
+    this.elements.stopBtn.disabled =
+      !this.isScrapingActive || this.scrapeState.status === "stopping";
     this.elements.downloadBtn.disabled = this.scrapedPosts.length === 0;
+    this.elements.exportHtmlBtn.disabled = this.scrapedPosts.length === 0;
+    this.elements.diffBtn.disabled = this.scrapedPosts.length === 0;
+    this.elements.diagnoseBtn.disabled = !this.pageSupported;
+    this.updateResumeButton();
 
     console.log(
       `UI State - Scraping: ${this.isScrapingActive}, Posts: ${
@@ -488,10 +1064,7 @@ class PopupController {
   }
 
   async saveSettings() {
-    const settings = {
-      scrollDelay: parseInt(this.elements.scrollDelay.value),
-      maxPosts: parseInt(this.elements.maxPosts.value),
-    };
+    const settings = this.getSettings();
 
     await chrome.storage.local.set(settings);
   }
@@ -0,0 +1,122 @@
+// Builds the combined export of batch queue items from the post library.
+// Shared by the queue page and the background worker, which writes the
+// export of every scheduled job run on its own. The library page serializes
+// its exports with it too.
+const BATCH_EXPORT_FORMATS = {
+  json: { extension: "json", type: "application/json" },
+  ndjson: { extension: "ndjson", type: "application/x-ndjson" },
+  csv: { extension: "csv", type: "text/csv;charset=utf-8" },
+  columnar: { extension: "columns.json", type: "application/json" },
+  html: { extension: "html", type: "text/html" },
+};
+
+class BatchExportBuilder {
+  constructor(library) {
+    this.library = library;
+  }
+
+  // Posts are read back from the post library, where every queue run is
+  // saved, in queue order. A post found by several pages is kept once, under
+  // the first of them.
+  // batch: { id, defaults, pauseSeconds } describing the queue or job run
+  async build(batch, items) {
+    const ids = items.flatMap((item) => item.postIds || []);
+    const records = await this.library.getRecords(ids);
+    const posts = [];
+    const seen = new Set();
+    const formatter = new ExportFormatter();
+
+    items.forEach((item, batchIndex) => {
+      (item.postIds || []).forEach((id) => {
+        const record = records.get(id);
+        if (!record || seen.has(id)) return;
+        seen.add(id);
+
+        posts.push(
+          formatter.withComputedFields({
+            ...record.post,
+            order: posts.length + 1,
+            batchIndex: batchIndex,
+            metricsHistory: this.library.getExportHistory(record),
+          })
+        );
+      });
+    });
+
+    const data = {
+      metadata: {
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        source: {
+          type: "batch",
+          query: batch.id,
+          url: "",
+        },
+        batch: {
+          items: items.map((item) => ({
+            input: item.input,
+            url: item.url,
+            type: item.source.type,
+            query: item.source.query,
+            settings: item.settings,
+            status: item.status,
+            postCount: item.postCount || 0,
+            coverage: item.coverage || null,
+            error: item.error || null,
+            startedAt: item.startedAt || null,
+            finishedAt: item.finishedAt || null,
+          })),
+        },
+        scrapedAt: new Date().toISOString(),
+        scraping: {
+          totalPosts: posts.length,
+          settings: { ...batch.defaults, pauseSeconds: batch.pauseSeconds },
+          stats: {},
+          engagementDiff: this.library.getEngagementDiff([...records.values()]),
+          version: chrome.runtime.getManifest().version,
+          userAgent: navigator.userAgent,
+        },
+      },
+      posts: posts,
+    };
+
+    const response = await fetch(
+      chrome.runtime.getURL("schema/export.schema.json")
+    );
+    data.metadata.scraping.validation = new ExportSchemaValidator(
+      await response.json()
+    ).validateExport(data);
+
+    return data;
+  }
+
+  // Returns { content, extension, type } for one of BATCH_EXPORT_FORMATS
+  serialize(data, format) {
+    const formatter = new ExportFormatter();
+    let content;
+
+    switch (format) {
+      case "ndjson":
+        content = formatter.toNDJSON(data.posts);
+        break;
+      case "csv":
+        content = formatter.toCSV(data.posts);
+        break;
+      case "columnar":
+        content = JSON.stringify(
+          formatter.toColumnar(data.posts, data.metadata)
+        );
+        break;
+      case "html":
+        content = new HtmlArchiveBuilder().build(data);
+        break;
+      default:
+        content = JSON.stringify(data, null, data.posts.length > 50 ? 0 : 2);
+    }
+
+    return { content, ...BATCH_EXPORT_FORMATS[format] };
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { BatchExportBuilder, BATCH_EXPORT_FORMATS };
+}
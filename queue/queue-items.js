@@ -0,0 +1,142 @@
+// Turns a pasted or imported list into batch queue items. Each line names one
+// page: a @handle, a #hashtag or the URL of any supported X page, optionally
+// followed by key=value settings for that item only, e.g.
+//   @example_user maxPosts=300 since=2024-01-01
+//   https://x.com/search?q=chrome%20extensions incremental=false
+
+// Per-item settings accepted after the target, with the scraper setting they
+// set and the same limits as the popup inputs
+const QUEUE_ITEM_SETTINGS = {
+  maxPosts: { setting: "maxPosts", type: "integer", min: 10, max: 1000 },
+  scrollDelay: {
+    setting: "scrollDelay",
+    type: "integer",
+    min: 500,
+    max: 10000,
+  },
+  olderPostsLimit: {
+    setting: "olderPostsLimit",
+    type: "integer",
+    min: 1,
+    max: 50,
+  },
+  since: { setting: "sinceDate", type: "date" },
+  until: { setting: "untilDate", type: "date" },
+  incremental: { setting: "incremental", type: "boolean" },
+};
+
+class QueueItemParser {
+  // Returns { items, errors }; errors carry the 1-based line number so the
+  // queue page can point at the lines it skipped
+  parse(text, existingUrls = []) {
+    const items = [];
+    const errors = [];
+    const seen = new Set(existingUrls);
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      // Imported CSV and TSV files separate cells with commas or tabs
+      const line = rawLine.replace(/[,;\t]/g, " ").trim();
+      if (!line) return;
+
+      try {
+        const [target, ...options] = line.split(/\s+/);
+        const page = this.resolveTarget(target);
+        const settings = this.parseSettings(options);
+        if (seen.has(page.url)) {
+          throw new Error("Already in the queue");
+        }
+        seen.add(page.url);
+
+        items.push({
+          id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          input: line,
+          url: page.url,
+          source: page,
+          settings: settings,
+          status: "pending",
+        });
+      } catch (error) {
+        errors.push({ line: index + 1, input: line, error: error.message });
+      }
+    });
+
+    return { items, errors };
+  }
+
+  resolveTarget(target) {
+    if (/^@?\w{1,15}$/.test(target)) {
+      const username = target.replace(/^@/, "");
+      const page = PageType.detect(`https://x.com/${username}`);
+      if (page) return page;
+    }
+
+    if (/^#\w+$/.test(target)) {
+      return PageType.detect(
+        `https://x.com/hashtag/${encodeURIComponent(target.slice(1))}`
+      );
+    }
+
+    const url = /^https?:\/\//.test(target) ? target : `https://${target}`;
+    const page = PageType.detect(url);
+    if (!page) {
+      throw new Error("Not a handle, hashtag or supported X page");
+    }
+    return page;
+  }
+
+  parseSettings(options) {
+    const settings = {};
+
+    options.forEach((option) => {
+      const [key, value = "true"] = option.split("=");
+      const definition = QUEUE_ITEM_SETTINGS[key];
+      if (!definition) {
+        throw new Error(`Unknown setting ${key}`);
+      }
+
+      switch (definition.type) {
+        case "integer": {
+          const number = Number(value);
+          if (
+            !Number.isInteger(number) ||
+            number < definition.min ||
+            number > definition.max
+          ) {
+            throw new Error(
+              `${key} must be a whole number from ${definition.min} to ${definition.max}`
+            );
+          }
+          settings[definition.setting] = number;
+          break;
+        }
+        case "date":
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+            throw new Error(`${key} must be a YYYY-MM-DD date`);
+          }
+          settings[definition.setting] = value;
+          break;
+        case "boolean":
+          if (!["true", "false"].includes(value)) {
+            throw new Error(`${key} must be true or false`);
+          }
+          settings[definition.setting] = value === "true";
+          break;
+      }
+    });
+
+    // YYYY-MM-DD strings compare correctly as text
+    if (
+      settings.sinceDate &&
+      settings.untilDate &&
+      settings.sinceDate > settings.untilDate
+    ) {
+      throw new Error("since must be before until");
+    }
+
+    return settings;
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { QueueItemParser, QUEUE_ITEM_SETTINGS };
+}
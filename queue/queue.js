@@ -0,0 +1,334 @@
+// Extension page for the batch queue. The background worker runs the queue
+// and keeps its state in chrome.storage; this page only sends commands and
+// renders whatever is stored.
+const QUEUE_STATUS_LABELS = {
+  idle: "Not started",
+  running: "Running",
+  waiting: "Waiting",
+  paused: "Paused",
+  completed: "Completed",
+};
+
+class QueueController {
+  constructor() {
+    this.parser = new QueueItemParser();
+    this.exporter = new BatchExportBuilder(new PostLibrary());
+    this.queue = null;
+    this.initializeElements();
+    this.attachEventListeners();
+    this.loadQueue();
+
+    // Counts down to the next page while the queue waits
+    setInterval(() => this.updateQueueStatus(), 1000);
+  }
+
+  initializeElements() {
+    this.elements = {
+      input: document.getElementById("input"),
+      addBtn: document.getElementById("addBtn"),
+      importFile: document.getElementById("importFile"),
+      parseErrors: document.getElementById("parseErrors"),
+      scrollDelay: document.getElementById("scrollDelay"),
+      maxPosts: document.getElementById("maxPosts"),
+      olderPostsLimit: document.getElementById("olderPostsLimit"),
+      sinceDate: document.getElementById("sinceDate"),
+      untilDate: document.getElementById("untilDate"),
+      incremental: document.getElementById("incremental"),
+      pauseSeconds: document.getElementById("pauseSeconds"),
+      queueStatus: document.getElementById("queueStatus"),
+      summary: document.getElementById("summary"),
+      startBtn: document.getElementById("startBtn"),
+      pauseBtn: document.getElementById("pauseBtn"),
+      stopBtn: document.getElementById("stopBtn"),
+      retryBtn: document.getElementById("retryBtn"),
+      clearBtn: document.getElementById("clearBtn"),
+      items: document.getElementById("items"),
+      exportFormat: document.getElementById("exportFormat"),
+      exportBtn: document.getElementById("exportBtn"),
+      status: document.getElementById("status"),
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.addBtn.addEventListener("click", () => this.addItems());
+    this.elements.importFile.addEventListener("change", () =>
+      this.importFile()
+    );
+    this.elements.startBtn.addEventListener("click", () => this.start());
+    this.elements.pauseBtn.addEventListener("click", () =>
+      this.sendCommand({ action: "queuePause" })
+    );
+    this.elements.stopBtn.addEventListener("click", () =>
+      this.sendCommand({ action: "queueStop" })
+    );
+    this.elements.retryBtn.addEventListener("click", () =>
+      this.sendCommand({ action: "queueRetryFailed" })
+    );
+    this.elements.clearBtn.addEventListener("click", () =>
+      this.sendCommand({ action: "queueClearFinished" })
+    );
+    this.elements.exportBtn.addEventListener("click", () =>
+      this.exportCombined()
+    );
+
+    this.elements.items.addEventListener("click", (event) => {
+      const id = event.target.dataset.removeId;
+      if (id) this.sendCommand({ action: "queueRemove", ids: [id] });
+    });
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes.batchQueue) {
+        this.render(changes.batchQueue.newValue || null);
+      }
+    });
+  }
+
+  async loadQueue() {
+    const result = await chrome.storage.local.get([
+      "batchQueue",
+      "scrollDelay",
+      "maxPosts",
+      "sinceDate",
+      "untilDate",
+      "olderPostsLimit",
+      "incremental",
+    ]);
+
+    // The last queue's settings, or the popup's for a first queue
+    const queue = result.batchQueue;
+    const defaults =
+      queue && Object.keys(queue.defaults).length > 0 ? queue.defaults : result;
+    if (defaults.scrollDelay)
+      this.elements.scrollDelay.value = defaults.scrollDelay;
+    if (defaults.maxPosts) this.elements.maxPosts.value = defaults.maxPosts;
+    if (defaults.olderPostsLimit)
+      this.elements.olderPostsLimit.value = defaults.olderPostsLimit;
+    this.elements.sinceDate.value = defaults.sinceDate || "";
+    this.elements.untilDate.value = defaults.untilDate || "";
+    this.elements.incremental.checked = !!defaults.incremental;
+    if (queue && queue.pauseSeconds)
+      this.elements.pauseSeconds.value = queue.pauseSeconds;
+
+    this.render(queue || null);
+  }
+
+  getDefaults() {
+    return {
+      scrollDelay: parseInt(this.elements.scrollDelay.value) || 2000,
+      maxPosts: parseInt(this.elements.maxPosts.value) || 100,
+      sinceDate: this.elements.sinceDate.value,
+      untilDate: this.elements.untilDate.value,
+      olderPostsLimit: parseInt(this.elements.olderPostsLimit.value) || 3,
+      incremental: this.elements.incremental.checked,
+    };
+  }
+
+  async addItems() {
+    const existing = this.queue ? this.queue.items.map((item) => item.url) : [];
+    const { items, errors } = this.parser.parse(
+      this.elements.input.value,
+      existing
+    );
+
+    // Lines that failed stay in the box to be fixed
+    this.elements.input.value = errors.map((error) => error.input).join("\n");
+    this.elements.parseErrors.textContent = "";
+    this.elements.parseErrors.hidden = errors.length === 0;
+    errors.forEach((error) => {
+      const entry = document.createElement("li");
+      entry.textContent = `Line ${error.line} (${error.input}): ${error.error}`;
+      this.elements.parseErrors.appendChild(entry);
+    });
+
+    if (items.length > 0) {
+      await this.sendCommand({ action: "queueAdd", items: items });
+    }
+  }
+
+  async importFile() {
+    const file = this.elements.importFile.files[0];
+    if (!file) return;
+
+    const text = await file.text();
+    const current = this.elements.input.value.trim();
+    this.elements.input.value = current ? `${current}\n${text}` : text;
+    this.elements.importFile.value = "";
+  }
+
+  async start() {
+    const defaults = this.getDefaults();
+
+    // YYYY-MM-DD strings compare correctly as text
+    if (
+      defaults.sinceDate &&
+      defaults.untilDate &&
+      defaults.sinceDate > defaults.untilDate
+    ) {
+      this.setStatus("Since date must be before until date", true);
+      return;
+    }
+
+    await this.sendCommand({
+      action: "queueStart",
+      defaults: defaults,
+      pauseSeconds: parseInt(this.elements.pauseSeconds.value) || 90,
+    });
+  }
+
+  async sendCommand(message) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (response && response.error) {
+        throw new Error(response.error);
+      }
+    } catch (error) {
+      console.error(`Error sending ${message.action}:`, error);
+      this.setStatus(`Queue command failed: ${error.message}`, true);
+    }
+  }
+
+  render(queue) {
+    this.queue = queue;
+    const items = queue ? queue.items : [];
+    const status = queue ? queue.status : "idle";
+    const active = ["running", "waiting"].includes(status);
+    const count = (state) =>
+      items.filter((item) => item.status === state).length;
+
+    this.updateQueueStatus();
+    this.elements.summary.textContent = `${items.length} pages: ${count(
+      "pending"
+    )} pending, ${count("running")} running, ${count("done")} done, ${count(
+      "failed"
+    )} failed`;
+
+    this.elements.startBtn.textContent =
+      status === "paused" ? "Resume" : "Start";
+    this.elements.startBtn.disabled = active || count("pending") === 0;
+    this.elements.pauseBtn.disabled = !active;
+    this.elements.stopBtn.disabled = !active && count("running") === 0;
+    this.elements.retryBtn.disabled = count("failed") === 0;
+    this.elements.clearBtn.disabled = count("done") + count("failed") === 0;
+    this.elements.exportBtn.disabled = !items.some(
+      (item) => (item.postIds || []).length > 0
+    );
+
+    this.elements.items.textContent = "";
+    if (items.length === 0) {
+      const row = this.elements.items.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 6;
+      cell.className = "empty";
+      cell.textContent = "The queue is empty. Add pages above.";
+      return;
+    }
+
+    items.forEach((item, index) => {
+      this.elements.items.appendChild(this.renderItem(item, index));
+    });
+  }
+
+  // Built with DOM APIs so pasted input is never parsed as markup
+  renderItem(item, index) {
+    const row = document.createElement("tr");
+    row.insertCell().textContent = index + 1;
+
+    const target = row.insertCell();
+    target.className = "target";
+    const link = document.createElement("a");
+    link.href = item.url;
+    link.target = "_blank";
+    link.textContent = item.input;
+    target.appendChild(link);
+
+    const status = document.createElement("span");
+    status.className = `item-status ${item.status}`;
+    status.textContent = item.status;
+    row.insertCell().appendChild(status);
+
+    row.insertCell().textContent = item.postCount || 0;
+
+    const details = [];
+    if (item.jobName) details.push(`job "${item.jobName}"`);
+    if (item.error) details.push(item.error);
+    if (item.finishedAt) {
+      details.push(`finished ${new Date(item.finishedAt).toLocaleString()}`);
+    } else if (item.startedAt) {
+      details.push(`started ${new Date(item.startedAt).toLocaleString()}`);
+    }
+    row.insertCell().textContent = details.join(" · ");
+
+    const actions = row.insertCell();
+    if (item.status !== "running") {
+      const remove = document.createElement("button");
+      remove.textContent = "Remove";
+      remove.dataset.removeId = item.id;
+      actions.appendChild(remove);
+    }
+
+    return row;
+  }
+
+  updateQueueStatus() {
+    const queue = this.queue;
+    const status = queue ? queue.status : "idle";
+    let text = QUEUE_STATUS_LABELS[status] || status;
+
+    if (status === "waiting" && queue.nextRunAt) {
+      const seconds = Math.max(
+        0,
+        Math.round((Date.parse(queue.nextRunAt) - Date.now()) / 1000)
+      );
+      text += `: next page in ${seconds}s`;
+    } else if (queue && queue.message && status === "paused") {
+      text = queue.message;
+    }
+    if (queue && queue.jobRun) {
+      text += ` (scheduled job "${queue.jobRun.jobName}")`;
+    }
+    if (
+      status === "paused" &&
+      queue.items.some((item) => item.status === "running")
+    ) {
+      text += " (the current page finishes first)";
+    }
+
+    this.elements.queueStatus.textContent = text;
+  }
+
+  async exportCombined() {
+    const format = this.elements.exportFormat.value;
+
+    try {
+      const data = await this.exporter.build(this.queue, this.queue.items);
+      const { content, extension, type } = this.exporter.serialize(
+        data,
+        format
+      );
+
+      const url_blob = URL.createObjectURL(new Blob([content], { type }));
+      const timestamp = new Date().toISOString().split("T")[0];
+      await chrome.downloads.download({
+        url: url_blob,
+        filename: `x-posts-batch-${timestamp}.${extension}`,
+        saveAs: true,
+      });
+      setTimeout(() => URL.revokeObjectURL(url_blob), 5000);
+
+      this.setStatus(`Exported ${data.posts.length} posts`);
+    } catch (error) {
+      console.error("Error exporting batch:", error);
+      this.setStatus(`Export failed: ${error.message}`, true);
+    }
+  }
+
+  setStatus(message, isError = false) {
+    this.elements.status.textContent = message;
+    this.elements.status.className = isError ? "error" : "";
+  }
+}
+
+// Initialize the queue page when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  new QueueController();
+});
@@ -60,8 +60,30 @@ class ExtensionValidator {
     const requiredFiles = [
       'popup/popup.html',
       'popup/popup.js',
+      'popup/export-schema.js',
+      'popup/export-formats.js',
+      'schema/export.schema.json',
+      'library/library.html',
+      'library/library.js',
+      'library/post-library.js',
+      'queue/queue.html',
+      'queue/queue.js',
+      'queue/queue-items.js',
+      'queue/batch-export.js',
+      'jobs/jobs.html',
+      'jobs/jobs.js',
+      'jobs/job-schedule.js',
+      'popup/html-archive.js',
       'content/content.js',
-      'background/background.js'
+      'background/background.js',
+      'background/scrape-state.js',
+      'background/media-download.js',
+      'options/options.html',
+      'options/options.js',
+      'utils/selectors.js',
+      'utils/page-type.js',
+      'utils/error-handler.js',
+      'utils/field-coverage.js'
     ];
 
     requiredFiles.forEach(file => {
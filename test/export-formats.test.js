@@ -0,0 +1,160 @@
+// Checks the flat export formats built from the shared column schema: NDJSON,
+// CSV and columnar JSON. Run with: node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  ExportFormatter,
+  EXPORT_COLUMNS,
+} = require("../popup/export-formats.js");
+
+const formatter = new ExportFormatter();
+
+const makePost = (overrides = {}) => ({
+  id: "1790000000000000101",
+  order: 1,
+  text: "Plain text",
+  author: { name: "Example User", handle: "example_user", verifiedType: null },
+  timestamp: "2024-05-13T15:04:05.000Z",
+  url: "https://x.com/example_user/status/1790000000000000101",
+  metrics: { likes: 5, retweets: 1, replies: 0, views: 100 },
+  media: [],
+  entities: { hashtags: [{ tag: "space" }, { tag: "launch" }] },
+  metadata: { isRetweet: false, language: "en" },
+  scrapedAt: "2024-05-14T12:00:00.000Z",
+  ...overrides,
+});
+
+// Splits a CSV file into rows of cells, honouring quoted fields
+function parseCsv(content) {
+  const rows = [[]];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      rows[rows.length - 1].push(cell);
+      cell = "";
+    } else if (char === "\r" && content[i + 1] === "\n") {
+      rows[rows.length - 1].push(cell);
+      rows.push([]);
+      cell = "";
+      i++;
+    } else {
+      cell += char;
+    }
+  }
+  rows[rows.length - 1].push(cell);
+  return rows;
+}
+
+test("rows keep missing values apart from empty ones", () => {
+  const row = formatter.toRow(
+    makePost({ text: "", metadata: { isRetweet: true }, quotedPost: null })
+  );
+
+  assert.deepEqual(
+    Object.keys(row),
+    EXPORT_COLUMNS.map((column) => column.name)
+  );
+  assert.equal(row.text, null);
+  assert.equal(row.is_retweet, true);
+  assert.equal(row.is_reply, null);
+  assert.equal(row.likes, 5);
+  // Metrics X didn't show count as 0, like on the page
+  assert.equal(row.quotes, 0);
+  assert.deepEqual(row.hashtags, ["space", "launch"]);
+  assert.deepEqual(row.mentions, []);
+  assert.equal(row.quoted_author_handle, null);
+});
+
+test("NDJSON ends every record with a newline", () => {
+  const content = formatter.toNDJSON([
+    makePost(),
+    makePost({ id: "2", text: "Line one\nline two" }),
+  ]);
+
+  assert.ok(content.endsWith("}\n"));
+  const lines = content.split("\n");
+  assert.equal(lines.length, 3);
+  assert.equal(lines[2], "");
+  assert.equal(JSON.parse(lines[1]).text, "Line one\nline two");
+  assert.deepEqual(JSON.parse(lines[0]).hashtags, ["space", "launch"]);
+  assert.equal(formatter.toNDJSON([]), "");
+});
+
+test("CSV quotes commas, quotes and line breaks as RFC 4180 asks", () => {
+  const text = 'Commas, "quotes" and\r\na line break\nor two';
+  const content = formatter.toCSV([makePost({ text: text })]);
+
+  assert.ok(content.startsWith('﻿"order","id","text"'));
+  assert.ok(
+    content.includes('"Commas, ""quotes"" and\r\na line break\nor two"')
+  );
+
+  const [header, row, ...rest] = parseCsv(content.slice(1));
+  assert.deepEqual(rest, []);
+  assert.deepEqual(
+    header,
+    EXPORT_COLUMNS.map((column) => column.name)
+  );
+  const cell = (name) => row[header.indexOf(name)];
+  assert.equal(cell("text"), text);
+  assert.equal(cell("hashtags"), "space launch");
+  assert.equal(cell("quoted_post_id"), "");
+  assert.equal(cell("likes"), "5");
+});
+
+test("columnar JSON holds one array per column with the schema", () => {
+  const metadata = { source: { type: "profile" } };
+  const data = formatter.toColumnar(
+    [makePost(), makePost({ id: "2", metrics: { likes: 7 } })],
+    metadata
+  );
+
+  assert.equal(data.metadata, metadata);
+  assert.equal(data.rowCount, 2);
+  assert.deepEqual(data.columns.id, ["1790000000000000101", "2"]);
+  assert.deepEqual(data.columns.likes, [5, 7]);
+  assert.deepEqual(
+    data.schema.find((column) => column.name === "hashtags"),
+    { name: "hashtags", type: "string[]" }
+  );
+  assert.equal(data.schema.length, EXPORT_COLUMNS.length);
+});
+
+test("JSON exports add the fields computed from the post", () => {
+  const post = makePost({
+    metrics: { likes: 5, retweets: 1, replies: 2, quotes: 3, views: 100 },
+    media: [{ type: "photo" }, { type: "video" }],
+  });
+
+  assert.deepEqual(formatter.withComputedFields(post), {
+    ...post,
+    textLength: 10,
+    hasMedia: true,
+    mediaCount: 2,
+    engagementTotal: 11,
+  });
+  assert.deepEqual(
+    formatter.withComputedFields(makePost({ text: "", media: undefined })),
+    {
+      ...makePost({ text: "", media: undefined }),
+      textLength: 0,
+      hasMedia: false,
+      mediaCount: 0,
+      engagementTotal: 6,
+    }
+  );
+});
@@ -0,0 +1,103 @@
+// Checks the export schema, its validator and the migration of old exports.
+// Run with: node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const {
+  EXPORT_SCHEMA_VERSION,
+  ExportSchemaValidator,
+  ExportMigrator,
+} = require("../popup/export-schema.js");
+
+const schema = JSON.parse(
+  fs.readFileSync(
+    path.join(__dirname, "..", "schema", "export.schema.json"),
+    "utf8"
+  )
+);
+const validator = new ExportSchemaValidator(schema);
+
+const readExport = (name) =>
+  JSON.parse(
+    fs.readFileSync(path.join(__dirname, "fixtures", "exports", name), "utf8")
+  );
+
+test("schema file and EXPORT_SCHEMA_VERSION agree", () => {
+  assert.equal(
+    schema.$defs.metadata.properties.schemaVersion.const,
+    EXPORT_SCHEMA_VERSION
+  );
+});
+
+test("an unversioned export fails validation", () => {
+  const result = validator.validateExport(readExport("v1.0.0.json"));
+  assert.equal(result.valid, false);
+  assert.ok(
+    result.metadataErrors.some((error) => error.includes("schemaVersion"))
+  );
+});
+
+test("migrates a 1.0.0 export to the current version", () => {
+  const original = readExport("v1.0.0.json");
+  const migrated = new ExportMigrator().migrate(original);
+
+  assert.equal(migrated.metadata.schemaVersion, EXPORT_SCHEMA_VERSION);
+  assert.equal(migrated.metadata.migratedFrom, "1.0.0");
+  assert.deepEqual(migrated.metadata.source, {
+    type: "profile",
+    query: "example_user",
+    url: "https://x.com/example_user",
+  });
+
+  const [post] = migrated.posts;
+  assert.deepEqual(post.author, {
+    name: "Example User",
+    handle: "example_user",
+    avatarUrl: "",
+    verifiedType: null,
+  });
+  assert.equal(post.metrics.quotes, 0);
+  assert.equal(post.media[0].type, "photo");
+  assert.equal(post.media[1].thumbnail, original.posts[0].media[1].poster);
+  assert.equal("poster" in post.media[1], false);
+
+  assert.deepEqual(validator.validateExport(migrated), {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    valid: true,
+    metadataErrors: [],
+    invalidPosts: [],
+  });
+
+  // The input is left untouched
+  assert.equal(original.posts[0].author, "Example User");
+});
+
+test("migrating a current export is a no-op", () => {
+  const migrated = new ExportMigrator().migrate(readExport("v1.0.0.json"));
+  assert.deepEqual(new ExportMigrator().migrate(migrated), migrated);
+});
+
+test("refuses versions it has no migration for", () => {
+  assert.throws(
+    () =>
+      new ExportMigrator().migrate({ metadata: { schemaVersion: "0.1.0" } }),
+    /Cannot migrate export from schema version 0\.1\.0/
+  );
+});
+
+test("lists invalid posts by id with the failing fields", () => {
+  const data = new ExportMigrator().migrate(readExport("v1.0.0.json"));
+  data.posts[1].timestamp = "3h";
+  data.posts[1].metrics.likes = "1";
+
+  const result = validator.validateExport(data);
+  assert.equal(result.valid, false);
+  assert.equal(result.invalidPosts.length, 1);
+  assert.equal(result.invalidPosts[0].id, "1234567889");
+  assert.deepEqual(result.invalidPosts[0].errors, [
+    "posts[1].timestamp: is not an ISO 8601 date-time",
+    "posts[1].metrics.likes: expected integer",
+  ]);
+});
@@ -0,0 +1,143 @@
+// Checks that the offline HTML archive escapes scraped text, only links to
+// web URLs and uses the images it is given. Run with: node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { HtmlArchiveBuilder } = require("../popup/html-archive.js");
+
+const builder = new HtmlArchiveBuilder();
+
+const makePost = (overrides = {}) => ({
+  id: "1",
+  order: 4,
+  finalOrder: 1,
+  text: "Hello",
+  author: {
+    name: "Example User",
+    handle: "example_user",
+    avatarUrl: "https://pbs.twimg.com/profile_images/1/avatar_normal.jpg",
+  },
+  timestamp: "2024-05-13T15:04:05.000Z",
+  url: "https://x.com/example_user/status/1",
+  metrics: {},
+  media: [],
+  entities: {},
+  metadata: {},
+  ...overrides,
+});
+
+const build = (posts, images) =>
+  builder.build(
+    {
+      metadata: {
+        source: { url: "https://x.com/example_user" },
+        scrapedAt: "2024-05-14T12:00:00.000Z",
+      },
+      posts: posts,
+    },
+    images
+  );
+
+test("scraped text is escaped everywhere it appears", () => {
+  assert.equal(
+    builder.escapeHtml(`<b>"Tom" & 'Jerry'</b>`),
+    "&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;"
+  );
+  assert.equal(builder.escapeHtml(null), "");
+
+  const html = build([
+    makePost({
+      text: "<script>alert(1)</script>\nline two",
+      author: { name: '"><img src=x onerror=alert(1)>', handle: "a<b" },
+      quotedPost: { author: "<i>Quoter</i>", handle: "q", text: "<hr>" },
+      metadata: { isRetweet: true, retweetedBy: "<u>someone</u>" },
+    }),
+  ]);
+
+  assert.ok(!html.includes("<script>alert(1)"));
+  assert.ok(!html.includes("<img src=x"));
+  assert.ok(!html.includes("<i>Quoter"));
+  assert.ok(!html.includes("<hr>"));
+  assert.ok(!html.includes("<u>someone"));
+  assert.ok(html.includes("&lt;script&gt;alert(1)&lt;/script&gt;<br>line two"));
+  // The search index holds the escaped text too
+  assert.ok(html.includes('data-search="&lt;script&gt;'));
+});
+
+test("only web URLs become links", () => {
+  assert.equal(
+    builder.safeUrl("https://x.com/a?b=1&c=2"),
+    "https://x.com/a?b=1&amp;c=2"
+  );
+  assert.equal(builder.safeUrl("HTTP://example.com"), "HTTP://example.com");
+  assert.equal(
+    builder.safeUrl('https://x.com/"onmouseover="x'),
+    "https://x.com/&quot;onmouseover=&quot;x"
+  );
+  [
+    "javascript:alert(1)",
+    " javascript:alert(1)",
+    "data:text/html,x",
+    "/relative",
+    "",
+    null,
+    undefined,
+  ].forEach((url) => assert.equal(builder.safeUrl(url), "#", String(url)));
+
+  const html = builder.renderText({
+    text: "see link and #tag",
+    entities: {
+      urls: [{ start: 4, end: 8, expandedUrl: "javascript:alert(1)" }],
+      hashtags: [{ start: 13, end: 17, tag: "tag" }],
+    },
+  });
+  assert.equal(
+    html,
+    'see <a href="#">link</a> and <a href="https://x.com/hashtag/tag">#tag</a>'
+  );
+});
+
+test("entities without a place in the text are rendered as text", () => {
+  const html = builder.renderText({
+    text: "see #tag",
+    entities: {
+      hashtags: [
+        { start: null, end: null, tag: "lost" },
+        { start: 4, end: 8, tag: "tag" },
+      ],
+      mentions: [{ start: 2, handle: "nobody" }],
+    },
+  });
+  assert.equal(html, 'see <a href="https://x.com/hashtag/tag">#tag</a>');
+});
+
+test("posts keep their final order and use the images given", () => {
+  const photo = "https://pbs.twimg.com/media/GAbc?format=jpg&name=small";
+  const html = build(
+    [
+      makePost({
+        media: [{ type: "photo", url: photo, alt: "A photo" }],
+      }),
+    ],
+    new Map([
+      [photo, "media/1-1.jpg"],
+      [
+        "https://pbs.twimg.com/profile_images/1/avatar_normal.jpg",
+        "data:image/jpeg;base64,AAAA",
+      ],
+    ])
+  );
+
+  assert.match(html, /<article class="post" data-order="1"/);
+  assert.ok(html.includes('<img src="media/1-1.jpg" alt="A photo"'));
+  assert.ok(
+    html.includes('<img class="avatar" src="data:image/jpeg;base64,AAAA"')
+  );
+
+  // Without images the page falls back to X's servers
+  assert.ok(
+    build([makePost({ media: [{ type: "photo", url: photo }] })]).includes(
+      `src="${builder.escapeHtml(photo)}"`
+    )
+  );
+});
@@ -0,0 +1,90 @@
+// Checks when scheduled jobs run next and where their exports are saved.
+// Run with: node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  JobSchedule,
+  DEFAULT_FILENAME_TEMPLATE,
+} = require("../jobs/job-schedule.js");
+
+const schedule = new JobSchedule();
+
+// Wednesday 15 May 2024, 10:30 local time
+const from = new Date(2024, 4, 15, 10, 30);
+
+test("daily and weekly jobs run at the next matching time of day", () => {
+  assert.deepEqual(
+    schedule.getNextRun({ type: "daily", time: "12:00" }, from),
+    new Date(2024, 4, 15, 12, 0)
+  );
+  assert.deepEqual(
+    schedule.getNextRun({ type: "daily", time: "09:00" }, from),
+    new Date(2024, 4, 16, 9, 0)
+  );
+  assert.deepEqual(
+    schedule.getNextRun({ type: "weekly", days: [1], time: "09:00" }, from),
+    new Date(2024, 4, 20, 9, 0)
+  );
+  assert.deepEqual(
+    schedule.getNextRun({ type: "weekly", days: [3], time: "10:30" }, from),
+    new Date(2024, 4, 22, 10, 30)
+  );
+  assert.deepEqual(
+    schedule.getNextRun({ type: "interval", hours: 6 }, from),
+    new Date(2024, 4, 15, 16, 30)
+  );
+});
+
+test("filenames are filled in and made safe for the downloads folder", () => {
+  const values = {
+    job: "Mon/Fri: accounts?",
+    date: new Date(2024, 4, 15, 9, 5),
+    count: 42,
+  };
+
+  assert.equal(
+    schedule.formatFilename(DEFAULT_FILENAME_TEMPLATE, values),
+    "x-scraper/Mon_Fri_ accounts_/2024-05-15_09-05"
+  );
+  assert.equal(
+    schedule.formatFilename("../{job}//{count} posts {unknown}.", values),
+    "Mon_Fri_ accounts_/42 posts {unknown}"
+  );
+});
+
+test("jobs without a name, pages, schedule or filename are rejected", () => {
+  assert.deepEqual(
+    schedule.validate({
+      name: "Accounts",
+      pages: "@example_user",
+      schedule: { type: "weekly", days: [1], time: "09:00" },
+      filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+    }),
+    []
+  );
+  assert.deepEqual(
+    schedule.validate({
+      name: " ",
+      pages: "",
+      schedule: { type: "weekly", days: [], time: "9am" },
+      filenameTemplate: "../..",
+    }),
+    [
+      "Name the job",
+      "Add at least one page",
+      "Pick a time of day",
+      "Pick at least one weekday",
+      "The filename template is empty",
+    ]
+  );
+  assert.deepEqual(
+    schedule.validate({
+      name: "Hourly",
+      pages: "#webdev",
+      schedule: { type: "interval", hours: 0.5 },
+      filenameTemplate: "{job}",
+    }),
+    ["The interval must be a whole number of hours"]
+  );
+});
@@ -0,0 +1,38 @@
+// Checks count parsing against the per-locale fixtures in fixtures/locales.
+// Run with: node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { XProfileScraper } = require("../content/content.js");
+
+// parseCount and readMetricCount don't touch scraper state, so skip the
+// constructor (it wires up chrome.* listeners)
+const scraper = Object.create(XProfileScraper.prototype);
+
+const fixturesDir = path.join(__dirname, "fixtures", "locales");
+
+fs.readdirSync(fixturesDir)
+  .filter((file) => file.endsWith(".json"))
+  .forEach((file) => {
+    const fixture = JSON.parse(
+      fs.readFileSync(path.join(fixturesDir, file), "utf8")
+    );
+
+    test(`${fixture.locale}: parses displayed counts`, () => {
+      Object.entries(fixture.counts).forEach(([text, expected]) => {
+        assert.equal(scraper.parseCount(text), expected, text);
+      });
+    });
+
+    test(`${fixture.locale}: reads exact counts from aria-labels`, () => {
+      Object.entries(fixture.ariaLabels).forEach(([label, expected]) => {
+        const control = {
+          getAttribute: () => label,
+          innerText: "",
+        };
+        assert.equal(scraper.readMetricCount(control), expected, label);
+      });
+    });
+  });
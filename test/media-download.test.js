@@ -0,0 +1,174 @@
+// Checks which media files the background worker downloads for an export,
+// the names it saves them under and how failed downloads are reported.
+// Run with: node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { MediaDownloader } = require("../background/media-download.js");
+
+// Stands in for chrome.downloads: each download finishes on the next tick
+// with the state given for its URL (complete unless listed)
+function fakeDownloads(outcomes = {}) {
+  const listeners = new Set();
+  const items = new Map();
+  const downloads = {
+    started: [],
+    items: items,
+    search: async ({ id }) => (items.has(id) ? [{ id, ...items.get(id) }] : []),
+    onChanged: {
+      addListener: (listener) => listeners.add(listener),
+      removeListener: (listener) => listeners.delete(listener),
+      listenerCount: () => listeners.size,
+    },
+    download: async (options) => {
+      downloads.started.push(options);
+      const id = downloads.started.length;
+      const outcome = outcomes[options.url] || { state: "complete" };
+      items.set(id, { state: "in_progress" });
+      setImmediate(() => {
+        items.set(id, { state: outcome.state, error: outcome.error });
+        // Changes of other downloads go to the same listeners
+        listeners.forEach((listener) =>
+          listener({ id: id + 1000, state: { current: "complete" } })
+        );
+        listeners.forEach((listener) =>
+          listener({
+            id: id,
+            state: { current: outcome.state },
+            error: outcome.error ? { current: outcome.error } : undefined,
+          })
+        );
+      });
+      return id;
+    },
+  };
+  return downloads;
+}
+
+const photo = "https://pbs.twimg.com/media/GAbc123?format=png&name=small";
+
+test("post media is fetched at original size, other media is skipped", () => {
+  const media = new MediaDownloader(fakeDownloads());
+
+  assert.deepEqual(media.getMediaSource({ type: "photo", url: photo }), {
+    url: "https://pbs.twimg.com/media/GAbc123?format=png&name=orig",
+    extension: "png",
+  });
+  assert.deepEqual(
+    media.getMediaSource({
+      type: "animated_gif",
+      url: "https://video.twimg.com/tweet_video/GAbc.mp4",
+    }),
+    { url: "https://video.twimg.com/tweet_video/GAbc.mp4", extension: "mp4" }
+  );
+  // Streamed videos keep their poster frame
+  assert.deepEqual(
+    media.getMediaSource({
+      type: "video",
+      url: "blob:https://x.com/1234",
+      thumbnail: "https://pbs.twimg.com/ext_tw_video_thumb/1/pu/img/Poster.jpg",
+    }),
+    {
+      url: "https://pbs.twimg.com/ext_tw_video_thumb/1/pu/img/Poster.jpg?name=orig",
+      extension: "jpg",
+      posterOnly: true,
+    }
+  );
+
+  assert.deepEqual(
+    [
+      { type: "video", url: "blob:https://x.com/1234" },
+      {
+        type: "photo",
+        url: "https://pbs.twimg.com/profile_images/1/avatar_normal.jpg",
+      },
+      { type: "photo", url: "https://example.com/image.jpg" },
+      { type: "card", url: "https://t.co/abc" },
+    ].map((item) => media.getMediaSource(item).error),
+    [
+      "No downloadable URL (streamed video)",
+      "Not post media",
+      "Unsupported media host",
+      "No file to download",
+    ]
+  );
+});
+
+test("each file is saved into the run folder and reported", async () => {
+  const downloads = fakeDownloads({
+    "https://video.twimg.com/ext_tw_video/1/pu/vid/clip.mp4": {
+      state: "interrupted",
+      error: "NETWORK_FAILED",
+    },
+  });
+  const progress = [];
+  const media = new MediaDownloader(downloads, (done, total) =>
+    progress.push([done, total])
+  );
+
+  const summary = await media.downloadAll(
+    [
+      { id: "1", media: [{ type: "photo", url: photo }] },
+      {
+        id: "2",
+        media: [
+          { type: "card", url: "https://t.co/abc" },
+          {
+            type: "video",
+            url: "https://video.twimg.com/ext_tw_video/1/pu/vid/clip.mp4",
+          },
+        ],
+      },
+      { id: "3" },
+    ],
+    "x-posts-example-run"
+  );
+
+  assert.deepEqual(
+    downloads.started.map((options) => options.filename),
+    ["x-posts-example-run/media/1-1.png", "x-posts-example-run/media/2-2.mp4"]
+  );
+  assert.deepEqual(
+    summary.files.map((file) => [
+      file.postId,
+      file.status,
+      file.path,
+      file.error,
+    ]),
+    [
+      ["1", "downloaded", "media/1-1.png", null],
+      ["2", "skipped", null, "No file to download"],
+      ["2", "failed", "media/2-2.mp4", "NETWORK_FAILED"],
+    ]
+  );
+  assert.deepEqual(
+    [summary.total, summary.downloaded, summary.failed, summary.skipped],
+    [3, 1, 1, 1]
+  );
+  assert.deepEqual(progress, [
+    [1, 3],
+    [2, 3],
+    [3, 3],
+  ]);
+  assert.equal(downloads.onChanged.listenerCount(), 0);
+});
+
+test("a download that never finishes times out", async () => {
+  const downloads = fakeDownloads();
+  const media = new MediaDownloader(downloads);
+
+  await assert.rejects(media.waitForDownload(42, 10), /Download timed out/);
+  assert.equal(downloads.onChanged.listenerCount(), 0);
+});
+
+test("a download that finished before it was watched still resolves", async () => {
+  const downloads = fakeDownloads();
+  // Its onChanged events went out before the listener was added
+  downloads.items.set(7, { state: "complete" });
+  downloads.items.set(8, { state: "interrupted", error: "FILE_FAILED" });
+  const media = new MediaDownloader(downloads);
+
+  await media.waitForDownload(7, 1000);
+  await assert.rejects(media.waitForDownload(8, 1000), /FILE_FAILED/);
+  assert.equal(downloads.onChanged.listenerCount(), 0);
+});
@@ -0,0 +1,511 @@
+// Extracts posts from the saved markup in fixtures/posts and compares each
+// with the .json next to it, so selector changes can be checked without a
+// browser. To cover another kind of post, save its <article> as <name>.html
+// and write the post it should give as <name>.json, or null for one that is
+// skipped.
+// Run with: node --test test/
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const dom = new JSDOM("<!DOCTYPE html><body></body>", {
+  url: "https://x.com/orbitlab",
+});
+// jsdom has no layout, so innerText is never computed; nothing in the
+// fixtures is hidden with CSS, which makes it the same as textContent
+Object.defineProperty(dom.window.HTMLElement.prototype, "innerText", {
+  get() {
+    return this.textContent;
+  },
+});
+
+const selectors = require("../utils/selectors.js");
+const errorHandler = require("../utils/error-handler.js");
+const fieldCoverage = require("../utils/field-coverage.js");
+const { X_SELECTORS, SelectorUtils } = selectors;
+const { FieldCoverage } = fieldCoverage;
+
+// The content script reads these as page globals
+Object.assign(global, {
+  window: dom.window,
+  document: dom.window.document,
+  location: dom.window.location,
+  Node: dom.window.Node,
+  ...selectors,
+  ...errorHandler,
+  ...fieldCoverage,
+});
+const { XProfileScraper } = require("../content/content.js");
+
+// Posts are stamped with the time they were read, and posts without a status
+// link get an id hashed from it, so the clock is fixed
+mock.timers.enable({
+  apis: ["Date"],
+  now: new Date("2024-05-14T12:00:00.000Z"),
+});
+
+const fixturesDir = path.join(__dirname, "fixtures", "posts");
+const fixtures = fs
+  .readdirSync(fixturesDir)
+  .filter((file) => file.endsWith(".html"))
+  .map((file) => path.basename(file, ".html"));
+
+// The constructor wires up chrome.* listeners, so only set up the state
+// extraction reads
+function createScraper() {
+  return Object.assign(Object.create(XProfileScraper.prototype), {
+    selectors: X_SELECTORS,
+    scrapedPosts: new Map(),
+    scrollCount: 0,
+    threadMode: false,
+    fieldCoverage: new FieldCoverage(),
+    fieldChecks: new Map(),
+    emptyPostIds: new Set(),
+  });
+}
+
+function extractFixture(scraper, name) {
+  document.body.innerHTML = fs.readFileSync(
+    path.join(fixturesDir, `${name}.html`),
+    "utf8"
+  );
+  const elements = SelectorUtils.findElements(document, X_SELECTORS.POSTS);
+  assert.equal(elements.length, 1, `${name}.html should hold one post`);
+
+  return scraper.extractPostData(elements[0], 0);
+}
+
+fixtures.forEach((name) => {
+  test(`${name}: extracts the post`, () => {
+    const expected = JSON.parse(
+      fs.readFileSync(path.join(fixturesDir, `${name}.json`), "utf8")
+    );
+    assert.deepEqual(extractFixture(createScraper(), name), expected);
+  });
+});
+
+test("ads are skipped without counting toward coverage", () => {
+  const scraper = createScraper();
+
+  assert.equal(extractFixture(scraper, "promoted"), null);
+  assert.equal(scraper.isPromoted(document.querySelector("article")), true);
+  assert.equal(scraper.fieldChecks.size, 0);
+  assert.equal(scraper.emptyPostIds.size, 0);
+});
+
+test("every fixture post fills every coverage field", () => {
+  const scraper = createScraper();
+  const posts = fixtures
+    .map((name) => extractFixture(scraper, name))
+    .filter(Boolean);
+  const coverage = scraper.getCoverage(posts);
+
+  assert.equal(coverage.postsChecked, fixtures.length - 1);
+  assert.deepEqual(coverage.lowFields, []);
+  assert.ok(Object.values(coverage.fields).every((rate) => rate === 100));
+});
+
+test("posts read again on a later scroll are dropped as duplicates", () => {
+  const scraper = createScraper();
+  const plain = extractFixture(scraper, "plain");
+  // A post whose status link is missing
+  const unlinked = () => {
+    document.body.innerHTML = fs
+      .readFileSync(path.join(fixturesDir, "media.html"), "utf8")
+      .replace(/href="\/[^"]*\/status\/[^"]*"/g, "");
+    return scraper.extractPostData(document.querySelector("article"), 0);
+  };
+  const unlinkedPost = unlinked();
+
+  scraper.scrollCount = 3;
+  const plainAgain = extractFixture(scraper, "plain");
+  // Without a status link the id changes with every read, but the content
+  // stays the same
+  mock.timers.tick(60000);
+  const unlinkedAgain = unlinked();
+  assert.notEqual(unlinkedAgain.id, unlinkedPost.id);
+
+  const originalLog = console.log;
+  console.log = () => {};
+  let unique;
+  try {
+    unique = scraper.removeDuplicatePosts([
+      plain,
+      unlinkedPost,
+      plainAgain,
+      unlinkedAgain,
+    ]);
+  } finally {
+    console.log = originalLog;
+  }
+
+  assert.deepEqual(unique, [plain, unlinkedPost]);
+});
+
+test("posts are sorted newest first and numbered", () => {
+  const scraper = createScraper();
+  const posts = fixtures
+    .filter((name) => name !== "promoted")
+    .map((name) => extractFixture(scraper, name));
+
+  const sorted = scraper.sortAndOrderPosts(posts);
+
+  assert.deepEqual(
+    sorted.map((post) => post.id),
+    [
+      "1790000000000000104", // quote, May 13 18:45
+      "1790000000000000102", // reply, May 13 16:20
+      "1790000000000000101", // plain, May 13 15:04
+      "1790000000000000103", // retweet, May 12
+      "1790000000000000105", // media, May 11
+      "1790000000000000106", // poll, May 10
+      "1790000000000000107", // long, May 9
+      "1790000000000000109", // pinned, Jan 2
+    ]
+  );
+  assert.deepEqual(
+    sorted.map((post) => post.finalOrder),
+    [1, 2, 3, 4, 5, 6, 7, 8]
+  );
+});
+
+test("threads keep conversation order", () => {
+  const scraper = createScraper();
+  scraper.threadMode = true;
+  const posts = ["plain", "reply", "quote"].map((name, index) => ({
+    ...extractFixture(createScraper(), name),
+    threadPosition: index + 1,
+  }));
+
+  assert.deepEqual(
+    scraper.sortAndOrderPosts([...posts].reverse()).map((post) => post.id),
+    posts.map((post) => post.id)
+  );
+});
+
+test("self-thread posts read again on a later scroll keep the thread going", () => {
+  // One timeline cell per post on a status page of @orbitlab
+  const cell = (id, handle) => `
+    <div data-testid="cellInnerDiv">
+      <article role="article" data-testid="tweet">
+        <div data-testid="User-Name">
+          <a href="/${handle}"><span>${handle}</span></a>
+          <a href="/${handle}/status/${id}"><time datetime="2024-05-13T15:00:00.000Z">May 13</time></a>
+        </div>
+        <div dir="auto" lang="en" data-testid="tweetText"><span>Post ${id}</span></div>
+      </article>
+    </div>`;
+  const scroll = (cells) => {
+    document.body.innerHTML = `<div data-testid="primaryColumn">${cells
+      .map(([id, handle]) => cell(id, handle))
+      .join("")}</div>`;
+    scraper.extractPostsFromDOM().forEach((post) => {
+      scraper.scrapedPosts.set(post.id, post);
+    });
+  };
+
+  const scraper = createScraper();
+  scraper.threadMode = true;
+  scraper.thread = {
+    focalId: "1",
+    conversationId: "1",
+    focalHandle: "orbitlab",
+    selfThreadTailId: "1",
+    repliesStarted: false,
+    reachedEnd: false,
+  };
+  // jsdom has no layout, so nothing would count as visible
+  mock.method(SelectorUtils, "isVisible", () => true);
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    scroll([
+      ["1", "orbitlab"],
+      ["2", "orbitlab"],
+      ["3", "orbitlab"],
+    ]);
+    // The focal post has scrolled away; 2 and 3 are read again
+    scroll([
+      ["2", "orbitlab"],
+      ["3", "orbitlab"],
+      ["4", "orbitlab"],
+      ["5", "someone"],
+    ]);
+  } finally {
+    console.log = originalLog;
+    SelectorUtils.isVisible.mock.restore();
+  }
+
+  assert.deepEqual(
+    Array.from(scraper.scrapedPosts.values()).map((post) => [
+      post.id,
+      post.threadRole,
+      post.inReplyToId,
+    ]),
+    [
+      ["1", "root", null],
+      ["2", "self_thread", "1"],
+      ["3", "self_thread", "2"],
+      ["4", "self_thread", "3"],
+      ["5", "reply", "4"],
+    ]
+  );
+});
+
+test("pinned posts and old reposts don't count toward the since date", () => {
+  const scraper = Object.assign(createScraper(), {
+    dateRange: { since: new Date("2024-05-13T00:00:00.000Z"), until: null },
+    rangeCheckedIds: new Set(),
+    consecutiveOlderPosts: 0,
+  });
+  const older = (name) => {
+    const post = extractFixture(scraper, name);
+    assert.equal(scraper.checkDateRange(post), false, name);
+    return scraper.consecutiveOlderPosts;
+  };
+
+  assert.equal(older("pinned"), 0);
+  // Reposted on the timeline now, but stamped with the original's time
+  assert.equal(older("retweet"), 0);
+  assert.equal(older("long"), 1);
+  assert.equal(older("retweet"), 1);
+  assert.equal(older("poll"), 2);
+});
+
+test("checkpoints send only the posts added since the last one", async () => {
+  const sent = [];
+  global.chrome = {
+    // Messages are copied on the way, as chrome.runtime does
+    runtime: {
+      sendMessage: async (message) => sent.push(structuredClone(message)),
+    },
+  };
+  const scraper = Object.assign(createScraper(), {
+    session: { id: "session_1", status: "running" },
+    checkpointedIds: new Set(),
+    lastCheckpointAt: 0,
+    checkpointInterval: 10000,
+  });
+  const add = (name) => {
+    const post = extractFixture(scraper, name);
+    scraper.scrapedPosts.set(post.id, post);
+  };
+
+  try {
+    add("plain");
+    add("reply");
+    await scraper.checkpointSession(null, true);
+    add("quote");
+    await scraper.checkpointSession(null, true);
+    await scraper.checkpointSession("completed", true);
+  } finally {
+    delete global.chrome;
+  }
+
+  assert.deepEqual(
+    sent.map((message) => message.posts.map((post) => post.id)),
+    [
+      ["1790000000000000101", "1790000000000000102"],
+      ["1790000000000000104"],
+      [],
+    ]
+  );
+  assert.deepEqual(
+    sent.map((message) => message.session.postCount),
+    [2, 3, 3]
+  );
+  assert.equal(sent[2].session.status, "completed");
+  assert.equal(sent[2].session.posts, undefined);
+});
+
+test("a quoted post's id comes from the link on its time", () => {
+  document.body.innerHTML = fs
+    .readFileSync(path.join(fixturesDir, "quote.html"), "utf8")
+    .replace(
+      '<div><time datetime="2024-05-13T18:02:00.000Z">May 13</time></div>',
+      '<a href="/starwatch/status/1789000000000000042"><time datetime="2024-05-13T18:02:00.000Z">May 13</time></a>'
+    );
+  const [element] = SelectorUtils.findElements(document, X_SELECTORS.POSTS);
+  const post = createScraper().extractPostData(element, 0);
+
+  assert.equal(post.id, "1790000000000000104");
+  assert.equal(post.quotedPost.id, "1789000000000000042");
+  assert.equal(
+    post.quotedPost.url,
+    "https://x.com/starwatch/status/1789000000000000042"
+  );
+});
+
+test("long posts get the full text from their own page", async () => {
+  const fullText = JSON.parse(
+    fs.readFileSync(path.join(fixturesDir, "long.json"), "utf8")
+  ).text.concat(" spacewalk is on Thursday.");
+  const requests = [];
+  global.chrome = {
+    runtime: {
+      sendMessage: async (message) => {
+        requests.push(message);
+        return { texts: { "1790000000000000107": fullText } };
+      },
+    },
+  };
+  const scraper = createScraper();
+  const long = extractFixture(scraper, "long");
+  const plain = extractFixture(scraper, "plain");
+
+  try {
+    await scraper.fetchFullTexts([long, plain]);
+  } finally {
+    delete global.chrome;
+  }
+
+  assert.deepEqual(requests, [
+    {
+      action: "fetchFullTexts",
+      posts: [
+        {
+          id: "1790000000000000107",
+          url: "https://x.com/orbitlab/status/1790000000000000107",
+        },
+      ],
+    },
+  ]);
+  assert.equal(long.text, fullText);
+  assert.equal(long.textTruncated, false);
+  // Offsets found in the preview still point into the full text
+  const [hashtag] = long.entities.hashtags;
+  assert.equal(long.text.slice(hashtag.start, hashtag.end), "#OrbitLab");
+});
+
+test("long posts keep the preview when their page can't be read", async () => {
+  global.chrome = {
+    runtime: { sendMessage: async () => ({ texts: {} }) },
+  };
+  const scraper = createScraper();
+  const long = extractFixture(scraper, "long");
+  const preview = long.text;
+
+  try {
+    await scraper.fetchFullTexts([long]);
+  } finally {
+    delete global.chrome;
+  }
+
+  assert.equal(long.text, preview);
+  assert.equal(long.textTruncated, true);
+});
+
+test("a post's own page is read for its text", async () => {
+  const scraper = Object.assign(createScraper(), {
+    selectorPackReady: Promise.resolve(),
+  });
+  const expected = JSON.parse(
+    fs.readFileSync(path.join(fixturesDir, "plain.json"), "utf8")
+  );
+  document.body.innerHTML = fs.readFileSync(
+    path.join(fixturesDir, "plain.html"),
+    "utf8"
+  );
+
+  assert.equal(await scraper.readPostText(expected.id), expected.text);
+});
+
+test("entities whose text can't be found are left out", () => {
+  const scraper = createScraper();
+  const post = extractFixture(scraper, "long");
+  const [element] = SelectorUtils.findElements(document, X_SELECTORS.POSTS);
+  // The text as read without the link X shortened
+  const text = post.text.replace(post.entities.urls[0].displayUrl, "");
+
+  const entities = scraper.extractEntities(element, text);
+
+  assert.deepEqual(entities.hashtags, post.entities.hashtags);
+  assert.deepEqual(entities.urls, []);
+});
+
+test("a selector pack reaches every part of extraction", () => {
+  // X renamed its test ids; the pack names the new ones
+  document.body.innerHTML = fs
+    .readFileSync(path.join(fixturesDir, "plain.html"), "utf8")
+    .replace('data-testid="tweet"', 'data-testid="post"')
+    .replace('data-testid="tweetText"', 'data-testid="postText"')
+    .replace('data-testid="User-Name"', 'data-testid="PostAuthor"');
+  const scraper = createScraper();
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    scraper.applySelectorPack({
+      name: "renamed",
+      selectors: {
+        POSTS: ['[data-testid="post"]'],
+        POST_TEXT: ['[data-testid="postText"]'],
+        AUTHOR_HEADER: ['[data-testid="PostAuthor"]'],
+        AUTHOR: ['[data-testid="PostAuthor"] span'],
+        AUTHOR_HANDLE: ['[data-testid="PostAuthor"] a[href^="/"]'],
+      },
+    });
+  } finally {
+    console.log = originalLog;
+  }
+
+  const elements = SelectorUtils.findElements(
+    document,
+    scraper.selectors.POSTS
+  );
+  assert.equal(elements.length, 1);
+  assert.equal(scraper.isValidPost(elements[0]), true);
+
+  const expected = JSON.parse(
+    fs.readFileSync(path.join(fixturesDir, "plain.json"), "utf8")
+  );
+  const post = scraper.extractPostData(elements[0], 0);
+  assert.deepEqual({ ...post, scrapedAt: expected.scrapedAt }, expected);
+});
+
+test("coverage counts posts dropped for a broken text selector", () => {
+  // X renamed the text block that a one-selector pack names, and the first
+  // author selector finds the handle, which extraction skips
+  document.body.innerHTML = fs
+    .readFileSync(path.join(fixturesDir, "plain.html"), "utf8")
+    .replace('data-testid="tweetText"', 'data-testid="postText"');
+  const scraper = createScraper();
+  scraper.selectors = {
+    ...X_SELECTORS,
+    POST_TEXT: ['[data-testid="tweetText"]'],
+    AUTHOR: [
+      '[data-testid="User-Name"] a[tabindex="-1"] span',
+      '[data-testid="User-Name"] span',
+    ],
+  };
+  const [element] = SelectorUtils.findElements(document, X_SELECTORS.POSTS);
+
+  assert.equal(scraper.extractPostData(element, 0), null);
+
+  const check = scraper.fieldChecks.get("1790000000000000101");
+  assert.deepEqual(check.text, { filled: false, selector: null, value: "" });
+  assert.equal(check.author.selector, '[data-testid="User-Name"] span');
+  assert.equal(check.author.value, "Orbit Lab");
+
+  const coverage = scraper.getCoverage([]);
+  assert.equal(coverage.postsChecked, 1);
+  assert.equal(coverage.fields.text, 0);
+});
+
+test("timestamps are read as ISO dates or relative to now", () => {
+  const scraper = createScraper();
+  const now = Date.now();
+
+  assert.equal(
+    scraper.parseTimestamp("2024-05-13T15:04:05.000Z").toISOString(),
+    "2024-05-13T15:04:05.000Z"
+  );
+  assert.equal(scraper.parseTimestamp("45s").getTime(), now - 45 * 1000);
+  assert.equal(scraper.parseTimestamp("2h").getTime(), now - 2 * 3600 * 1000);
+  assert.equal(
+    scraper.parseTimestamp("3d").getTime(),
+    now - 3 * 24 * 3600 * 1000
+  );
+  assert.equal(scraper.parseTimestamp(""), null);
+});
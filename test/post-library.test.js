@@ -0,0 +1,148 @@
+// Checks the post library's metric history and engagement diff, which don't
+// need IndexedDB. Run with: node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PostLibrary } = require("../library/post-library.js");
+
+const library = new PostLibrary();
+
+const makePost = (id, likes, scrapedAt) => ({
+  id: id,
+  url: `https://x.com/example_user/status/${id}`,
+  author: { name: "Example User", handle: "Example_User" },
+  text: "Sample post",
+  timestamp: "2024-01-10T09:00:00.000Z",
+  metrics: { replies: 1, retweets: 2, likes: likes, views: 100 },
+  scrapedAt: scrapedAt,
+});
+
+test("a new post starts its history with one snapshot", () => {
+  const record = library.toRecord(
+    makePost("1", 10, "2024-01-14T10:00:00.000Z"),
+    undefined,
+    "profile:example_user",
+    "run-1"
+  );
+
+  assert.equal(record.authorHandle, "example_user");
+  assert.deepEqual(record.metricsHistory, [
+    {
+      at: "2024-01-14T10:00:00.000Z",
+      runId: "run-1",
+      replies: 1,
+      retweets: 2,
+      likes: 10,
+      quotes: 0,
+      bookmarks: 0,
+      views: 100,
+    },
+  ]);
+});
+
+test("checkpoints of one run replace that run's snapshot", () => {
+  let record = library.toRecord(
+    makePost("1", 10, "2024-01-14T10:00:00.000Z"),
+    undefined,
+    null,
+    "run-1"
+  );
+  record = library.toRecord(
+    makePost("1", 12, "2024-01-14T10:00:05.000Z"),
+    record,
+    null,
+    "run-1"
+  );
+  record = library.toRecord(
+    makePost("1", 20, "2024-01-15T10:00:00.000Z"),
+    record,
+    null,
+    "run-2"
+  );
+
+  assert.deepEqual(
+    record.metricsHistory.map((entry) => [entry.runId, entry.likes]),
+    [
+      ["run-1", 12],
+      ["run-2", 20],
+    ]
+  );
+  assert.equal(record.firstSeenAt, "2024-01-14T10:00:00.000Z");
+  assert.equal(record.post.metrics.likes, 20);
+});
+
+test("records without history are seeded from their latest post", () => {
+  const legacy = {
+    id: "1",
+    lastSeenAt: "2024-01-13T10:00:00.000Z",
+    post: makePost("1", 5, "2024-01-13T10:00:00.000Z"),
+  };
+
+  const history = library.getHistory(legacy);
+  assert.equal(history.length, 1);
+  assert.equal(history[0].at, "2024-01-13T10:00:00.000Z");
+  assert.equal(history[0].likes, 5);
+});
+
+test("exports carry history without run ids, also for records without history", () => {
+  const legacy = {
+    id: "1",
+    lastSeenAt: "2024-01-13T10:00:00.000Z",
+    post: makePost("1", 5, "2024-01-13T10:00:00.000Z"),
+  };
+  const current = library.toRecord(
+    makePost("2", 10, "2024-01-14T10:00:00.000Z"),
+    undefined,
+    "profile:example_user",
+    "run-1"
+  );
+
+  assert.deepEqual(library.getExportHistory(legacy), [
+    {
+      at: "2024-01-13T10:00:00.000Z",
+      replies: 1,
+      retweets: 2,
+      likes: 5,
+      quotes: 0,
+      bookmarks: 0,
+      views: 100,
+    },
+  ]);
+  assert.deepEqual(
+    library.getExportHistory(current).map((snapshot) => Object.keys(snapshot)),
+    [["at", "replies", "retweets", "likes", "quotes", "bookmarks", "views"]]
+  );
+  assert.equal(library.getEngagementDiff([legacy, current]).newPosts, 2);
+});
+
+test("the engagement diff ranks posts by their change since the last run", () => {
+  const seen = (id, likesByRun) =>
+    likesByRun.reduce(
+      (record, likes, index) =>
+        library.toRecord(
+          makePost(id, likes, `2024-01-1${index + 1}T10:00:00.000Z`),
+          record,
+          null,
+          `run-${index + 1}`
+        ),
+      undefined
+    );
+
+  const diff = library.getEngagementDiff([
+    seen("1", [10, 15]),
+    seen("2", [10, 50, 40]),
+    seen("3", [7]),
+  ]);
+
+  assert.equal(diff.comparedPosts, 2);
+  assert.equal(diff.newPosts, 1);
+  assert.deepEqual(
+    diff.topChanges.map((item) => [item.id, item.change.likes]),
+    [
+      ["2", -10],
+      ["1", 5],
+    ]
+  );
+  assert.equal(diff.topChanges[0].previousAt, "2024-01-12T10:00:00.000Z");
+  assert.equal(diff.topChanges[0].engagementChange, -10);
+});
@@ -0,0 +1,104 @@
+// Checks how pasted and imported lists become batch queue items.
+// Run with: node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+// The worker and the queue page load the page classifier before the parser
+global.PageType = require("../utils/page-type.js").PageType;
+const { QueueItemParser } = require("../queue/queue-items.js");
+
+const parser = new QueueItemParser();
+
+test("handles, hashtags and page URLs become pages to scrape", () => {
+  const { items, errors } = parser.parse(
+    [
+      "@example_user",
+      "other_user",
+      "#webdev",
+      "https://twitter.com/example_user/with_replies/",
+      "x.com/search?q=chrome%20extensions",
+      "https://x.com/i/lists/123456",
+      "https://x.com/example_user/status/1234567890",
+    ].join("\n")
+  );
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    items.map((item) => [item.source.type, item.url]),
+    [
+      ["profile", "https://x.com/example_user"],
+      ["profile", "https://x.com/other_user"],
+      ["hashtag", "https://x.com/hashtag/webdev"],
+      ["profile_replies", "https://x.com/example_user/with_replies"],
+      ["search", "https://x.com/search?q=chrome%20extensions"],
+      ["list", "https://x.com/i/lists/123456"],
+      ["status", "https://x.com/example_user/status/1234567890"],
+    ]
+  );
+  assert.ok(items.every((item) => item.status === "pending"));
+  assert.equal(new Set(items.map((item) => item.id)).size, items.length);
+});
+
+test("settings after the target apply to that item only", () => {
+  const { items, errors } = parser.parse(
+    "@example_user maxPosts=300 since=2024-01-01 until=2024-02-01 incremental\n" +
+      "@other_user incremental=false"
+  );
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(items[0].settings, {
+    maxPosts: 300,
+    sinceDate: "2024-01-01",
+    untilDate: "2024-02-01",
+    incremental: true,
+  });
+  assert.deepEqual(items[1].settings, { incremental: false });
+});
+
+test("CSV rows use their first cell as the target", () => {
+  const { items, errors } = parser.parse(
+    "@example_user,maxPosts=50\r\n\r\n@other_user;scrollDelay=3000\r\n"
+  );
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    items.map((item) => [item.source.query, item.settings]),
+    [
+      ["example_user", { maxPosts: 50 }],
+      ["other_user", { scrollDelay: 3000 }],
+    ]
+  );
+});
+
+test("invalid lines and duplicates are reported with their line number", () => {
+  const { items, errors } = parser.parse(
+    [
+      "@example_user",
+      "home",
+      "https://example.com/example_user",
+      "@other_user maxPosts=5",
+      "@other_user colour=blue",
+      "@third_user since=2024-02-01 until=2024-01-01",
+      "https://x.com/example_user",
+      "@queued_user",
+    ].join("\n"),
+    ["https://x.com/queued_user"]
+  );
+
+  assert.deepEqual(
+    items.map((item) => item.url),
+    ["https://x.com/example_user"]
+  );
+  assert.deepEqual(
+    errors.map((error) => [error.line, error.error]),
+    [
+      [2, "Not a handle, hashtag or supported X page"],
+      [3, "Not a handle, hashtag or supported X page"],
+      [4, "maxPosts must be a whole number from 10 to 1000"],
+      [5, "Unknown setting colour"],
+      [6, "since must be before until"],
+      [7, "Already in the queue"],
+      [8, "Already in the queue"],
+    ]
+  );
+});
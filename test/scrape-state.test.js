@@ -0,0 +1,94 @@
+// Checks the scrape state transitions the background worker applies per tab.
+// Run with: node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ScrapeStateMachine } = require("../background/scrape-state.js");
+
+const machine = new ScrapeStateMachine();
+
+// Applies events in order and returns the status after each; ignored events
+// leave the state as it was
+function run(state, events) {
+  return events.map(([event, data]) => {
+    state = machine.apply(state, event, data) || state;
+    return state.status;
+  });
+}
+
+test("a run moves from starting to running to completed", () => {
+  assert.deepEqual(
+    run(machine.create(1), [
+      ["start"],
+      ["progress"],
+      ["stop"],
+      ["progress"],
+      ["complete", { result: "stopped" }],
+    ]),
+    ["starting", "running", "stopping", "stopping", "completed"]
+  );
+});
+
+test("events that don't fit the current state are ignored", () => {
+  const running = machine.apply(machine.create(1), "started", {
+    sessionId: "session_1",
+  });
+
+  assert.equal(machine.apply(running, "start"), null);
+  assert.equal(machine.apply(machine.create(1), "stop"), null);
+  assert.equal(machine.apply(machine.create(1), "progress"), null);
+
+  const completed = machine.apply(running, "complete");
+  assert.equal(machine.apply(completed, "progress"), null);
+  assert.equal(machine.apply(completed, "interrupt"), null);
+
+  // The page a resumed run reopens reloads while it starts
+  assert.equal(
+    machine.apply(machine.apply(completed, "start"), "interrupt"),
+    null
+  );
+});
+
+test("navigation and reloads end a running scrape", () => {
+  const running = machine.apply(machine.create(1), "started");
+
+  const navigated = machine.apply(running, "navigate");
+  assert.equal(navigated.status, "stopping");
+  assert.equal(navigated.stopReason, "navigated");
+
+  const reloaded = machine.apply(running, "interrupt", {
+    error: "Page reloaded during the run",
+  });
+  assert.equal(reloaded.status, "failed");
+  assert.equal(reloaded.error, "Page reloaded during the run");
+});
+
+test("a content script reconnecting after a worker restart keeps its state", () => {
+  const stopping = machine.apply(
+    machine.apply(machine.create(1), "started"),
+    "stop"
+  );
+  assert.equal(machine.apply(stopping, "attach").status, "stopping");
+
+  // State lost, but the tab says it is still running
+  assert.equal(
+    machine.apply(machine.create(1), "attach", { sessionId: "session_1" })
+      .sessionId,
+    "session_1"
+  );
+});
+
+test("starting again clears the previous run", () => {
+  const failed = machine.apply(
+    machine.apply(machine.create(1), "started", { postCount: 40 }),
+    "fail",
+    { error: "Not on a supported X page" }
+  );
+  const restarted = machine.apply(failed, "start");
+
+  assert.equal(restarted.status, "starting");
+  assert.equal(restarted.error, null);
+  assert.equal(restarted.postCount, 0);
+  assert.equal(restarted.tabId, 1);
+  assert.ok(restarted.startedAt);
+});
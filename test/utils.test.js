@@ -0,0 +1,228 @@
+// Checks the shared selector table and the error and progress helpers the
+// content script, popup and background worker load.
+// Run with: node --test test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  X_SELECTORS,
+  SelectorUtils,
+  SelectorPack,
+} = require("../utils/selectors.js");
+const { ErrorHandler, ProgressTracker } = require("../utils/error-handler.js");
+const { FieldCoverage } = require("../utils/field-coverage.js");
+const { PageType } = require("../utils/page-type.js");
+
+// Stands in for a DOM container: each selector maps to the elements it finds,
+// and "!" marks one the browser would reject
+function container(matches) {
+  const find = (selector) => {
+    if (selector.startsWith("!")) throw new Error("Invalid selector");
+    return matches[selector] || [];
+  };
+  return {
+    querySelector: (selector) => find(selector)[0] || null,
+    querySelectorAll: (selector) => find(selector),
+  };
+}
+
+test("selectors are tried in order, skipping ones that fail", () => {
+  const page = container({
+    'article[role="article"]': ["fallback"],
+    '[data-testid="tweet"]': ["first", "second"],
+  });
+
+  assert.deepEqual(SelectorUtils.findElements(page, X_SELECTORS.POSTS), [
+    "first",
+    "second",
+  ]);
+  assert.equal(
+    SelectorUtils.findElement(page, ["!bad", 'article[role="article"]']),
+    "fallback"
+  );
+  assert.equal(SelectorUtils.findElement(page, X_SELECTORS.TIMESTAMP), null);
+});
+
+test("every selector list is non-empty", () => {
+  const lists = Object.entries(X_SELECTORS).flatMap(([name, value]) =>
+    Array.isArray(value)
+      ? [[name, value]]
+      : Object.entries(value).map(([key, list]) => [`${name}.${key}`, list])
+  );
+
+  lists.forEach(([name, list]) => {
+    assert.ok(list.length > 0, name);
+    list.forEach((selector) => assert.equal(typeof selector, "string", name));
+  });
+});
+
+test("selector packs replace only the fields they fill in", () => {
+  const table = SelectorPack.apply({
+    POSTS: ['[data-testid="post"]'],
+    METRICS: { likes: ['[data-testid="heart"]'], views: [] },
+  });
+
+  assert.deepEqual(table.POSTS, ['[data-testid="post"]']);
+  assert.deepEqual(table.METRICS.likes, ['[data-testid="heart"]']);
+  assert.deepEqual(table.METRICS.views, X_SELECTORS.METRICS.views);
+  assert.deepEqual(table.POST_TEXT, X_SELECTORS.POST_TEXT);
+  assert.notEqual(table.METRICS, X_SELECTORS.METRICS);
+  assert.deepEqual(SelectorPack.apply(null), X_SELECTORS);
+});
+
+test("selector packs with unknown fields or bad selectors are rejected", () => {
+  // Stands in for the browser's selector parser
+  const isValidSelector = (selector) => !selector.includes("((");
+
+  assert.deepEqual(
+    SelectorPack.validate(
+      SelectorPack.create({ POSTS: ["article"], METRICS: { likes: ["a"] } }),
+      isValidSelector
+    ),
+    []
+  );
+  assert.deepEqual(
+    SelectorPack.validate(
+      SelectorPack.create({
+        POSTS: ["article", "div(("],
+        TWEETS: ["article"],
+        METRICS: { likes: "a", shares: ["a"] },
+      }),
+      isValidSelector
+    ),
+    [
+      "POSTS: invalid selector div((",
+      "Unknown field TWEETS",
+      "METRICS.likes must be a list of selectors",
+      "Unknown field METRICS.shares",
+    ]
+  );
+  assert.deepEqual(SelectorPack.validate({ selectors: {} }), [
+    "Not a selector pack file",
+  ]);
+});
+
+test("page types are detected from X URLs on either domain", () => {
+  assert.deepEqual(PageType.detect("https://twitter.com/example_user/"), {
+    type: "profile",
+    query: "example_user",
+    username: "example_user",
+    url: "https://x.com/example_user",
+  });
+  assert.equal(
+    PageType.detect("https://x.com/example_user/status/123").statusId,
+    "123"
+  );
+  assert.equal(PageType.detect("https://x.com/search?q=a").type, "search");
+  assert.equal(
+    PageType.detect("https://x.com/hashtag/%E0%A4%85").query,
+    "\u0905"
+  );
+
+  [
+    "https://x.com/home",
+    "https://x.com/hashtag/%E0%A4%A",
+    "https://x.com/settings/account",
+    "https://x.com/search",
+    "https://example.com/example_user",
+    "not a url",
+  ].forEach((url) => assert.equal(PageType.detect(url), null, url));
+});
+
+test("coverage counts filled fields and metric buttons per post", () => {
+  const coverage = new FieldCoverage();
+  const post = (overrides) => ({
+    text: "Hello",
+    author: { name: "Example", handle: "example" },
+    timestamp: "2024-05-01T10:00:00.000Z",
+    url: "https://x.com/example/status/1",
+    metrics: { replies: 0, retweets: 0, likes: 0, views: 0 },
+    ...overrides,
+  });
+  // Selectors extraction recorded: a like button both posts have, and a
+  // views link only the first has
+  const checks = [
+    coverage.checkPost(post(), {
+      text: '[data-testid="tweetText"]',
+      author: '[data-testid="User-Name"] span',
+      handle: '[data-testid="User-Name"] a[href^="/"]',
+      timestamp: "time",
+      url: 'a[href*="/status/"]',
+      views: 'a[href*="/analytics"]',
+      likes: '[data-testid="unlike"]',
+    }),
+    coverage.checkPost(
+      post({ author: { name: "", handle: "other" }, timestamp: "" }),
+      {
+        text: '[data-testid="tweetText"]',
+        handle: '[data-testid="User-Name"] a[href^="/"]',
+        url: 'a[href*="/status/"]',
+        likes: '[data-testid="like"]',
+      }
+    ),
+  ];
+
+  assert.equal(checks[0].likes.selector, '[data-testid="unlike"]');
+  assert.equal(checks[0].likes.filled, true);
+  assert.equal(checks[1].views.filled, false);
+
+  const summary = coverage.summarize(checks);
+  assert.equal(summary.postsChecked, 2);
+  assert.deepEqual(
+    [summary.fields.text, summary.fields.likes, summary.fields.views],
+    [100, 100, 50]
+  );
+  // Neither post has reply or repost buttons
+  assert.deepEqual(summary.lowFields, [
+    "author",
+    "timestamp",
+    "replies",
+    "retweets",
+    "views",
+  ]);
+
+  const report = coverage.diagnose(checks);
+  assert.deepEqual(report.details.likes.strategies, [
+    { selector: '[data-testid="unlike"]', count: 1 },
+    { selector: '[data-testid="like"]', count: 1 },
+  ]);
+  assert.deepEqual(report.details.author.samples, ["Example"]);
+  assert.deepEqual(coverage.summarize([]).lowFields, []);
+});
+
+test("errors are kept without reporting when reporting is off", () => {
+  const handler = new ErrorHandler({ report: false });
+  handler.maxErrors = 2;
+  handler.reportError = () => assert.fail("should not report");
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    handler.logError(new Error("first"), "TEST");
+    handler.logError("second", "TEST");
+    handler.logError("third", "OTHER");
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.deepEqual(
+    handler.getRecentErrors().map((error) => error.message),
+    ["second", "third"]
+  );
+  assert.equal(handler.getErrorsByContext("TEST").length, 1);
+});
+
+test("progress follows the current phase and completes at 100", () => {
+  const tracker = new ProgressTracker();
+  tracker.startPhase("scraping", 200);
+  tracker.updateProgress(50, "Found 50 posts");
+
+  assert.equal(tracker.calculateOverallProgress(), 25);
+  assert.equal(tracker.getProgress().isActive, true);
+
+  tracker.completePhase("completed");
+  assert.equal(tracker.calculateOverallProgress(), 100);
+
+  tracker.reset();
+  assert.equal(tracker.calculateOverallProgress(), 0);
+});
@@ -1,9 +1,17 @@
 // Error handling and logging utilities for X Profile Post Scraper
+// Loaded as a classic script by the content script, the popup and the
+// background worker, which each keep their own ErrorHandler
 
-export class ErrorHandler {
-  constructor() {
+class ErrorHandler {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.report - Send logged errors to the background
+   *   worker; the worker itself turns this off
+   */
+  constructor(options = {}) {
     this.errors = [];
     this.maxErrors = 100; // Keep last 100 errors
+    this.reportErrors = options.report !== false;
   }
 
   /**
@@ -33,7 +41,9 @@ export class ErrorHandler {
     console.error(`[${context}] ${errorEntry.message}`, errorEntry);
 
     // Send to background script for potential reporting
-    this.reportError(errorEntry);
+    if (this.reportErrors) {
+      this.reportError(errorEntry);
+    }
 
     return errorEntry.id;
   }
@@ -79,14 +89,15 @@ export class ErrorHandler {
    * @param {Error} error - Scraping error
    * @param {string} phase - Scraping phase (scroll, extract, etc.)
    * @param {Object} state - Current scraping state
+   * @param {string[]} postSelectors - Post selectors of the scraper's table
    */
-  handleScrapingError(error, phase = '', state = {}) {
+  handleScrapingError(error, phase = '', state = {}, postSelectors = X_SELECTORS.POSTS) {
     const metadata = {
       phase: phase,
       scrapingState: state,
       pageHeight: document.documentElement.scrollHeight,
       scrollPosition: window.pageYOffset,
-      visiblePosts: document.querySelectorAll('[data-testid="tweet"]').length
+      visiblePosts: SelectorUtils.findElements(document, postSelectors).length
     };
 
     return this.logError(error, 'SCRAPING_ERROR', metadata);
@@ -171,7 +182,7 @@ export class ErrorHandler {
 /**
  * Progress tracking utility
  */
-export class ProgressTracker {
+class ProgressTracker {
   constructor() {
     this.phases = new Map();
     this.currentPhase = null;
@@ -344,6 +355,6 @@ export class ProgressTracker {
   }
 }
 
-// Global instances
-export const errorHandler = new ErrorHandler();
-export const progressTracker = new ProgressTracker();
+if (typeof module !== 'undefined') {
+  module.exports = { ErrorHandler, ProgressTracker };
+}
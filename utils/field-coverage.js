@@ -0,0 +1,117 @@
+// Per-field extraction coverage: how many posts each field was filled for and
+// which selector found it. The content script counts it for every run and for
+// "Diagnose page"; the popup warns about fields below the threshold
+
+// Fields below this share of posts (in percent) are reported as low
+const COVERAGE_WARNING_THRESHOLD = 80;
+
+// How to read each field's value from an extracted post. Metrics count as
+// filled when their button is found, since 0 is a real count
+const COVERAGE_FIELDS = {
+  text: { label: 'Text', value: post => post.text },
+  author: { label: 'Author name', value: post => post.author.name },
+  handle: { label: 'Author handle', value: post => post.author.handle },
+  timestamp: { label: 'Time', value: post => post.timestamp },
+  url: { label: 'Post link', value: post => post.url },
+  replies: { label: 'Replies', value: post => post.metrics.replies, metric: true },
+  retweets: { label: 'Reposts', value: post => post.metrics.retweets, metric: true },
+  likes: { label: 'Likes', value: post => post.metrics.likes, metric: true },
+  views: { label: 'Views', value: post => post.metrics.views, metric: true }
+};
+
+class FieldCoverage {
+  /**
+   * Check which fields of one post were filled and which selector found them
+   * @param {Object} post - Data read from the post, before any filtering
+   * @param {Object} matched - Selector each field was read with, as recorded
+   *   by extraction; fields it found nothing for are missing
+   * @returns {Object} - Per field: { filled, selector, value }
+   */
+  checkPost(post, matched = {}) {
+    const check = {};
+
+    Object.entries(COVERAGE_FIELDS).forEach(([field, definition]) => {
+      const selector = matched[field] || null;
+      const value = definition.value(post);
+
+      check[field] = {
+        filled: definition.metric ? selector !== null : !!value,
+        selector: selector,
+        value: value
+      };
+    });
+
+    return check;
+  }
+
+  /**
+   * Fill rate of each field over a set of post checks
+   * @param {Object[]} checks - Results of checkPost
+   * @param {number} threshold - Percentage below which a field is low
+   * @returns {Object} - { postsChecked, threshold, fields, lowFields }
+   */
+  summarize(checks, threshold = COVERAGE_WARNING_THRESHOLD) {
+    const fields = {};
+
+    Object.keys(COVERAGE_FIELDS).forEach(field => {
+      const filled = checks.filter(check => check[field] && check[field].filled).length;
+      fields[field] = checks.length > 0
+        ? Math.round((filled / checks.length) * 100)
+        : 0;
+    });
+
+    return {
+      postsChecked: checks.length,
+      threshold: threshold,
+      fields: fields,
+      lowFields: checks.length > 0
+        ? Object.keys(fields).filter(field => fields[field] < threshold)
+        : []
+    };
+  }
+
+  /**
+   * Detailed report for "Diagnose page": the summary plus, per field, how
+   * often each selector matched and a few sample values
+   * @param {Object[]} checks - Results of checkPost
+   * @param {number} sampleCount - Sample values kept per field
+   * @returns {Object} - Summary with a details entry per field
+   */
+  diagnose(checks, sampleCount = 3) {
+    const summary = this.summarize(checks);
+    const details = {};
+
+    Object.entries(COVERAGE_FIELDS).forEach(([field, definition]) => {
+      const strategies = {};
+      const samples = [];
+
+      checks.forEach(check => {
+        const result = check[field];
+        const key = result.selector || 'none';
+        strategies[key] = (strategies[key] || 0) + 1;
+
+        const sample = typeof result.value === 'string'
+          ? result.value.replace(/\s+/g, ' ').slice(0, 80)
+          : result.value;
+        if (result.filled && samples.length < sampleCount && !samples.includes(sample)) {
+          samples.push(sample);
+        }
+      });
+
+      details[field] = {
+        label: definition.label,
+        fillRate: summary.fields[field],
+        strategies: Object.entries(strategies)
+          .map(([selector, count]) => ({ selector: selector === 'none' ? null : selector, count }))
+          .sort((a, b) => b.count - a.count),
+        samples: samples
+      };
+    });
+
+    return { ...summary, details: details };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { FieldCoverage, COVERAGE_FIELDS, COVERAGE_WARNING_THRESHOLD };
+}
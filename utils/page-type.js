@@ -0,0 +1,113 @@
+// Classifies X URLs into the timeline types the scraper supports. Loaded as a
+// classic script by the content script, the popup, the queue and jobs pages
+// and the background worker, so they all agree on which pages can be scraped
+
+// Top-level paths that are X app routes rather than usernames
+const RESERVED_PATHS = [
+  'home',
+  'explore',
+  'search',
+  'notifications',
+  'messages',
+  'i',
+  'settings',
+  'compose',
+  'hashtag',
+  'login',
+  'logout',
+  'signup',
+  'tos',
+  'privacy'
+];
+
+class PageType {
+  /**
+   * Classify an X URL
+   * @param {string} url - Page URL, on x.com or twitter.com
+   * @returns {Object|null} - { type, query, url, ... } with url normalized to
+   *   x.com, or null for pages the scraper cannot run on (home, settings, ...)
+   */
+  static detect(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    if (!/^(www\.)?(x|twitter)\.com$/.test(parsed.hostname)) {
+      return null;
+    }
+
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    const pageUrl = `https://x.com${parsed.pathname.replace(/\/$/, '')}${parsed.search}`;
+
+    if (segments[0] === 'search') {
+      const query = parsed.searchParams.get('q');
+      return query ? { type: 'search', query: query, url: pageUrl } : null;
+    }
+
+    if (segments[0] === 'hashtag' && segments.length === 2) {
+      let tag;
+      try {
+        tag = decodeURIComponent(segments[1]);
+      } catch (error) {
+        // A malformed escape such as %E0%A4%A names no hashtag
+        return null;
+      }
+      return { type: 'hashtag', query: tag, url: pageUrl };
+    }
+
+    if (
+      segments[0] === 'i' &&
+      segments[1] === 'lists' &&
+      /^\d+$/.test(segments[2] || '') &&
+      segments.length === 3
+    ) {
+      return { type: 'list', query: segments[2], url: pageUrl };
+    }
+
+    if (segments.length === 0 || RESERVED_PATHS.includes(segments[0])) {
+      return null;
+    }
+
+    const username = segments[0];
+    if (segments.length === 1) {
+      return {
+        type: 'profile',
+        query: username,
+        username: username,
+        url: pageUrl
+      };
+    }
+
+    if (segments.length === 2 && segments[1] === 'with_replies') {
+      return {
+        type: 'profile_replies',
+        query: username,
+        username: username,
+        url: pageUrl
+      };
+    }
+
+    if (
+      segments.length === 3 &&
+      segments[1] === 'status' &&
+      /^\d+$/.test(segments[2])
+    ) {
+      return {
+        type: 'status',
+        query: segments[2],
+        username: username,
+        statusId: segments[2],
+        url: pageUrl
+      };
+    }
+
+    return null;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { PageType, RESERVED_PATHS };
+}
@@ -1,13 +1,16 @@
 // X (Twitter) DOM selectors and utilities
-// These selectors may need updates as X changes their DOM structure
+// These selectors may need updates as X changes their DOM structure.
+// Loaded as a classic script by the content script, so this is the one
+// table the scraper reads; lists are tried in order
 
-export const X_SELECTORS = {
+const X_SELECTORS = {
   // Post containers
   POSTS: [
     '[data-testid="tweet"]',
     'article[data-testid="tweet"]',
     '[data-testid="cellInnerDiv"] article',
-    'div[data-testid="tweet"]'
+    'div[data-testid="tweet"]',
+    'article[role="article"]'
   ],
 
   // Post content
@@ -15,62 +18,127 @@ export const X_SELECTORS = {
     '[data-testid="tweetText"]',
     'div[lang] span',
     'div[dir="auto"] span',
+    '[data-testid="tweetText"] span',
     '.tweet-text'
   ],
 
+  // "Show more" under long post text: a button that expands it in place,
+  // or a link to the post's own page
+  SHOW_MORE: [
+    '[data-testid="tweet-text-show-more-link"]'
+  ],
+
+  // Quoted post embedded in a post. Without the explicit container, a quote
+  // is a clickable card with its own author header
+  QUOTE: [
+    '[data-testid="quoteTweet"]'
+  ],
+
+  QUOTE_CARD: [
+    'div[role="link"]'
+  ],
+
+  // Name, @handle and badge above a post (and above a quoted post)
+  AUTHOR_HEADER: [
+    '[data-testid="User-Name"]'
+  ],
+
   // Author information
   AUTHOR: [
     '[data-testid="User-Name"] span',
     '[data-testid="User-Names"] span',
     'div[dir="ltr"] span',
+    '[data-testid="User-Name"]',
     '.username'
   ],
 
+  // Link to the author's profile, read for the @handle
+  AUTHOR_HANDLE: [
+    '[data-testid="User-Name"] a[href^="/"]'
+  ],
+
+  AUTHOR_AVATAR: [
+    '[data-testid="Tweet-User-Avatar"] img'
+  ],
+
+  VERIFIED_BADGE: [
+    '[data-testid="icon-verified"]'
+  ],
+
+  // "Reposted by" or "Pinned" line above a post
+  SOCIAL_CONTEXT: [
+    '[data-testid="socialContext"]'
+  ],
+
+  // Wrapper X puts around ads in a timeline
+  PROMOTED: [
+    '[data-testid="placementTracking"]'
+  ],
+
   // Timestamp
   TIMESTAMP: [
+    'time[datetime]',
     'time',
     '[datetime]',
-    'a[href*="/status/"] time',
-    '.tweet-timestamp'
+    'a[href*="/status/"] time'
   ],
 
   // Post URL
   POST_URL: [
-    'a[href*="/status/"]',
-    'time[datetime] parent::a',
-    '.tweet-link'
+    'a[href*="/status/"]'
   ],
 
-  // Engagement metrics
-  REPLY_BUTTON: [
-    '[data-testid="reply"]',
-    '[aria-label*="reply" i]',
-    '[aria-label*="Reply" i]'
+  // Engagement metrics. Buttons are matched by test id (both states of
+  // toggle buttons), never by label wording: "like" is a substring of too
+  // many other words. Views link to the post analytics; quotes are only
+  // linked on the post's own page
+  METRICS: {
+    replies: ['[data-testid="reply"]'],
+    retweets: ['[data-testid="retweet"]', '[data-testid="unretweet"]'],
+    likes: ['[data-testid="like"]', '[data-testid="unlike"]'],
+    bookmarks: ['[data-testid="bookmark"]', '[data-testid="removeBookmark"]'],
+    views: ['a[href*="/analytics"]'],
+    quotes: ['a[href$="/quotes"]']
+  },
+
+  // Media
+  IMAGES: [
+    '[data-testid="tweetPhoto"] img'
   ],
 
-  RETWEET_BUTTON: [
-    '[data-testid="retweet"]',
-    '[aria-label*="retweet" i]',
-    '[aria-label*="Retweet" i]'
+  VIDEOS: [
+    'video'
   ],
 
-  LIKE_BUTTON: [
-    '[data-testid="like"]',
-    '[aria-label*="like" i]',
-    '[aria-label*="Like" i]'
+  VIDEO_PLAYER: [
+    '[data-testid="videoPlayer"]',
+    '[data-testid="videoComponent"]'
   ],
 
-  // Media
-  IMAGES: [
-    'img[src*="pbs.twimg.com"]',
-    'img[src*="abs.twimg.com"]',
-    '.tweet-media img'
+  CARDS: [
+    '[data-testid="card.wrapper"]'
   ],
 
-  VIDEOS: [
-    'video',
-    '[data-testid="videoPlayer"] video',
-    '.tweet-media video'
+  CARD_IMAGE: [
+    '[data-testid$=".media"] img',
+    'img[src*="/card_img/"]'
+  ],
+
+  // Title and domain of a link card
+  CARD_DETAIL: [
+    '[data-testid$=".detail"]'
+  ],
+
+  POLLS: [
+    '[data-testid="cardPoll"]'
+  ],
+
+  SPACES: [
+    'a[href*="/i/spaces/"]'
+  ],
+
+  COMMUNITY_NOTES: [
+    '[data-testid="birdwatch-pivot"]'
   ],
 
   // Profile specific
@@ -80,15 +148,83 @@ export const X_SELECTORS = {
     '.main-content'
   ],
 
+  // Timeline rows; posts, buttons and headings each sit in one
+  TIMELINE_CELL: [
+    '[data-testid="cellInnerDiv"]'
+  ],
+
+  // Profile header, read once per run
+  PROFILE_NAME: [
+    '[data-testid="UserName"]'
+  ],
+
+  PROFILE_BIO: [
+    '[data-testid="UserDescription"]'
+  ],
+
+  PROFILE_LOCATION: [
+    '[data-testid="UserLocation"]'
+  ],
+
+  PROFILE_WEBSITE: [
+    '[data-testid="UserUrl"]'
+  ],
+
+  PROFILE_JOIN_DATE: [
+    '[data-testid="UserJoinDate"]'
+  ],
+
+  PROFILE_AVATAR: [
+    '[data-testid^="UserAvatar-Container"] img'
+  ],
+
+  PROFILE_BANNER: [
+    'a[href$="/header_photo"] img'
+  ],
+
+  PROFILE_FOLLOWERS: [
+    'a[href$="/verified_followers"]',
+    'a[href$="/followers"]'
+  ],
+
+  PROFILE_FOLLOWING: [
+    'a[href$="/following"]'
+  ],
+
+  // Status pages: the heading over recommendations that follow the replies,
+  // and the reply box, which is not a "show more replies" button
+  THREAD_END_HEADING: [
+    'h2'
+  ],
+
+  REPLY_COMPOSER: [
+    '[data-testid^="tweetTextarea"]',
+    '[data-testid^="tweetButton"]'
+  ],
+
   // Loading indicators
   LOADING_SPINNER: [
     '[data-testid="spinner"]',
     '.loading',
-    '[aria-label*="Loading"]'
+    '[aria-label*="Loading"]',
+    '[data-testid="cellInnerDiv"] [role="progressbar"]'
+  ],
+
+  // Error banners shown when X stops serving the timeline
+  PAGE_ERROR: [
+    '[data-testid="error"]',
+    '.error-message',
+    '[aria-label*="error"]'
+  ],
+
+  // Retry button inside a PAGE_ERROR banner
+  RETRY_BUTTON: [
+    '[role="button"]',
+    'button'
   ]
 };
 
-export class SelectorUtils {
+class SelectorUtils {
   /**
    * Find element using multiple selector strategies
    * @param {Element} container - Container to search within
@@ -107,6 +243,74 @@ export class SelectorUtils {
     return null;
   }
 
+  /**
+   * Find the first accepted element of a selector list, with the selector
+   * that found it
+   * @param {Element} container - Container to search within
+   * @param {string[]} selectors - Array of selectors to try
+   * @param {Function} accept - Keeps only the candidates it returns true for
+   * @returns {{element: Element, selector: string}|null} - First match
+   */
+  static findMatch(container, selectors, accept = () => true) {
+    for (const selector of selectors) {
+      try {
+        const element = Array.from(container.querySelectorAll(selector)).find(accept);
+        if (element) return { element, selector };
+      } catch (error) {
+        console.warn(`Invalid selector: ${selector}`, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the nearest ancestor (or the element itself) matching any selector
+   * @param {Element} element - Element to start from
+   * @param {string[]} selectors - Array of selectors to try
+   * @returns {Element|null} - Closest match of the first selector that has one
+   */
+  static closest(element, selectors) {
+    for (const selector of selectors) {
+      try {
+        const match = element.closest(selector);
+        if (match) return match;
+      } catch (error) {
+        console.warn(`Invalid selector: ${selector}`, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an element matches any selector of a list
+   * @param {Element} element - Element to check
+   * @param {string[]} selectors - Array of selectors to try
+   * @returns {boolean} - True if one of them matches
+   */
+  static matches(element, selectors) {
+    return selectors.some(selector => {
+      try {
+        return element.matches(selector);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Check that a selector is valid CSS the browser can run
+   * @param {string} selector - CSS selector
+   * @returns {boolean} - True if querySelector accepts it
+   */
+  static isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Find all elements using multiple selector strategies
    * @param {Element} container - Container to search within
@@ -277,3 +481,128 @@ export class SelectorUtils {
     };
   }
 }
+
+// Selector packs override fields of X_SELECTORS at runtime. The options page
+// saves one under "selectorPack" in chrome.storage.local and shares them as
+// JSON files; every field a pack leaves out keeps the built-in selectors
+const SELECTOR_PACK_FORMAT = 'x-scraper-selector-pack';
+const SELECTOR_PACK_VERSION = 1;
+
+class SelectorPack {
+  /**
+   * List the fields of a selector table, with groups such as METRICS
+   * flattened to "METRICS.likes"
+   * @param {Object} table - Selector table (default: X_SELECTORS)
+   * @returns {string[]} - Field names
+   */
+  static getFields(table = X_SELECTORS) {
+    return Object.entries(table).flatMap(([name, value]) =>
+      value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.keys(value).map(key => `${name}.${key}`)
+        : [name]
+    );
+  }
+
+  /**
+   * Read a field from a selector table
+   * @param {Object} table - Selector table or pack selectors
+   * @param {string} field - Field name, e.g. "POSTS" or "METRICS.likes"
+   * @returns {*} - The field's selectors, or undefined if missing
+   */
+  static getField(table, field) {
+    return field.split('.').reduce(
+      (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+      table
+    );
+  }
+
+  /**
+   * Build the selector table the scraper uses from a pack's overrides
+   * @param {Object} overrides - Pack selectors, shaped like X_SELECTORS
+   * @param {Object} defaults - Built-in table (default: X_SELECTORS)
+   * @returns {Object} - Table with every overridden, non-empty field replaced
+   */
+  static apply(overrides, defaults = X_SELECTORS) {
+    const table = JSON.parse(JSON.stringify(defaults));
+
+    SelectorPack.getFields(defaults).forEach(field => {
+      const selectors = SelectorPack.getField(overrides || {}, field);
+      if (!Array.isArray(selectors) || selectors.length === 0) return;
+
+      const [group, key] = field.split('.');
+      if (key) {
+        table[group][key] = [...selectors];
+      } else {
+        table[group] = [...selectors];
+      }
+    });
+
+    return table;
+  }
+
+  /**
+   * Check a pack before it is saved or imported
+   * @param {Object} pack - Parsed pack file
+   * @param {Function} isValidSelector - Syntax check for one selector
+   * @returns {string[]} - Problems found, empty when the pack can be used
+   */
+  static validate(pack, isValidSelector = SelectorUtils.isValidSelector) {
+    if (!pack || typeof pack !== 'object' || pack.format !== SELECTOR_PACK_FORMAT) {
+      return ['Not a selector pack file'];
+    }
+    if (pack.version > SELECTOR_PACK_VERSION) {
+      return [`Selector pack version ${pack.version} is newer than this extension supports`];
+    }
+    if (!pack.selectors || typeof pack.selectors !== 'object') {
+      return ['The pack has no selectors'];
+    }
+
+    const known = SelectorPack.getFields();
+    const errors = [];
+
+    SelectorPack.getFields(pack.selectors).forEach(field => {
+      const selectors = SelectorPack.getField(pack.selectors, field);
+
+      if (!known.includes(field)) {
+        errors.push(`Unknown field ${field}`);
+      } else if (
+        !Array.isArray(selectors) ||
+        selectors.some(selector => typeof selector !== 'string' || !selector.trim())
+      ) {
+        errors.push(`${field} must be a list of selectors`);
+      } else {
+        selectors
+          .filter(selector => !isValidSelector(selector))
+          .forEach(selector => errors.push(`${field}: invalid selector ${selector}`));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Wrap overrides in a pack that can be saved or exported
+   * @param {Object} selectors - Overridden fields, shaped like X_SELECTORS
+   * @param {string} name - Name shown when the pack is imported
+   * @returns {Object} - Selector pack
+   */
+  static create(selectors, name = '') {
+    return {
+      format: SELECTOR_PACK_FORMAT,
+      version: SELECTOR_PACK_VERSION,
+      name: name,
+      selectors: selectors,
+      updatedAt: new Date().toISOString()
+    };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    X_SELECTORS,
+    SelectorUtils,
+    SelectorPack,
+    SELECTOR_PACK_FORMAT,
+    SELECTOR_PACK_VERSION
+  };
+}